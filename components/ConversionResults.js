@@ -9,10 +9,15 @@ import PreviewIframe from './PreviewIframe';
 export default function ConversionResults({ results, onSendToLitmus }) {
   const [activeTab, setActiveTab] = useState('preview');
   const [showCopyFeedback, setShowCopyFeedback] = useState(false);
+  const [activeFrameIndex, setActiveFrameIndex] = useState(0);
 
   if (!results) return null;
 
-  const { mjml, html, success, error, metadata, usedFallback } = results;
+  const { success, error, metadata, frames = [] } = results;
+
+  // Several selected frames each get their own template
+  const activeFrame = frames[activeFrameIndex];
+  const { mjml, html, usedFallback } = activeFrame || results;
 
   const copyToClipboard = async (text, type) => {
     try {
@@ -77,6 +82,21 @@ export default function ConversionResults({ results, onSendToLitmus }) {
         )}
       </div>
 
+      {/* Frame Switcher */}
+      {frames.length > 1 && (
+        <div className="frame-switcher">
+          {frames.map((frame, index) => (
+            <button 
+              key={frame.id}
+              className={`frame-btn ${index === activeFrameIndex ? 'active' : ''}`}
+              onClick={() => setActiveFrameIndex(index)}
+            >
+              🖼️ {frame.name} <small>{frame.width}×{frame.height}px</small>
+            </button>
+          ))}
+        </div>
+      )}
+
       {/* Tab Navigation */}
       <div className="tab-nav">
         <button 
@@ -251,6 +271,32 @@ export default function ConversionResults({ results, onSendToLitmus }) {
           color: #28a745;
         }
 
+        .frame-switcher {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 0.5rem;
+          padding: 1rem 2rem;
+          border-bottom: 1px solid #e9ecef;
+        }
+
+        .frame-btn {
+          padding: 0.5rem 1rem;
+          border: 1px solid #e9ecef;
+          border-radius: 6px;
+          background: white;
+          cursor: pointer;
+          color: #495057;
+        }
+
+        .frame-btn.active {
+          border-color: #0070f3;
+          color: #0070f3;
+        }
+
+        .frame-btn small {
+          color: #6c757d;
+        }
+
         .metadata {
           display: flex;
           gap: 1rem;
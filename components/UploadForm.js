@@ -3,6 +3,7 @@
  * Handles both Figma URL input and image file uploads
  */
 
+import Image from 'next/image';
 import { forwardRef, useImperativeHandle, useState } from 'react';
 
 const UploadForm = forwardRef(({ onConvert, isLoading }, ref) => {
@@ -10,6 +11,20 @@ const UploadForm = forwardRef(({ onConvert, isLoading }, ref) => {
   const [figmaInput, setFigmaInput] = useState('');
   const [imageFile, setImageFile] = useState(null);
   const [dragOver, setDragOver] = useState(false);
+  const [frameCandidates, setFrameCandidates] = useState(null);
+  const [selectedFrameIds, setSelectedFrameIds] = useState([]);
+  const [isListingFrames, setIsListingFrames] = useState(false);
+  const [frameListError, setFrameListError] = useState(null);
+  const [deterministic, setDeterministic] = useState(false);
+  
+  // Conversion options shared by direct and picker conversions
+  const conversionOptions = deterministic ? { generator: 'deterministic' } : {};
+  
+  const resetFramePicker = () => {
+    setFrameCandidates(null);
+    setSelectedFrameIds([]);
+    setFrameListError(null);
+  };
   
   // Expose clearInputs method to parent component
   useImperativeHandle(ref, () => ({
@@ -17,37 +32,64 @@ const UploadForm = forwardRef(({ onConvert, isLoading }, ref) => {
       setFigmaInput('');
       setImageFile(null);
       setDragOver(false);
+      resetFramePicker();
     }
   }));
   
-  // Extract file ID from Figma URL
-  const extractFigmaId = (url) => {
-    if (!url) return '';
+  const handleFigmaSubmit = async (e) => {
+    e.preventDefault();
+    // The server parses the file ID and any ?node-id= from the URL
+    const url = figmaInput.trim();
+    if (!url) return;
     
-    // If it's already just an ID (no URL), return as is
-    if (url.length < 50 && !url.includes('/')) return url;
+    // A link to a specific node converts that node directly
+    if (/[?&]node-id=/.test(url)) {
+      onConvert('figma', { url, options: conversionOptions });
+      return;
+    }
     
-    // Extract from various Figma URL formats
-    const patterns = [
-      /figma\.com\/design\/([^\/\?]+)/,
-      /figma\.com\/file\/([^\/\?]+)/,
-      /figma\.com\/proto\/([^\/\?]+)/
-    ];
+    // Otherwise let the user pick frames first
+    setIsListingFrames(true);
+    setFrameListError(null);
     
-    for (const pattern of patterns) {
-      const match = url.match(pattern);
-      if (match) return match[1];
+    try {
+      const response = await fetch('/api/figma-frames', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ url }),
+      });
+      const result = await response.json();
+      
+      if (!response.ok) {
+        throw new Error(result.error || `HTTP ${response.status}: ${response.statusText}`);
+      }
+      
+      setFrameCandidates(result.frames);
+      setSelectedFrameIds(result.frames.filter(frame => frame.recommended).slice(0, 1).map(frame => frame.id));
+    } catch (err) {
+      console.error('Frame listing error:', err);
+      setFrameListError(err.message || 'Could not list frames in this file');
+    } finally {
+      setIsListingFrames(false);
     }
-    
-    return url;
+  };
+  
+  const toggleFrame = (frameId) => {
+    setSelectedFrameIds(current => current.includes(frameId)
+      ? current.filter(id => id !== frameId)
+      : [...current, frameId]);
+  };
+  
+  // OAuth starts on the server, so this must be a full page navigation
+  const handleConnectFigma = () => {
+    window.location.assign('/api/auth/figma/authorize');
   };
 
-  const handleFigmaSubmit = (e) => {
-    e.preventDefault();
-    const fileId = extractFigmaId(figmaInput.trim());
-    if (fileId) {
-      onConvert('figma', { fileId: fileId });
-    }
+  const handleConvertSelected = () => {
+    if (selectedFrameIds.length === 0) return;
+    onConvert('figma', { url: figmaInput.trim(), frameIds: selectedFrameIds, options: conversionOptions });
   };
 
   const handleFileChange = (file) => {
@@ -100,7 +142,7 @@ const UploadForm = forwardRef(({ onConvert, isLoading }, ref) => {
       </div>
 
       {/* Figma Tab */}
-      {activeTab === 'figma' && (
+      {activeTab === 'figma' && !frameCandidates && (
         <div className="tab-content">
           <form onSubmit={handleFigmaSubmit}>
             <div className="input-group">
@@ -117,21 +159,109 @@ const UploadForm = forwardRef(({ onConvert, isLoading }, ref) => {
                 required
               />
               <small className="help-text">
-                Paste your Figma share URL or just the file ID
+                Paste your Figma share URL or just the file ID. Links with a node-id convert only that frame.
+                {' '}
+                <button type="button" className="connect-link" onClick={handleConnectFigma}>
+                  Connect your Figma account
+                </button> to convert files only you can see.
               </small>
             </div>
             
+            <label className="option-toggle">
+              <input
+                type="checkbox"
+                checked={deterministic}
+                onChange={(e) => setDeterministic(e.target.checked)}
+                disabled={isLoading}
+              />
+              Compile auto-layout without AI (deterministic)
+            </label>
+            
             <button 
               type="submit" 
               className="convert-btn"
-              disabled={isLoading || !figmaInput.trim()}
+              disabled={isLoading || isListingFrames || !figmaInput.trim()}
             >
-              {isLoading ? '🤖 Converting...' : '🚀 Convert to MJML'}
+              {isLoading ? '🤖 Converting...' : isListingFrames ? '🔍 Loading frames...' : '🚀 Convert to MJML'}
             </button>
+            
+            {frameListError && (
+              <p className="picker-error">❌ {frameListError}</p>
+            )}
           </form>
         </div>
       )}
 
+      {/* Frame Picker Step */}
+      {activeTab === 'figma' && frameCandidates && (
+        <div className="tab-content">
+          <div className="picker-header">
+            <h3>Choose frames to convert</h3>
+            <button 
+              type="button"
+              className="picker-back"
+              onClick={resetFramePicker}
+              disabled={isLoading}
+            >
+              ← Back
+            </button>
+          </div>
+          
+          {frameCandidates.length === 0 ? (
+            <p className="help-text">No frames found in this file.</p>
+          ) : (
+            <div className="frame-grid">
+              {frameCandidates.map(frame => (
+                <label 
+                  key={frame.id}
+                  className={`frame-card ${selectedFrameIds.includes(frame.id) ? 'selected' : ''} ${frame.suitable ? '' : 'unsuitable'}`}
+                >
+                  <input
+                    type="checkbox"
+                    checked={selectedFrameIds.includes(frame.id)}
+                    onChange={() => toggleFrame(frame.id)}
+                    disabled={isLoading}
+                  />
+                  <div className="frame-thumb">
+                    {frame.thumbnailUrl ? (
+                      // Figma's render URLs expire, so they are shown as they are
+                      <Image
+                        src={frame.thumbnailUrl}
+                        alt={frame.name}
+                        width={Math.round(frame.width)}
+                        height={Math.round(frame.height)}
+                        unoptimized
+                      />
+                    ) : (
+                      <span>🖼️</span>
+                    )}
+                  </div>
+                  <div className="frame-info">
+                    <strong>{frame.name}</strong>
+                    <small>{(frame.breadcrumbs || [frame.page]).join(' / ')} · {frame.width}×{frame.height}px</small>
+                    {frame.recommended && <span className="frame-badge">Recommended</span>}
+                    <ul className="frame-reasons">
+                      {frame.reasons.map(reason => <li key={reason}>{reason}</li>)}
+                    </ul>
+                  </div>
+                </label>
+              ))}
+            </div>
+          )}
+          
+          <button 
+            type="button"
+            className="convert-btn"
+            onClick={handleConvertSelected}
+            disabled={isLoading || selectedFrameIds.length === 0}
+          >
+            {isLoading
+              ? '🤖 Converting...'
+              : `🚀 Convert ${selectedFrameIds.length} frame${selectedFrameIds.length === 1 ? '' : 's'}`}
+          </button>
+        </div>
+      )}
+
       {/* Image Tab */}
       {activeTab === 'image' && (
         <div className="tab-content">
@@ -257,6 +387,31 @@ const UploadForm = forwardRef(({ onConvert, isLoading }, ref) => {
           font-size: 0.875rem;
         }
 
+        .connect-link {
+          background: none;
+          border: none;
+          padding: 0;
+          color: #0070f3;
+          font: inherit;
+          cursor: pointer;
+          transition: color 0.2s ease;
+        }
+
+        .connect-link:hover {
+          color: #0051cc;
+          text-decoration: underline;
+        }
+
+        .option-toggle {
+          display: flex;
+          align-items: center;
+          gap: 0.5rem;
+          margin-bottom: 1.5rem;
+          color: #495057;
+          font-size: 0.9rem;
+          cursor: pointer;
+        }
+
         .convert-btn {
           width: 100%;
           padding: 1rem 2rem;
@@ -282,6 +437,109 @@ const UploadForm = forwardRef(({ onConvert, isLoading }, ref) => {
           box-shadow: none;
         }
 
+        .picker-error {
+          margin: 1rem 0 0 0;
+          color: #dc3545;
+          font-size: 0.875rem;
+        }
+
+        .picker-header {
+          display: flex;
+          align-items: center;
+          justify-content: space-between;
+          margin-bottom: 1.5rem;
+        }
+
+        .picker-header h3 {
+          margin: 0;
+          color: #333;
+        }
+
+        .picker-back {
+          background: transparent;
+          border: 1px solid #e9ecef;
+          border-radius: 6px;
+          padding: 0.5rem 1rem;
+          cursor: pointer;
+          color: #495057;
+        }
+
+        .frame-grid {
+          display: grid;
+          grid-template-columns: repeat(auto-fill, minmax(200px, 1fr));
+          gap: 1rem;
+          margin-bottom: 1.5rem;
+        }
+
+        .frame-card {
+          position: relative;
+          display: flex;
+          flex-direction: column;
+          border: 2px solid #e9ecef;
+          border-radius: 8px;
+          overflow: hidden;
+          cursor: pointer;
+          transition: border-color 0.2s ease;
+        }
+
+        .frame-card.selected {
+          border-color: #0070f3;
+        }
+
+        .frame-card.unsuitable {
+          opacity: 0.7;
+        }
+
+        .frame-card input {
+          position: absolute;
+          top: 0.5rem;
+          left: 0.5rem;
+        }
+
+        .frame-thumb {
+          height: 140px;
+          background: #f8f9fa;
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          font-size: 2rem;
+          overflow: hidden;
+        }
+
+        .frame-thumb :global(img) {
+          max-width: 100%;
+          max-height: 100%;
+          object-fit: contain;
+        }
+
+        .frame-info {
+          padding: 0.75rem;
+          display: flex;
+          flex-direction: column;
+          gap: 0.25rem;
+        }
+
+        .frame-info small {
+          color: #6c757d;
+        }
+
+        .frame-badge {
+          align-self: flex-start;
+          background: #e3f2fd;
+          color: #0051cc;
+          border-radius: 4px;
+          padding: 0.125rem 0.5rem;
+          font-size: 0.75rem;
+          font-weight: 500;
+        }
+
+        .frame-reasons {
+          margin: 0.25rem 0 0 0;
+          padding-left: 1rem;
+          color: #6c757d;
+          font-size: 0.75rem;
+        }
+
         .file-drop-zone {
           border: 2px dashed #e9ecef;
           border-radius: 12px;
@@ -0,0 +1,159 @@
+/**
+ * Figma to MJML Plugin
+ * Exports the selected frames as REST API JSON (JSON_REST_V1), the format
+ * the server reads from GET /v1/files/:id/nodes, and hands it to ui.html,
+ * which posts it to /api/plugin-convert. The server runs its own layout
+ * extraction on it and asks for the images it needs, which are rendered here.
+ */
+
+figma.showUI(__html__, { width: 520, height: 720, themeColors: true });
+
+/**
+ * Default converter address, changed in the plugin UI
+ */
+const DEFAULT_SERVER_URL = 'http://localhost:3000';
+
+/**
+ * Node types kept in breadcrumbs, as the frame walker does
+ */
+const CONTAINER_TYPES = ['SECTION', 'GROUP', 'COMPONENT_SET'];
+
+figma.ui.onmessage = async message => {
+  if (message.type === 'init') {
+    const serverUrl = (await figma.clientStorage.getAsync('serverUrl')) || DEFAULT_SERVER_URL;
+    const pluginToken = (await figma.clientStorage.getAsync('pluginToken')) || '';
+    figma.ui.postMessage({ type: 'settings', serverUrl, pluginToken });
+    postSelection();
+  } else if (message.type === 'save-settings') {
+    await figma.clientStorage.setAsync('serverUrl', message.serverUrl);
+    await figma.clientStorage.setAsync('pluginToken', message.pluginToken);
+  } else if (message.type === 'serialize') {
+    try {
+      const payload = await serializeSelection();
+      figma.ui.postMessage({ type: 'payload', payload });
+    } catch (error) {
+      figma.ui.postMessage({ type: 'error', message: error.message });
+    }
+  } else if (message.type === 'export-images') {
+    figma.ui.postMessage({ type: 'images', images: await exportImages(message.exports) });
+  } else if (message.type === 'notify') {
+    figma.notify(message.message);
+  }
+};
+
+figma.on('selectionchange', postSelection);
+
+/**
+ * Tell the UI which frames would be converted
+ */
+function postSelection() {
+  figma.ui.postMessage({
+    type: 'selection',
+    frames: selectedFrames().map(frame => ({
+      id: frame.id,
+      name: frame.name,
+      width: Math.round(frame.width),
+      height: Math.round(frame.height)
+    }))
+  });
+}
+
+/**
+ * Frame-like nodes of the selection; a selected section stands for the
+ * frames inside it
+ * @returns {Array} Nodes to convert
+ */
+function selectedFrames() {
+  const frames = [];
+
+  figma.currentPage.selection.forEach(node => {
+    if (node.type === 'SECTION') {
+      node.children
+        .filter(child => child.visible && (child.type === 'FRAME' || child.type === 'COMPONENT'))
+        .forEach(child => frames.push(child));
+    } else if ('children' in node && node.absoluteBoundingBox) {
+      frames.push(node);
+    }
+  });
+
+  return frames;
+}
+
+/**
+ * Build the request body for /api/plugin-convert
+ * @returns {Object} { fileName, nodes } - nodes as in a GET /v1/files/:id/nodes
+ *   response, plus each frame's page and breadcrumbs
+ */
+async function serializeSelection() {
+  const frames = selectedFrames();
+  if (frames.length === 0) {
+    throw new Error('Select one or more frames to convert');
+  }
+
+  const nodes = {};
+  for (const frame of frames) {
+    const exported = await frame.exportAsync({ format: 'JSON_REST_V1' });
+    nodes[frame.id] = {
+      document: exported.document,
+      components: exported.components || {},
+      componentSets: exported.componentSets || {},
+      styles: exported.styles || {},
+      page: figma.currentPage.name,
+      breadcrumbs: breadcrumbsOf(frame)
+    };
+  }
+
+  return { fileName: figma.root.name, nodes };
+}
+
+/**
+ * Page, section and group names leading to a node
+ * @param {Object} node - Figma node
+ * @returns {Array} Names, page first
+ */
+function breadcrumbsOf(node) {
+  const names = [];
+  let parent = node.parent;
+
+  while (parent && parent.type !== 'DOCUMENT') {
+    if (parent.type === 'PAGE' || CONTAINER_TYPES.includes(parent.type)) names.unshift(parent.name);
+    parent = parent.parent;
+  }
+
+  return names;
+}
+
+/**
+ * Export the images the server asked for (see /api/plugin-images): node
+ * renders at 2x (icons at 1x too) and raw image fills
+ * @param {Array} exports - { id, render, icon, imageRef } per image
+ * @returns {Object} Image uploads by node ID ({ data, data1x }, base64)
+ */
+async function exportImages(exports = []) {
+  const images = {};
+
+  for (const request of exports) {
+    try {
+      if (request.render) {
+        const node = await figma.getNodeByIdAsync(request.id);
+        if (!node) continue;
+
+        const upload = { data: figma.base64Encode(await node.exportAsync({ format: 'PNG', constraint: { type: 'SCALE', value: 2 } })) };
+        if (request.icon) {
+          upload.data1x = figma.base64Encode(await node.exportAsync({ format: 'PNG', constraint: { type: 'SCALE', value: 1 } }));
+        }
+        images[request.id] = upload;
+      } else if (request.imageRef) {
+        const image = figma.getImageByHash(request.imageRef);
+        if (image) {
+          images[request.id] = { data: figma.base64Encode(await image.getBytesAsync()) };
+        }
+      }
+    } catch (error) {
+      // The server reports images it did not receive as placeholders
+      console.warn(`Could not export image ${request.id}: ${error.message}`);
+    }
+  }
+
+  return images;
+}
@@ -2,12 +2,28 @@
  * AI Integration Library with Multi-Provider Support
  * Handles multiple AI providers for converting designs to MJML
  */
+import { describeRegisteredComponents } from './component-registry.js';
+import { describeDesignTokens } from './design-tokens.js';
+import { generateFallbackMJML } from './fallback-mjml.js';
+import { describeFonts } from './fonts.js';
+import { describeLayerAnnotations } from './layer-annotations.js';
 import { generateMJMLWithFallback } from './multi-ai.js';
+import { describePaints } from './paint-styles.js';
+import {
+  describeTextStyle,
+  findLink,
+  findTextElement,
+  isButtonLike,
+  renderTextContent
+} from './mjml-elements.js';
+import { describeResponsiveClasses } from './responsive-frames.js';
+import { describeSemanticBlocks } from './semantic-blocks.js';
 
 /**
  * Generate MJML from layout data using multiple AI providers
  * @param {Object} layoutData - Processed layout information from Figma
- * @returns {Object} Generated MJML with metadata
+ * @returns {Object} { mjml, generator, provider } - generator is 'ai', or
+ *   'auto-layout' / 'fallback' when no provider answered
  */
 export async function generateMJMLFromLayout(layoutData) {
   try {
@@ -23,10 +39,10 @@ export async function generateMJMLFromLayout(layoutData) {
       console.log(`✅ Generated with ${result.provider} provider`);
     }
     
-    return result.mjml;
+    return { mjml: result.mjml, generator: result.generator, provider: result.provider };
   } catch (error) {
     console.error('❌ All providers failed, using basic fallback:', error);
-    return generateFallbackMJML(layoutData);
+    return { mjml: generateFallbackMJML(layoutData), generator: 'fallback', provider: null };
   }
 }
 
@@ -131,6 +147,13 @@ function createMJMLPrompt(layoutData) {
   // Analyze and describe the elements
   const elementsSummary = analyzeElements(primaryLayout.elements);
   prompt += elementsSummary;
+  prompt += describeDesignTokens(layoutData.tokens);
+  prompt += describeRegisteredComponents(primaryLayout.elements);
+  prompt += describeResponsiveClasses(primaryLayout.elements);
+  prompt += describeSemanticBlocks(primaryLayout.elements);
+  prompt += describeLayerAnnotations(primaryLayout.elements);
+  prompt += describePaints(primaryLayout.elements);
+  prompt += describeFonts(primaryLayout.elements);
   
   prompt += `\n**Requirements:**\n`;
   prompt += `1. Create a fully responsive MJML email template\n`;
@@ -161,6 +184,7 @@ function analyzeElements(elements) {
   const elementTypes = {};
   const textElements = [];
   const imageElements = [];
+  const buttonElements = [];
   
   elements.forEach((element, index) => {
     // Count element types
@@ -171,7 +195,8 @@ function analyzeElements(elements) {
       textElements.push({
         text: element.text.substring(0, 50) + (element.text.length > 50 ? '...' : ''),
         bounds: element.bounds,
-        fontSize: element.fontSize
+        style: describeTextStyle(element),
+        html: element.runs || element.link ? renderTextContent(element) : null
       });
     }
     
@@ -179,7 +204,17 @@ function analyzeElements(elements) {
     if (element.hasImage || (element.type === 'RECTANGLE' && element.bounds)) {
       imageElements.push({
         name: element.name,
-        bounds: element.bounds
+        bounds: element.bounds,
+        url: element.imageUrl,
+        href: element.link
+      });
+    }
+    
+    // Collect buttons with their links
+    if (isButtonLike(element)) {
+      buttonElements.push({
+        label: findTextElement(element)?.text || element.name,
+        href: findLink(element)
       });
     }
   });
@@ -192,7 +227,10 @@ function analyzeElements(elements) {
   if (textElements.length > 0) {
     description += `\n**Text Content:**\n`;
     textElements.slice(0, 5).forEach((text, i) => {
-      description += `${i + 1}. "${text.text}"${text.fontSize ? ` (${text.fontSize}px)` : ''}\n`;
+      description += `${i + 1}. "${text.text}"${text.style ? ` (${text.style})` : ''}\n`;
+      if (text.html) {
+        description += `   Use this inline HTML inside mj-text (keeps styled runs and links): ${text.html}\n`;
+      }
     });
     if (textElements.length > 5) {
       description += `... and ${textElements.length - 5} more text elements\n`;
@@ -203,13 +241,20 @@ function analyzeElements(elements) {
     description += `\n**Images/Graphics:**\n`;
     imageElements.slice(0, 3).forEach((img, i) => {
       const size = img.bounds ? `${img.bounds.width}x${img.bounds.height}px` : 'unknown size';
-      description += `${i + 1}. ${img.name} (${size})\n`;
+      description += `${i + 1}. ${img.name} (${size})${img.url ? ` - use src="${img.url}"` : ''}${img.href ? ` href="${img.href}"` : ''}\n`;
     });
     if (imageElements.length > 3) {
       description += `... and ${imageElements.length - 3} more images\n`;
     }
   }
   
+  if (buttonElements.length > 0) {
+    description += `\n**Buttons:**\n`;
+    buttonElements.forEach((button, i) => {
+      description += `${i + 1}. "${button.label}"${button.href ? ` - use href="${button.href}" on mj-button` : ''}\n`;
+    });
+  }
+  
   return description;
 }
 
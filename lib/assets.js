@@ -0,0 +1,193 @@
+/**
+ * Asset Store
+ * Pluggable storage for image bytes referenced by generated templates.
+ * The default "local" store writes to disk and is served by /api/assets/:id
+ */
+
+import crypto from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+
+/**
+ * File extensions for the content types we store. Raster images only: an
+ * SVG can carry script, and assets are served from this app's origin
+ */
+const CONTENT_TYPE_EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/gif': 'gif',
+  'image/webp': 'webp'
+};
+
+/**
+ * Response headers for a stored asset. nosniff keeps browsers from reading
+ * an image as HTML, and the sandbox disables script in anything opened directly
+ */
+export const ASSET_HEADERS = {
+  'Content-Security-Policy': 'sandbox',
+  'X-Content-Type-Options': 'nosniff',
+  'Cache-Control': 'public, max-age=31536000, immutable'
+};
+
+/**
+ * Limits for downloaded assets; Figma renders of a whole frame at 2x stay
+ * well below them
+ */
+const DOWNLOAD_TIMEOUT_MS = 30000;
+const MAX_DOWNLOAD_BYTES = 25 * 1024 * 1024;
+
+/**
+ * Asset IDs are content hashes plus an extension, which also keeps
+ * lookups from escaping the store directory
+ */
+const ASSET_ID_PATTERN = /^[a-f0-9]{64}\.[a-z]+$/;
+
+/**
+ * Registered store factories, selected through ASSET_STORE
+ */
+const ASSET_STORES = {
+  local: createLocalAssetStore
+};
+
+let activeStore = null;
+
+/**
+ * Register an additional asset store (e.g. S3, a CDN bucket)
+ * @param {string} name - Store name used in ASSET_STORE
+ * @param {Function} factory - Returns an object with put(buffer, { contentType }) and optionally get(id)
+ */
+export function registerAssetStore(name, factory) {
+  ASSET_STORES[name] = factory;
+  activeStore = null;
+}
+
+/**
+ * Get the configured asset store
+ * @returns {Object} Asset store instance
+ */
+export function getAssetStore() {
+  if (!activeStore) {
+    const name = process.env.ASSET_STORE || 'local';
+    const factory = ASSET_STORES[name];
+    if (!factory) {
+      throw new Error(`Unknown asset store: ${name}`);
+    }
+    activeStore = factory();
+  }
+  return activeStore;
+}
+
+/**
+ * Create a store that keeps assets on local disk
+ * @param {Object} options - Store options
+ * @param {string} options.directory - Directory holding the files
+ * @param {string} options.baseUrl - Public URL prefix the files are served from
+ * @returns {Object} Asset store
+ */
+export function createLocalAssetStore(options = {}) {
+  const directory = options.directory || process.env.ASSET_STORE_DIR || path.join(process.cwd(), '.assets');
+  const baseUrl = options.baseUrl || `${process.env.ASSET_BASE_URL || ''}/api/assets`;
+
+  return {
+    name: 'local',
+
+    async put(buffer, { contentType = 'image/png' } = {}) {
+      assertStorableContentType(contentType);
+      const extension = CONTENT_TYPE_EXTENSIONS[contentType];
+      const hash = crypto.createHash('sha256').update(buffer).digest('hex');
+      const id = `${hash}.${extension}`;
+
+      await fs.mkdir(directory, { recursive: true });
+      await fs.writeFile(path.join(directory, id), buffer);
+
+      return { id, url: `${baseUrl}/${id}`, contentType, size: buffer.length };
+    },
+
+    async get(id) {
+      if (!ASSET_ID_PATTERN.test(id)) return null;
+
+      try {
+        const buffer = await fs.readFile(path.join(directory, id));
+        return { buffer, contentType: getContentTypeForId(id) };
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    }
+  };
+}
+
+/**
+ * Download a remote file and put it in the asset store
+ * @param {string} url - Remote URL (e.g. a Figma render)
+ * @param {Object} store - Asset store, defaults to the configured one
+ * @returns {Object} Stored asset ({ id, url, contentType, size })
+ */
+export async function storeRemoteAsset(url, store = getAssetStore()) {
+  const response = await fetch(url, { signal: AbortSignal.timeout(DOWNLOAD_TIMEOUT_MS) });
+
+  if (!response.ok) {
+    throw new Error(`Asset download failed: ${response.status} ${url}`);
+  }
+
+  const declaredSize = Number(response.headers.get('content-length'));
+  if (declaredSize > MAX_DOWNLOAD_BYTES) {
+    await response.body?.cancel();
+    throw new Error(`Asset download failed: ${declaredSize} bytes is over the ${MAX_DOWNLOAD_BYTES} byte limit ${url}`);
+  }
+
+  const contentType = (response.headers.get('content-type') || 'image/png').split(';')[0].trim();
+  try {
+    assertStorableContentType(contentType);
+  } catch (error) {
+    await response.body?.cancel();
+    throw new Error(`Asset download failed: ${error.message} ${url}`);
+  }
+  const buffer = await readLimited(response, url);
+
+  return store.put(buffer, { contentType });
+}
+
+/**
+ * Read a response body, giving up once it passes the download limit, for
+ * servers that send no or a wrong content-length
+ * @param {Response} response - Fetch response
+ * @param {string} url - Download URL, for the error message
+ * @returns {Buffer} Body
+ */
+async function readLimited(response, url) {
+  const chunks = [];
+  let size = 0;
+
+  for await (const chunk of response.body || []) {
+    size += chunk.length;
+    if (size > MAX_DOWNLOAD_BYTES) {
+      // Leaving the loop cancels the rest of the download
+      throw new Error(`Asset download failed: over the ${MAX_DOWNLOAD_BYTES} byte limit ${url}`);
+    }
+    chunks.push(chunk);
+  }
+
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Refuse content types the store does not keep
+ * @param {string} contentType - MIME type of the asset
+ */
+function assertStorableContentType(contentType) {
+  if (!CONTENT_TYPE_EXTENSIONS[contentType]) {
+    throw new Error(`Unsupported asset type "${contentType}", expected PNG, JPEG, GIF or WebP`);
+  }
+}
+
+/**
+ * Resolve the content type of a stored asset from its ID
+ * @param {string} id - Asset ID
+ * @returns {string} Content type
+ */
+function getContentTypeForId(id) {
+  const extension = id.split('.').pop();
+  const match = Object.entries(CONTENT_TYPE_EXTENSIONS).find(([, ext]) => ext === extension);
+  return match ? match[0] : 'application/octet-stream';
+}
@@ -0,0 +1,572 @@
+/**
+ * Auto-Layout MJML Compiler
+ * Rule-based conversion of Figma auto-layout frames to MJML, no AI involved.
+ * Vertical auto-layout becomes stacked mj-sections, horizontal auto-layout
+ * becomes rows of mj-columns (or an mj-group when the row must not stack on
+ * mobile), and item spacing becomes padding and spacers. Heroes, navbars,
+ * social icon rows and feature grids found by classifyLayoutBlocks use
+ * mj-hero, mj-navbar, mj-social and mj-group.
+ */
+
+import { collectLayoutFonts, fontStack, primaryFontFamily } from './fonts.js';
+import {
+  borderAttributes,
+  containerClasses,
+  escapeHtml,
+  formatAttributes,
+  formatRadius,
+  isButtonLike,
+  isVisibleColor,
+  renderButton,
+  renderComponent,
+  renderElement,
+  renderRaw,
+  renderSpacer,
+  repeatTags,
+  wrapRepeat
+} from './mjml-elements.js';
+import { renderHero, renderNavbarColumns, renderSocial } from './semantic-blocks.js';
+
+/**
+ * Base font when the frame has no text
+ */
+const DEFAULT_FONT = 'Poppins';
+
+/**
+ * Rows whose children are all this narrow (icons, badges, social links)
+ * stay side by side on mobile through mj-group
+ */
+const GROUP_MAX_CHILD_WIDTH = 120;
+
+/**
+ * Counter axis alignment of a vertical stack as content alignment
+ */
+const COUNTER_AXIS_ALIGN = {
+  MIN: 'left',
+  CENTER: 'center',
+  MAX: 'right'
+};
+
+/**
+ * Counter axis alignment of a horizontal row as column vertical alignment
+ */
+const COLUMN_VERTICAL_ALIGN = {
+  MIN: 'top',
+  CENTER: 'middle',
+  MAX: 'bottom',
+  BASELINE: 'top'
+};
+
+/**
+ * Primary axis alignment of a horizontal row as section text alignment,
+ * which positions columns that do not fill the row
+ */
+const SECTION_TEXT_ALIGN = {
+  MIN: 'left',
+  CENTER: 'center',
+  MAX: 'right',
+  SPACE_BETWEEN: 'left'
+};
+
+const NO_PADDING = { top: 0, right: 0, bottom: 0, left: 0 };
+
+/**
+ * Check whether a layout uses auto-layout at its root
+ * @param {Object} layout - Layout produced by extractLayoutFromFigma
+ * @returns {boolean} True when the frame can be compiled deterministically
+ */
+export function hasAutoLayout(layout) {
+  return !!layout.autoLayout;
+}
+
+/**
+ * Compile an auto-layout frame to MJML
+ * @param {Object} layout - Layout produced by extractLayoutFromFigma
+ * @param {string} fileName - Figma file name
+ * @returns {string} MJML template
+ */
+export function compileAutoLayoutMJML(layout, fileName) {
+  const root = {
+    name: layout.name,
+    bounds: { x: layout.x, y: layout.y, width: layout.width, height: layout.height },
+    autoLayout: layout.autoLayout,
+    children: layout.elements || []
+  };
+  const bodyBackground = isVisibleColor(layout.backgroundColor) ? layout.backgroundColor : '#ffffff';
+
+  const baseFont = primaryFontFamily(collectLayoutFonts(root.children)) || DEFAULT_FONT;
+  const sections = collectSections(root, root, bodyBackground);
+  const body = renderSections(sections, root, bodyBackground);
+
+  return `<mjml>
+  <mj-head>
+    <mj-title>${escapeHtml(fileName)} - ${escapeHtml(layout.name)}</mj-title>
+    <mj-preview>Email template generated from ${escapeHtml(layout.name)}</mj-preview>
+    <mj-attributes>
+      <mj-all font-family="${fontStack(baseFont)}" />
+    </mj-attributes>
+  </mj-head>
+  <mj-body width="${layout.width}px" background-color="${bodyBackground}">${body}
+  </mj-body>
+</mjml>`;
+}
+
+/**
+ * Turn a container into section descriptors, top to bottom
+ * @param {Object} container - Frame or container element
+ * @param {Object} root - Root frame
+ * @param {string} background - Background inherited from the parent
+ * @returns {Array} Section descriptors
+ */
+function collectSections(container, root, background) {
+  const ownBackground = container !== root && isVisibleColor(container.backgroundColor)
+    ? container.backgroundColor
+    : null;
+  const sectionBackground = ownBackground || background;
+  const children = getFlowChildren(container);
+  const inset = getHorizontalInset(container, root);
+  const sections = [];
+
+  if (container.autoLayout?.mode === 'HORIZONTAL') {
+    sections.push(buildRowSection(container, children, inset, sectionBackground));
+  } else {
+    // Consecutive content shares one column; nested containers get their own sections
+    let pending = [];
+    const flush = () => {
+      if (pending.length > 0) {
+        sections.push(buildStackSection(container, pending, inset, sectionBackground));
+        pending = [];
+      }
+    };
+
+    children.forEach(child => {
+      const blockSection = buildBlockSection(child, root, sectionBackground);
+      if (blockSection || isStructural(child)) {
+        flush();
+        const childSections = blockSection ? [blockSection] : collectSections(child, root, sectionBackground);
+        // A container shown on one viewport only takes its sections with it
+        // and a gradient container paints each of them
+        const classes = containerClasses(child);
+        if (classes) {
+          childSections.forEach(section => { section.mjClass = classes; });
+        }
+        // A repeated container loops over all of its sections
+        if (child.loop && childSections.length > 0) {
+          childSections[0].loopStart = child;
+          childSections[childSections.length - 1].loopEnd = child;
+        }
+        sections.push(...childSections);
+      } else {
+        pending.push(child);
+      }
+    });
+    flush();
+  }
+
+  // A container background spans the container's own bounds, padding included
+  if (ownBackground && sections.length > 0) {
+    const first = sections[0];
+    const last = sections[sections.length - 1];
+    const top = container.bounds.y;
+    const bottom = container.bounds.y + container.bounds.height;
+
+    first.paddingTop += Math.max(0, first.top - top);
+    first.top = Math.min(first.top, top);
+    last.paddingBottom += Math.max(0, bottom - last.bottom);
+    last.bottom = Math.max(last.bottom, bottom);
+  }
+
+  return sections;
+}
+
+/**
+ * Build a single-column section from stacked content
+ * @param {Object} container - Parent container
+ * @param {Array} children - Elements stacked in the column
+ * @param {Object} inset - Horizontal inset relative to the root frame
+ * @param {string} background - Section background
+ * @returns {Object} Section descriptor
+ */
+function buildStackSection(container, children, inset, background) {
+  let content = '';
+  let previousBottom = null;
+
+  children.forEach(child => {
+    if (previousBottom !== null) {
+      content += renderSpacer(child.bounds.y - previousBottom);
+    }
+    content += renderColumnContent(child, getAlignment(container, child));
+    previousBottom = child.bounds.y + child.bounds.height;
+  });
+
+  return {
+    top: Math.min(...children.map(child => child.bounds.y)),
+    bottom: Math.max(...children.map(child => child.bounds.y + child.bounds.height)),
+    paddingTop: 0,
+    paddingBottom: 0,
+    inset,
+    background,
+    columns: [{ content }]
+  };
+}
+
+/**
+ * Build a multi-column section from a horizontal auto-layout row
+ * @param {Object} container - Horizontal auto-layout container
+ * @param {Array} children - Row children, left to right
+ * @param {Object} inset - Horizontal inset relative to the root frame
+ * @param {string} background - Section background
+ * @returns {Object} Section descriptor
+ */
+function buildRowSection(container, children, inset, background) {
+  const autoLayout = container.autoLayout;
+  const padding = autoLayout.padding || NO_PADDING;
+  const innerWidth = Math.max(1, container.bounds.width - padding.left - padding.right);
+  // Feature grids stay side by side like narrow rows
+  const group = container.block?.label === 'feature-grid' ||
+    (children.length > 1 && children.every(child => child.bounds.width <= GROUP_MAX_CHILD_WIDTH));
+  const indent = group ? '          ' : '        ';
+
+  // Item spacing (or space-between distribution) becomes left padding, so
+  // each column's width covers the gap before it
+  let previousRight = container.bounds.x + padding.left;
+  const columns = children.map(child => {
+    const gap = Math.max(0, Math.round(child.bounds.x - previousRight));
+    previousRight = child.bounds.x + child.bounds.width;
+
+    const isNestedContainer = child.children && !isButtonLike(child);
+    const ownBackground = isNestedContainer && isVisibleColor(child.backgroundColor)
+      ? child.backgroundColor
+      : null;
+
+    return {
+      widthPercent: ((child.bounds.width + gap) / innerWidth) * 100,
+      verticalAlign: COLUMN_VERTICAL_ALIGN[autoLayout.counterAxisAlignItems] || 'top',
+      paddingLeft: gap,
+      background: ownBackground,
+      border: isNestedContainer ? borderAttributes(child) : {},
+      radius: isNestedContainer ? formatRadius(child) : null,
+      mjClass: isNestedContainer ? containerClasses(child) : null,
+      // A repeated row item repeats its whole column
+      repeat: child.loop ? child : null,
+      content: child.loop
+        ? renderColumnBlock(child, getColumnAlignment(child), indent)
+        : renderColumnContent(child, getColumnAlignment(child), indent)
+    };
+  });
+
+  // Rounding must never push the row past 100%
+  const total = columns.reduce((sum, column) => sum + column.widthPercent, 0);
+  const factor = total > 100 ? 100 / total : 1;
+  columns.forEach(column => {
+    column.widthPercent = Math.floor(column.widthPercent * factor * 100) / 100;
+  });
+
+  return {
+    top: container.bounds.y,
+    bottom: container.bounds.y + container.bounds.height,
+    paddingTop: padding.top,
+    paddingBottom: padding.bottom,
+    inset,
+    background,
+    textAlign: SECTION_TEXT_ALIGN[autoLayout.primaryAxisAlignItems] || 'left',
+    group,
+    columns
+  };
+}
+
+/**
+ * Build the section of a hero, navbar or social icon row
+ * @param {Object} element - Layout element marked by classifyLayoutBlocks
+ * @param {Object} root - Root frame
+ * @param {string} background - Background inherited from the parent
+ * @returns {Object|null} Section descriptor, null for other elements
+ */
+function buildBlockSection(element, root, background) {
+  const label = element.block?.label;
+  if (!['hero', 'navbar', 'social'].includes(label) || !element.children) return null;
+
+  const padding = element.autoLayout?.padding || NO_PADDING;
+  const section = {
+    top: element.bounds.y,
+    bottom: element.bounds.y + element.bounds.height,
+    paddingTop: padding.top,
+    paddingBottom: padding.bottom,
+    inset: getHorizontalInset(element, root),
+    background: isVisibleColor(element.backgroundColor) ? element.backgroundColor : background
+  };
+
+  if (label === 'hero') {
+    if (!element.hasImage) return null;
+    // mj-hero spans the body; no neighbor shares its background
+    return { ...section, background: null, hero: renderHero(element, element.children) };
+  }
+
+  const box = {
+    x: element.bounds.x + padding.left,
+    width: element.bounds.width - padding.left - padding.right
+  };
+
+  if (label === 'navbar') {
+    return {
+      ...section,
+      columns: renderNavbarColumns(element.children, box).map(column => ({
+        ...column,
+        verticalAlign: 'middle'
+      }))
+    };
+  }
+
+  return {
+    ...section,
+    columns: [{ content: renderSocial(element.children, box) }]
+  };
+}
+
+/**
+ * Render an element inside a column, looped when it is a loop template
+ * @param {Object} element - Layout element
+ * @param {string} align - Horizontal alignment
+ * @param {string} indent - Indentation of content components
+ * @returns {string} MJML markup
+ */
+function renderColumnContent(element, align, indent = '        ') {
+  return wrapRepeat(element, renderColumnBlock(element, align, indent), indent);
+}
+
+/**
+ * Render an element inside a column; containers are flattened into a stack
+ * @param {Object} element - Layout element
+ * @param {string} align - Horizontal alignment
+ * @param {string} indent - Indentation of content components
+ * @returns {string} MJML markup
+ */
+function renderColumnBlock(element, align, indent = '        ') {
+  if (element.componentTemplate) {
+    return renderComponent(element, { indent });
+  }
+
+  if (element.annotations?.raw) {
+    return renderRaw(element, { indent });
+  }
+
+  if (isButtonLike(element)) {
+    return renderButton(element, { align, indent });
+  }
+
+  if (!element.children || element.hasImage) {
+    return renderElement(element, { align, indent });
+  }
+
+  // Columns cannot nest sections, so nested containers stack their content
+  const padding = isVisibleColor(element.backgroundColor) ? (element.autoLayout?.padding || NO_PADDING) : NO_PADDING;
+  let content = renderSpacer(padding.top, indent);
+  let previousBottom = null;
+
+  getFlowChildren({ ...element, autoLayout: element.autoLayout?.mode === 'HORIZONTAL' ? null : element.autoLayout })
+    .forEach(child => {
+      if (previousBottom !== null) {
+        content += renderSpacer(child.bounds.y - previousBottom, indent);
+      }
+      content += renderColumnContent(child, getAlignment(element, child), indent);
+      previousBottom = child.bounds.y + child.bounds.height;
+    });
+
+  return content + renderSpacer(padding.bottom, indent);
+}
+
+/**
+ * Render section descriptors, turning vertical gaps into padding or spacers
+ * @param {Array} sections - Section descriptors, top to bottom
+ * @param {Object} root - Root frame
+ * @param {string} bodyBackground - mj-body background color
+ * @returns {string} MJML markup
+ */
+function renderSections(sections, root, bodyBackground) {
+  const spacerBefore = [];
+  let previousBottom = root.bounds.y;
+  let previousBackground = bodyBackground;
+
+  // Gaps between equally colored areas become padding; otherwise a spacer
+  // section keeps the body color between them
+  sections.forEach((section, index) => {
+    const gap = Math.round(section.top - previousBottom);
+    spacerBefore[index] = 0;
+
+    if (gap > 0) {
+      if (section.background === previousBackground) {
+        section.paddingTop += gap;
+      } else {
+        spacerBefore[index] = gap;
+      }
+    }
+
+    previousBottom = section.bottom;
+    previousBackground = section.background;
+  });
+
+  const trailingGap = Math.round(root.bounds.y + root.bounds.height - previousBottom);
+  const last = sections[sections.length - 1];
+  let trailingSpacer = 0;
+  if (last && trailingGap > 0) {
+    if (last.background === bodyBackground) {
+      last.paddingBottom += trailingGap;
+    } else {
+      trailingSpacer = trailingGap;
+    }
+  }
+
+  return sections
+    .map((section, index) => renderSpacerSection(spacerBefore[index]) +
+      (section.loopStart ? `\n    ${repeatTags(section.loopStart).open}` : '') +
+      renderSection(section, bodyBackground) +
+      (section.loopEnd ? `\n    ${repeatTags(section.loopEnd).close}` : ''))
+    .join('') + renderSpacerSection(trailingSpacer);
+}
+
+/**
+ * Render one section descriptor
+ * @param {Object} section - Section descriptor
+ * @param {string} bodyBackground - mj-body background color
+ * @returns {string} MJML markup
+ */
+function renderSection(section, bodyBackground) {
+  if (section.hero) return section.hero;
+
+  const sectionAttributes = formatAttributes({
+    'background-color': section.background !== bodyBackground ? section.background : null,
+    'text-align': section.textAlign,
+    'padding-top': `${Math.round(section.paddingTop)}px`,
+    'padding-bottom': `${Math.round(section.paddingBottom)}px`,
+    'padding-left': `${Math.round(section.inset.left)}px`,
+    'padding-right': `${Math.round(section.inset.right)}px`,
+    'mj-class': section.mjClass
+  });
+  const columnIndent = section.group ? '        ' : '      ';
+
+  const columns = section.columns.map(column => {
+    const columnAttributes = formatAttributes({
+      width: column.widthPercent !== undefined ? `${column.widthPercent}%` : null,
+      'vertical-align': column.verticalAlign,
+      'padding-left': column.paddingLeft ? `${column.paddingLeft}px` : null,
+      [column.paddingLeft ? 'inner-background-color' : 'background-color']: column.background,
+      ...columnBorder(column),
+      'mj-class': column.mjClass
+    });
+
+    const markup = `\n${columnIndent}<mj-column${columnAttributes}>${column.content}\n${columnIndent}</mj-column>`;
+    return column.repeat ? wrapRepeat(column.repeat, markup, columnIndent) : markup;
+  }).join('');
+
+  const inner = section.group
+    ? `\n      <mj-group>${columns}\n      </mj-group>`
+    : columns;
+
+  return `\n    <mj-section${sectionAttributes}>${inner}\n    </mj-section>`;
+}
+
+/**
+ * Border attributes of a column. Columns with a gap before them draw a
+ * uniform border inside the gap, like their inner background.
+ * @param {Object} column - Column descriptor
+ * @returns {Object} MJML attributes
+ */
+function columnBorder(column) {
+  const border = column.border || {};
+
+  if (column.paddingLeft && (border.border || !Object.keys(border).length)) {
+    return { 'inner-border': border.border, 'inner-border-radius': column.radius };
+  }
+
+  return { ...border, 'border-radius': column.radius };
+}
+
+/**
+ * Render a full-width vertical gap
+ * @param {number} height - Gap height in pixels
+ * @returns {string} MJML markup, empty for no gap
+ */
+function renderSpacerSection(height) {
+  if (!height) return '';
+
+  return `\n    <mj-section padding="0px">` +
+         `\n      <mj-column>${renderSpacer(height)}` +
+         `\n      </mj-column>` +
+         `\n    </mj-section>`;
+}
+
+/**
+ * Visible, positioned children in flow order
+ * @param {Object} container - Frame or container element
+ * @returns {Array} Children sorted along the container's main axis
+ */
+function getFlowChildren(container) {
+  const horizontal = container.autoLayout?.mode === 'HORIZONTAL';
+
+  return (container.children || [])
+    .filter(child => child.visible !== false && child.bounds)
+    .sort((a, b) => horizontal
+      ? a.bounds.x - b.bounds.x
+      : a.bounds.y - b.bounds.y || a.bounds.x - b.bounds.x);
+}
+
+/**
+ * Containers that produce sections of their own
+ * @param {Object} element - Layout element
+ * @returns {boolean} True for containers that are not single components
+ */
+function isStructural(element) {
+  return !!element.children && element.children.length > 0 && !element.hasImage &&
+    !isButtonLike(element) && !element.componentTemplate && !element.annotations?.raw;
+}
+
+/**
+ * Content box of a container relative to the root frame edges
+ * @param {Object} container - Frame or container element
+ * @param {Object} root - Root frame
+ * @returns {Object} { left, right } inset in pixels
+ */
+function getHorizontalInset(container, root) {
+  const padding = container.autoLayout?.padding || NO_PADDING;
+
+  return {
+    left: Math.max(0, container.bounds.x + padding.left - root.bounds.x),
+    right: Math.max(0, root.bounds.x + root.bounds.width - (container.bounds.x + container.bounds.width) + padding.right)
+  };
+}
+
+/**
+ * Horizontal alignment of a child within its container: the counter axis
+ * alignment for vertical auto-layout, inferred from position otherwise
+ * @param {Object} container - Parent container
+ * @param {Object} child - Child element
+ * @returns {string} left, center or right
+ */
+function getAlignment(container, child) {
+  if (container.autoLayout?.mode === 'VERTICAL') {
+    return COUNTER_AXIS_ALIGN[container.autoLayout.counterAxisAlignItems] || 'left';
+  }
+
+  const padding = container.autoLayout?.padding || NO_PADDING;
+  const boxLeft = container.bounds.x + padding.left;
+  const boxRight = container.bounds.x + container.bounds.width - padding.right;
+  const childLeft = child.bounds.x;
+  const childRight = child.bounds.x + child.bounds.width;
+
+  if (childRight - childLeft >= boxRight - boxLeft - 4) return 'left';
+  if (Math.abs((childLeft + childRight) / 2 - (boxLeft + boxRight) / 2) <= 2) return 'center';
+  if (Math.abs(childRight - boxRight) <= 2) return 'right';
+  return 'left';
+}
+
+/**
+ * Alignment of content inside a column created from a row child
+ * @param {Object} child - Row child
+ * @returns {string} left, center or right
+ */
+function getColumnAlignment(child) {
+  if (child.autoLayout?.mode === 'VERTICAL') {
+    return COUNTER_AXIS_ALIGN[child.autoLayout.counterAxisAlignItems] || 'left';
+  }
+  return 'left';
+}
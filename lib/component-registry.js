@@ -0,0 +1,199 @@
+/**
+ * Component Registry
+ * Maps shared Figma components (by component key or name pattern) to fixed
+ * MJML snippets, so known blocks render identically on every conversion.
+ * Snippets are configured in config/mjml-components.json.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { escapeAttribute, findLink } from './mjml-elements.js';
+
+/**
+ * Registry location, relative to the project root
+ */
+const DEFAULT_REGISTRY_PATH = 'config/mjml-components.json';
+
+/**
+ * Slot placeholders inside snippet templates, e.g. {{label}}
+ */
+const SLOT_PATTERN = /\{\{\s*([\w-]+)\s*\}\}/g;
+
+let cachedRegistry = null;
+
+/**
+ * Load the component registry. The file is re-read when it changes; a
+ * missing file means an empty registry.
+ * @param {string} registryPath - Path to the registry JSON
+ * @returns {Array} Registry entries ({ name, pattern, keys, slots, mjml })
+ */
+export async function loadComponentRegistry(registryPath = process.env.MJML_COMPONENTS_PATH || DEFAULT_REGISTRY_PATH) {
+  const filePath = path.resolve(process.cwd(), registryPath);
+
+  let stat;
+  try {
+    stat = await fs.stat(filePath);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  if (cachedRegistry && cachedRegistry.filePath === filePath && cachedRegistry.mtimeMs === stat.mtimeMs) {
+    return cachedRegistry.entries;
+  }
+
+  const config = JSON.parse(await fs.readFile(filePath, 'utf8'));
+  const entries = (config.components || []).map((entry, index) => {
+    if (!entry.mjml || (!entry.match && !entry.keys)) {
+      throw new Error(`Component registry entry ${entry.name || index} needs "mjml" and "match" or "keys"`);
+    }
+
+    return {
+      name: entry.name || entry.match,
+      pattern: entry.match ? new RegExp(entry.match, 'i') : null,
+      keys: new Set(entry.keys || []),
+      slots: entry.slots || {},
+      mjml: Array.isArray(entry.mjml) ? entry.mjml.join('\n') : entry.mjml
+    };
+  });
+
+  cachedRegistry = { filePath, mtimeMs: stat.mtimeMs, entries };
+  return entries;
+}
+
+/**
+ * Find the registry entry for a component instance. Keys win over name patterns.
+ * @param {Object} component - Component info recorded on an INSTANCE element
+ * @param {Array} registry - Registry entries
+ * @returns {Object|null} Registry entry
+ */
+export function findComponentEntry(component, registry) {
+  if (!component) return null;
+
+  const byKey = registry.find(entry =>
+    (component.key && entry.keys.has(component.key)) || (component.setKey && entry.keys.has(component.setKey)));
+  if (byKey) return byKey;
+
+  return registry.find(entry => entry.pattern && entry.pattern.test(component.name || '')) || null;
+}
+
+/**
+ * Render registered component instances of a layout: each matching element
+ * gets componentTemplate, which the generators emit verbatim. Children of a
+ * matched instance are not visited.
+ * @param {Object} layout - Layout produced by extractLayoutFromFigma
+ * @param {Array} registry - Registry entries
+ * @returns {Array} Matched instances ({ id, name, component, entry })
+ */
+export function applyComponentRegistry(layout, registry) {
+  const matched = [];
+  if (!registry || registry.length === 0) return matched;
+
+  const visit = elements => (elements || []).forEach(element => {
+    if (element.visible === false) return;
+
+    const entry = findComponentEntry(element.component, registry);
+    if (entry) {
+      element.componentTemplate = renderComponentTemplate(entry, element);
+      matched.push({ id: element.id, name: element.name, component: element.component.name, entry: entry.name });
+      return;
+    }
+
+    visit(element.children);
+  });
+  visit(layout.elements);
+
+  return matched;
+}
+
+/**
+ * Describe registered instances for AI prompts
+ * @param {Array} elements - Layout elements after applyComponentRegistry
+ * @returns {string} Prompt section, empty when nothing matched
+ */
+export function describeRegisteredComponents(elements = []) {
+  const snippets = [];
+  const collect = list => list.forEach(element => {
+    if (element.componentTemplate) {
+      snippets.push(`- ${element.component.name} ("${element.name}"):\n${element.componentTemplate}`);
+    } else if (element.children) {
+      collect(element.children);
+    }
+  });
+  collect(elements);
+
+  if (snippets.length === 0) return '';
+
+  return `
+**Registered components (insert these MJML snippets verbatim inside an mj-column, in layout order):**
+${snippets.join('\n')}
+`;
+}
+
+/**
+ * Fill a snippet's slots from an instance. A slot may read a component
+ * property, the text of a named layer, the image of a named layer, the
+ * instance's link or width, and falls back to its default.
+ * @param {Object} entry - Registry entry
+ * @param {Object} element - Instance element
+ * @returns {string} MJML snippet
+ */
+export function renderComponentTemplate(entry, element) {
+  return entry.mjml.replace(SLOT_PATTERN, (placeholder, slot) => {
+    const spec = entry.slots[slot] ?? { property: slot, text: slot };
+    const value = resolveSlot(typeof spec === 'string' ? { property: spec, text: spec } : spec, element);
+    return escapeAttribute(value ?? '');
+  });
+}
+
+/**
+ * Resolve one slot value
+ * @param {Object} spec - Slot specification
+ * @param {Object} element - Instance element
+ * @returns {string|undefined} Slot value
+ */
+function resolveSlot(spec, element) {
+  const properties = element.component?.properties || {};
+
+  if (spec.property && properties[spec.property] !== undefined) {
+    return String(properties[spec.property]);
+  }
+
+  if (spec.text) {
+    const text = findDescendant(element, child => child.type === 'TEXT' && (spec.text === '*' || child.name === spec.text));
+    if (text && text.text) return text.text;
+  }
+
+  if (spec.image) {
+    const image = findDescendant(element, child => child.hasImage && (spec.image === '*' || child.name === spec.image));
+    if (image && image.imageUrl) return image.imageUrl;
+  }
+
+  if (spec.link) {
+    const link = findLink(element);
+    if (link) return link;
+  }
+
+  if (spec.width && element.bounds) {
+    return String(element.bounds.width);
+  }
+
+  return spec.default;
+}
+
+/**
+ * Depth-first search of an element and its descendants
+ * @param {Object} element - Layout element
+ * @param {Function} predicate - Match test
+ * @returns {Object|null} First matching element
+ */
+function findDescendant(element, predicate) {
+  if (predicate(element)) return element;
+
+  for (const child of element.children || []) {
+    const found = findDescendant(child, predicate);
+    if (found) return found;
+  }
+
+  return null;
+}
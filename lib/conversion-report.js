@@ -0,0 +1,174 @@
+/**
+ * Conversion Report
+ * Tells designers what did not survive a conversion: MJML validation
+ * errors, compiler warnings, design features email clients cannot show, and a
+ * link to the rendered preview, posted as a comment on the converted frame
+ */
+
+import { postFigmaComment } from './figma.js';
+import { putPreview } from './previews.js';
+
+/**
+ * Node types with no email equivalent, by display name
+ */
+const UNSUPPORTED_TYPES = {
+  STICKY: 'Sticky note',
+  SHAPE_WITH_TEXT: 'FigJam shape',
+  CONNECTOR: 'Connector',
+  WIDGET: 'Widget',
+  EMBED: 'Embed',
+  LINK_UNFURL: 'Link preview',
+  TABLE: 'Table',
+  CODE_BLOCK: 'Code block'
+};
+
+/**
+ * Items listed per comment section; the rest are counted
+ */
+const MAX_LISTED = 8;
+
+/**
+ * Find design features that the email cannot reproduce
+ * @param {Array} elements - Layout elements
+ * @returns {Array} Unsupported nodes ({ id, name, reason }) in document order
+ */
+export function findUnsupportedNodes(elements = []) {
+  const nodes = [];
+
+  const visit = list => list.forEach(element => {
+    if (element.visible === false) return;
+    const add = reason => nodes.push({ id: element.id, name: element.name, reason });
+
+    if (UNSUPPORTED_TYPES[element.type]) add(`${UNSUPPORTED_TYPES[element.type]} layers are not rendered in email`);
+    if (element.effects?.blur) add('blur is not supported in email');
+    if (element.effects?.shadows) add('shadows are dropped by most email clients');
+    if (element.gradient && !element.hasImage) add('gradient falls back to a solid color in clients without CSS gradients');
+    if (element.clipped) add('only the part inside its mask or clipping frame is kept');
+
+    if (element.children) {
+      findOverlappingText(element.children).forEach(text =>
+        nodes.push({ id: text.id, name: text.name, reason: 'overlaps other text; email stacks it in its own row' }));
+      visit(element.children);
+    }
+  });
+  visit(elements);
+  findOverlappingText(elements).forEach(text =>
+    nodes.push({ id: text.id, name: text.name, reason: 'overlaps other text; email stacks it in its own row' }));
+
+  return nodes;
+}
+
+/**
+ * Write the comment for one converted frame
+ * @param {Object} result - Frame result of convertFigmaLayouts ({ frame, generator, usedFallback, errors, warnings, validatorErrors })
+ * @param {Object} details - { previewUrl, unsupported } - unsupported defaults to findUnsupportedNodes
+ * @returns {string} Comment text
+ */
+export function buildConversionComment(result, { previewUrl = null, unsupported = findUnsupportedNodes(result.frame.elements) } = {}) {
+  const generator = result.generator === 'ai' ? 'AI' : result.generator;
+  const lines = [`📧 MJML conversion of "${result.frame.name}" (${generator})`];
+
+  // Strict validation findings the soft compile let through
+  const invalid = [...new Set((result.validatorErrors || []).map(validatorErrorText).filter(Boolean))];
+  if (invalid.length > 0) {
+    lines.push('', `❌ ${invalid.length} MJML validation error${invalid.length === 1 ? '' : 's'}:`, ...listed(invalid));
+  }
+
+  // Soft validation reports MJML validator findings as errors of a successful compile
+  const validatorMessages = new Set((result.validatorErrors || []).map(warningText));
+  const warnings = [...new Set([...(result.errors || []), ...(result.warnings || [])]
+    .map(warningText)
+    .filter(text => text && !validatorMessages.has(text)))];
+  if (warnings.length > 0) {
+    lines.push('', `⚠️ ${warnings.length} warning${warnings.length === 1 ? '' : 's'}:`, ...listed(warnings));
+  }
+
+  if (unsupported.length > 0) {
+    lines.push('', `🚫 Not supported in email (${unsupported.length}):`,
+      ...listed(unsupported.map(node => `"${node.name}": ${node.reason}`)));
+  }
+
+  if (invalid.length === 0 && warnings.length === 0 && unsupported.length === 0) {
+    lines.push('', '✅ Converted without warnings');
+  }
+
+  if (previewUrl) {
+    lines.push('', `Preview: ${previewUrl}`);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Store the compiled HTML so the comment can link to it
+ * @param {string} html - Compiled email
+ * @param {string} origin - Public origin of this server, used when the store returns a relative URL
+ * @returns {string|null} Preview URL, null when the HTML could not be stored
+ */
+export async function storePreview(html, origin = '') {
+  try {
+    const preview = await putPreview(html);
+    return preview.url.startsWith('/') ? `${origin}${preview.url}` : preview.url;
+  } catch (error) {
+    console.warn('⚠️ Could not store preview:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Post a conversion report on each converted frame. A failed comment never
+ * fails the conversion.
+ * @param {string} fileId - Figma file ID
+ * @param {string} token - Figma API token
+ * @param {Array} frameResults - Frame results of convertFigmaLayouts
+ * @param {Object} options - { origin }: public origin of this server for preview links
+ * @returns {Array} { frameId, commentId, previewUrl, error } per frame
+ */
+export async function postConversionComments(fileId, token, frameResults, { origin = '' } = {}) {
+  const comments = [];
+
+  for (const result of frameResults) {
+    const previewUrl = await storePreview(result.html, origin);
+    try {
+      const comment = await postFigmaComment(fileId, token, buildConversionComment(result, { previewUrl }), result.frame.id);
+      console.log(`💬 Posted conversion report on "${result.frame.name}"`);
+      comments.push({ frameId: result.frame.id, commentId: comment.id, previewUrl });
+    } catch (error) {
+      console.warn(`⚠️ Could not comment on "${result.frame.name}":`, error.message);
+      comments.push({ frameId: result.frame.id, commentId: null, previewUrl, error: error.message });
+    }
+  }
+
+  return comments;
+}
+
+/**
+ * Text layers whose bounds overlap another text layer among their siblings
+ * @param {Array} siblings - Elements sharing a parent
+ * @returns {Array} Overlapping text elements, each reported once
+ */
+function findOverlappingText(siblings) {
+  const texts = siblings.filter(element => element.type === 'TEXT' && element.visible !== false && element.bounds);
+  return texts.filter(text => texts.some(other => other !== text && overlaps(text.bounds, other.bounds)));
+}
+
+function overlaps(a, b) {
+  return a.x < b.x + b.width && b.x < a.x + a.width && a.y < b.y + b.height && b.y < a.y + a.height;
+}
+
+function warningText(warning) {
+  return typeof warning === 'string' ? warning : warning?.message || warning?.formattedMessage || null;
+}
+
+function validatorErrorText(error) {
+  const text = warningText(error);
+  if (!text) return null;
+  const where = [error.line ? `line ${error.line}` : null, error.tagName ? `<${error.tagName}>` : null].filter(Boolean);
+  return where.length > 0 ? `${where.join(', ')}: ${text}` : text;
+}
+
+function listed(items) {
+  const lines = items.slice(0, MAX_LISTED).map(item => `• ${item}`);
+  if (items.length > MAX_LISTED) lines.push(`• …and ${items.length - MAX_LISTED} more`);
+  return lines;
+}
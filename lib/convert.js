@@ -0,0 +1,447 @@
+/**
+ * Conversion Pipeline
+ * Turns extracted Figma layouts into validated MJML and compiled HTML
+ */
+
+import { generateMJMLFromLayout } from './ai.js';
+import { compileAutoLayoutMJML, hasAutoLayout } from './autolayout-mjml.js';
+import { applyComponentRegistry, loadComponentRegistry } from './component-registry.js';
+import { applyDesignTokens } from './design-tokens.js';
+import { generateFallbackMJML } from './fallback-mjml.js';
+import { getEmailSuitableFrames } from './figma.js';
+import { addFontDefinitions, collectLayoutFonts, loadFontConfig } from './fonts.js';
+import { DEFAULT_TARGET_WIDTH, normalizeTargetWidth, scaleLayout } from './frame-scaling.js';
+import { resolveImageAssets, rewriteImageSources, storeImageUploads } from './image-assets.js';
+import { compileMJML, validateMJML } from './mjml.js';
+import { addGradientStyles, assignGradientClasses } from './paint-styles.js';
+import { TEMPLATE_LANGUAGES, templateRepeatedBlocks } from './repeated-blocks.js';
+import {
+  addResponsiveStyles,
+  applyResponsiveLayout,
+  applyVisibilityAnnotations,
+  findFramePairs
+} from './responsive-frames.js';
+import { classifyLayoutBlocks } from './semantic-blocks.js';
+
+/**
+ * Convert the frames of an extracted Figma document. Requested frames are
+ * converted as-is; otherwise the best email-suitable frame is converted, or
+ * every one of them with allFrames.
+ * A desktop frame paired with a mobile frame becomes one responsive template.
+ * @param {Object} layoutData - Output of extractLayoutFromFigma or extractLayoutFromFigmaNodes
+ * @param {Object} options - Conversion options
+ * @param {Array} options.requestedIds - Frame IDs picked by the user
+ * @param {Array} options.pairs - Desktop/mobile frame ID pairs ({ desktop, mobile }) picked by the user
+ * @param {boolean} options.responsive - false to skip pairing by frame name
+ * @param {boolean} options.allFrames - Convert every email-suitable frame when none is requested, not just the best one
+ * @param {string} options.fileId - Figma file ID, needed to resolve images
+ * @param {string} options.token - Figma API token, needed to resolve images
+ * @param {Object} options.imageUploads - Images sent with the layout, by node ID (see storeImageUploads); used instead of fetching them from Figma
+ * @param {string} options.version - Pinned file version the layouts were read from, optional
+ * @param {string} options.generator - 'ai' (default) or 'deterministic'
+ * @param {string} options.templateLanguage - Loop syntax of repeated blocks, 'handlebars' or 'liquid'; without it nothing is looped
+ * @param {boolean} options.detectRepeats - false to loop [repeat] layers only, not detected copies
+ * @param {Object} options.tokens - Design tokens from buildDesignTokens, optional
+ * @param {number} options.targetWidth - Email body width wider frames are scaled to (default 600)
+ * @returns {Object} { success, emailFrames, frameResults } or, on failure,
+ *   { success: false, status, error, details, metadata }
+ */
+export async function convertFigmaLayouts(layoutData, options = {}) {
+  const { requestedIds = [], pairs = [], responsive = true, allFrames = false, ...conversionOptions } = options;
+  
+  const targetWidth = normalizeTargetWidth(conversionOptions.targetWidth);
+  if (targetWidth === null) {
+    return {
+      success: false,
+      status: 400,
+      error: `Invalid target width "${conversionOptions.targetWidth}". Use a number of pixels between 320 and 1200.`
+    };
+  }
+  
+  if (conversionOptions.templateLanguage && !TEMPLATE_LANGUAGES[conversionOptions.templateLanguage]) {
+    return {
+      success: false,
+      status: 400,
+      error: `Invalid template language "${conversionOptions.templateLanguage}". Use ${Object.keys(TEMPLATE_LANGUAGES).join(' or ')}.`
+    };
+  }
+  
+  if (!layoutData.layouts || layoutData.layouts.length === 0) {
+    return {
+      success: false,
+      status: 400,
+      error: 'No suitable layouts found in Figma file',
+      metadata: {
+        fileName: layoutData.fileName,
+        totalFrames: 0
+      }
+    };
+  }
+  
+  // Mobile frames of a pair are folded into their desktop frame, unless
+  // the user picked the mobile frame without its desktop frame
+  const framePairs = responsive
+    ? findFramePairs(layoutData.layouts, pairs)
+      .filter(pair => requestedIds.length === 0 || requestedIds.includes(pair.desktop.id))
+    : [];
+  const mobileFrames = new Set(framePairs.map(pair => pair.mobile.id));
+  const candidates = layoutData.layouts.filter(layout => !mobileFrames.has(layout.id));
+  
+  // Filter for email-suitable frames. Nodes the user pointed at
+  // are converted as-is; a page link or whole file goes through the filter.
+  const selectedFrames = candidates.filter(layout => requestedIds.includes(layout.id));
+  const emailFrames = selectedFrames.length > 0
+    ? selectedFrames
+    : getEmailSuitableFrames(candidates, targetWidth);
+  
+  if (emailFrames.length === 0) {
+    return {
+      success: false,
+      status: 400,
+      error: 'No email-suitable frames found. Try frames with visible content and height > 100px.',
+      metadata: {
+        fileName: layoutData.fileName,
+        totalFrames: layoutData.layouts.length,
+        availableFrames: layoutData.layouts.map(f => ({ 
+          name: f.name, 
+          size: `${f.width}×${f.height}` 
+        }))
+      }
+    };
+  }
+  
+  console.log(`✅ Found ${emailFrames.length} suitable frames for email conversion`);
+  
+  // Without an explicit selection only the best candidate frame is converted
+  const framesToConvert = selectedFrames.length > 0 || allFrames ? emailFrames : emailFrames.slice(0, 1);
+  const frameResults = [];
+  
+  for (const frame of framesToConvert) {
+    const pair = framePairs.find(candidate => candidate.desktop === frame);
+    const conversion = await convertLayout(layoutData.fileName, frame, {
+      ...conversionOptions,
+      targetWidth,
+      mobileLayout: pair ? pair.mobile : null
+    });
+    
+    if (!conversion.success) {
+      return {
+        success: false,
+        status: 500,
+        error: `MJML compilation failed for frame "${frame.name}"`,
+        details: conversion.errors
+      };
+    }
+    
+    frameResults.push({ frame, ...conversion });
+  }
+  
+  return { success: true, emailFrames, frameResults };
+}
+
+/**
+ * Build the API response body for a successful document conversion
+ * @param {Object} layoutData - Extracted layout data
+ * @param {Object} conversion - Result of convertFigmaLayouts
+ * @param {Object} details - Extra metadata
+ * @param {string} details.nodeId - Node the conversion was pointed at
+ * @param {number} details.processingTime - Time spent in milliseconds
+ * @param {Object} details.tokens - Design tokens used
+ * @returns {Object} Response body
+ */
+export function buildConversionResponse(layoutData, conversion, { nodeId = null, processingTime, tokens } = {}) {
+  const { emailFrames, frameResults } = conversion;
+  const primary = frameResults[0];
+  
+  return {
+    success: true,
+    mjml: primary.mjml,
+    html: primary.html,
+    usedFallback: primary.usedFallback,
+    frames: frameResults.map(result => ({
+      id: result.frame.id,
+      name: result.frame.name,
+      page: result.frame.page,
+      breadcrumbs: result.frame.breadcrumbs,
+      width: result.frame.width,
+      height: result.frame.height,
+      mjml: result.mjml,
+      html: result.html,
+      usedFallback: result.usedFallback,
+      generator: result.generator,
+      images: result.images,
+      components: result.components,
+      responsive: result.responsive,
+      loops: result.loops,
+      sampleData: result.sampleData,
+      blocks: result.blocks,
+      scale: result.scale,
+      fonts: result.fonts,
+      validation: {
+        errors: result.errors,
+        warnings: result.warnings,
+        validatorErrors: result.validatorErrors
+      }
+    })),
+    metadata: {
+      fileName: layoutData.fileName,
+      lastModified: layoutData.lastModified,
+      version: layoutData.version,
+      frameCount: emailFrames.length,
+      convertedFrameCount: frameResults.length,
+      nodeId,
+      primaryFrame: {
+        id: primary.frame.id,
+        name: primary.frame.name,
+        width: primary.frame.width,
+        height: primary.frame.height
+      },
+      scale: primary.scale,
+      processingTime,
+      designTokens: tokens ? {
+        colors: tokens.colors.length,
+        typography: tokens.typography.length,
+        spacing: tokens.spacing.length,
+        radii: tokens.radii.length,
+        fontFamily: tokens.fontFamily
+      } : null,
+      generator: primary.generator,
+      aiUsed: primary.generator === 'ai'
+    },
+    validation: {
+      errors: primary.errors,
+      warnings: primary.warnings,
+      validatorErrors: primary.validatorErrors
+    }
+  };
+}
+
+/**
+ * Pick the HTTP status and message for an error thrown during a conversion.
+ * Figma API errors carry the status Figma answered; AI provider quota
+ * errors only say so in their message.
+ * @param {Error} error - Error thrown by the conversion pipeline
+ * @returns {Object} { status, message }
+ */
+export function describeConversionError(error) {
+  const message = error.message || '';
+
+  if (error.status === 429) {
+    return { status: 429, message: 'Figma rate limit reached, please try again later' };
+  }
+  if (error.status === 401 || error.status === 403) {
+    return { status: 403, message: 'Invalid Figma token or no access to file' };
+  }
+  if (error.status === 404) {
+    return { status: 404, message: 'Figma file not found' };
+  }
+  if (message.includes('quota') || message.includes('billing')) {
+    return { status: 429, message: 'OpenAI quota exceeded. Please check your billing.' };
+  }
+
+  return { status: 500, message };
+}
+
+/**
+ * Convert a single extracted layout to MJML and HTML
+ * @param {string} fileName - Figma file name
+ * @param {Object} layout - Layout produced by extractLayoutFromFigma
+ * @param {Object} options - Conversion options
+ * @param {string} options.fileId - Figma file ID, needed to resolve images
+ * @param {string} options.token - Figma API token, needed to resolve images
+ * @param {Object} options.imageUploads - Images sent with the layout, by node ID (see storeImageUploads); used instead of fetching them from Figma
+ * @param {string} options.version - Pinned file version the layouts were read from, optional
+ * @param {string} options.generator - 'ai' (default) or 'deterministic' to skip AI entirely
+ * @param {string} options.templateLanguage - Loop syntax of repeated blocks, 'handlebars' or 'liquid'; without it nothing is looped
+ * @param {boolean} options.detectRepeats - false to loop [repeat] layers only, not detected copies
+ * @param {Object} options.tokens - Design tokens from buildDesignTokens, optional
+ * @param {Object} options.mobileLayout - Mobile version of the frame, optional
+ * @param {number} options.targetWidth - Email body width wider frames are scaled to (default 600)
+ * @returns {Object} Conversion result with MJML, HTML and validation output;
+ *   validatorErrors lists what strict MJML validation found, which the soft compile lets through
+ */
+export async function convertLayout(fileName, layout, options = {}) {
+  let mjmlCode;
+  let usedFallback = false;
+  let generator = 'ai';
+  let images = [];
+  const assetWarnings = [];
+
+  // Oversized artboards are scaled to the body width before anything reads their geometry
+  const scale = scaleLayout(layout, options.targetWidth ?? DEFAULT_TARGET_WIDTH);
+  if (scale) {
+    console.log(`📏 Scaling "${layout.name}" from ${scale.originalWidth}px to ${scale.width}px (×${scale.factor})`);
+    assetWarnings.push({
+      type: 'frame-scaled',
+      message: `Frame "${layout.name}" is ${scale.originalWidth}px wide; geometry, fonts and spacing were scaled by ${scale.factor} to fit ${scale.width}px`
+    });
+  }
+
+  // Mobile differences are folded in first, so mobile-only images resolve too
+  let responsive = null;
+  if (options.mobileLayout) {
+    console.log(`📱 Pairing with mobile frame "${options.mobileLayout.name}"...`);
+    responsive = applyResponsiveLayout(layout, options.mobileLayout);
+  }
+
+  // Layer annotations: [hide-mobile]/[hide-desktop] visibility
+  responsive = applyVisibilityAnnotations(layout, responsive);
+
+  // Resolve image fills into hosted assets so generators can use real URLs;
+  // images sent along with the layout are stored as they are
+  if (options.imageUploads || (options.fileId && options.token)) {
+    console.log('🖼️ Resolving image assets...');
+    const resolution = options.imageUploads
+      ? await storeImageUploads(layout, options.imageUploads)
+      : await resolveImageAssets(layout, options);
+    images = resolution.images;
+    resolution.failed.forEach(name => {
+      assetWarnings.push({
+        type: 'image-asset',
+        message: `Could not resolve image "${name}"; a placeholder was kept`
+      });
+    });
+  }
+
+  // With a template language, repeated cards and [repeat] layers become one
+  // looped template; runs after image resolution so the sample data holds
+  // every card's image. The templating works on a copy, so the frame kept in
+  // the template history and compared by diffs stays as designed.
+  let loops = [];
+  let sampleData = {};
+  if (options.templateLanguage) {
+    layout = structuredClone(layout);
+    ({ loops, data: sampleData } = templateRepeatedBlocks(layout.elements, {
+      language: options.templateLanguage,
+      detect: options.detectRepeats !== false
+    }));
+    if (loops.length > 0) {
+      console.log(`🔁 Looping ${loops.map(loop => `${loop.list} (${loop.count})`).join(', ')}`);
+    }
+  }
+
+  // Gradients that were not exported as images are painted with CSS
+  const gradients = assignGradientClasses(layout.elements);
+
+  // Brand font fallbacks apply while the generators write font stacks
+  await loadFontConfig();
+  const layoutFonts = collectLayoutFonts(layout.elements);
+
+  // Known shared components render from their registered snippets
+  const components = applyComponentRegistry(layout, await loadComponentRegistry());
+  if (components.length > 0) {
+    console.log(`🧩 Using registered snippets for ${components.length} component instance(s)`);
+  }
+
+  // Header, navbar, hero, feature grid, social and footer regions; runs last
+  // so the regions match what the generators see
+  const blocks = classifyLayoutBlocks(layout);
+  const recognized = blocks.filter(block => block.label !== 'content');
+  if (recognized.length > 0) {
+    console.log(`🧱 Recognized blocks: ${recognized.map(block => block.label).join(', ')}`);
+  }
+  
+  if (options.generator === 'deterministic') {
+    // Rule-based generation only, no AI providers involved
+    ({ mjml: mjmlCode, generator } = generateDeterministicMJML(fileName, layout));
+  } else {
+    // Generate MJML with Multi-Provider AI
+    try {
+      console.log(`🚀 Starting multi-provider AI generation for "${layout.name}"...`);
+      ({ mjml: mjmlCode, generator } = await generateMJMLFromLayout({
+        fileName,
+        layouts: [layout],
+        tokens: options.tokens
+      }));
+
+      // generateMJMLFromLayout falls back internally when no provider answers
+      // and reports which generator produced the template
+      usedFallback = generator !== 'ai';
+      console.log(usedFallback ? `ℹ️ Generated without AI (${generator})` : '✨ Multi-provider AI generation successful');
+
+    } catch (aiError) {
+      console.warn('⚠️ All AI providers failed, using deterministic fallback:', aiError.message);
+      ({ mjml: mjmlCode, generator } = generateDeterministicMJML(fileName, layout));
+      usedFallback = true;
+    }
+  }
+
+  // Define the mobile overrides, hide/show and gradient classes the generators referenced
+  mjmlCode = addResponsiveStyles(mjmlCode, responsive);
+  mjmlCode = addGradientStyles(mjmlCode, gradients);
+
+  // Point image tags at the stored assets with their design size
+  mjmlCode = rewriteImageSources(mjmlCode, images);
+  
+  // Reference the design's styles and variables as named classes
+  mjmlCode = applyDesignTokens(mjmlCode, options.tokens);
+
+  // Load the web fonts the template uses; brand fonts without one fall back
+  let fonts;
+  ({ mjml: mjmlCode, fonts } = addFontDefinitions(mjmlCode, layoutFonts));
+  fonts = fonts
+    .filter(font => layoutFonts.has(font.family))
+    .map(({ family, source, url, stack }) => ({ family, source, url, stack }));
+  fonts
+    .filter(font => font.source === 'unavailable')
+    .forEach(font => {
+      assetWarnings.push({
+        type: 'font-unavailable',
+        message: `Font "${font.family}" has no web version; add it to config/fonts.json or clients will show ${font.stack.split(', ')[1]}`
+      });
+    });
+
+  // Validate MJML
+  console.log('🔍 Validating MJML...');
+  const validation = validateMJML(mjmlCode);
+
+  if (!validation.isValid && validation.errors.length > 0) {
+    console.warn('⚠️ MJML validation issues:', validation.errors);
+    // Continue anyway for soft validation; the issues are reported with the result
+  }
+
+  // Compile to HTML
+  console.log('⚙️ Compiling MJML to HTML...');
+  const compilation = compileMJML(mjmlCode, {
+    beautify: true,
+    validationLevel: 'soft'
+  });
+
+  return {
+    success: compilation.success,
+    mjml: mjmlCode,
+    html: compilation.html,
+    usedFallback,
+    generator,
+    images,
+    components,
+    responsive,
+    loops,
+    sampleData,
+    blocks,
+    scale,
+    fonts,
+    errors: compilation.errors || [],
+    warnings: [...(compilation.warnings || []), ...assetWarnings],
+    validatorErrors: validation.errors
+  };
+}
+
+/**
+ * Generate MJML without AI: auto-layout frames are compiled from their
+ * structure, anything else uses the layout-based fallback template
+ * @param {string} fileName - Figma file name
+ * @param {Object} layout - Layout produced by extractLayoutFromFigma
+ * @returns {Object} { mjml, generator }
+ */
+function generateDeterministicMJML(fileName, layout) {
+  if (hasAutoLayout(layout)) {
+    console.log('📐 Compiling auto-layout structure to MJML...');
+    return { mjml: compileAutoLayoutMJML(layout, fileName), generator: 'auto-layout' };
+  }
+
+  return {
+    mjml: generateFallbackMJML({ fileName, layouts: [layout] }),
+    generator: 'fallback'
+  };
+}
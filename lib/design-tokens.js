@@ -0,0 +1,450 @@
+/**
+ * Design Tokens
+ * Builds a token set (colors, type ramp, spacing, radii) from a Figma file's
+ * published styles and local variables, and applies it to generated MJML as
+ * named mj-class definitions instead of repeated literal values
+ */
+
+import { extractColor, extractTextStyle } from './figma.js';
+import { fontStack } from './fonts.js';
+
+/**
+ * Stand-in brand color used by the generators when the design has none
+ */
+const DEFAULT_BRAND_COLOR = '#007bff';
+
+/**
+ * Typography attributes a type token defines, with the token field behind each
+ */
+const TYPE_ATTRIBUTES = {
+  'font-size': token => `${token.fontSize}px`,
+  'font-weight': token => token.fontWeight && String(token.fontWeight),
+  'font-family': token => token.fontFamily && fontStack(token.fontFamily),
+  'line-height': token => token.lineHeight,
+  'letter-spacing': token => token.letterSpacing && `${token.letterSpacing}px`,
+  'text-transform': token => token.textTransform,
+  'font-style': token => token.italic ? 'italic' : null
+};
+
+/**
+ * Build design tokens from a file or nodes response and the file's variables.
+ * Style values are read from the nodes that use each published style.
+ * @param {Object} figmaData - Response of fetchFigmaFile or fetchFigmaNodes
+ * @param {Object} variables - Response of fetchFigmaLocalVariables, optional
+ * @returns {Object} { colors, typography, spacing, radii, fontFamily, primaryColor }
+ */
+export function buildDesignTokens(figmaData, variables = null) {
+  const { documents, styles } = getDocumentsAndStyles(figmaData);
+  const tokens = { colors: [], typography: [], spacing: [], radii: [], fontFamily: null, primaryColor: null };
+  const classNames = new Set();
+  const seenStyles = new Set();
+  const fontUsage = {};
+
+  const walk = node => {
+    if (node.type === 'TEXT' && node.style?.fontFamily) {
+      fontUsage[node.style.fontFamily] = (fontUsage[node.style.fontFamily] || 0) + (node.characters?.length || 1);
+    }
+
+    Object.entries(node.styles || {}).forEach(([kind, styleId]) => {
+      const style = styles[styleId];
+      if (!style || seenStyles.has(styleId)) return;
+
+      if (kind === 'fill' && style.styleType === 'FILL') {
+        const fill = (node.fills || []).find(paint => paint.type === 'SOLID' && paint.visible !== false);
+        if (!fill) return;
+        seenStyles.add(styleId);
+        tokens.colors.push({
+          name: style.name,
+          className: uniqueClassName(style.name, classNames),
+          value: extractColor({ ...fill.color, a: (fill.color.a ?? 1) * (fill.opacity ?? 1) }),
+          source: 'style'
+        });
+      }
+
+      if (kind === 'text' && style.styleType === 'TEXT' && node.style) {
+        seenStyles.add(styleId);
+        tokens.typography.push({
+          name: style.name,
+          className: uniqueClassName(style.name, classNames),
+          fontSize: node.style.fontSize,
+          fontWeight: node.style.fontWeight,
+          ...extractTextStyle(node.style),
+          source: 'style'
+        });
+      }
+    });
+
+    (node.children || []).forEach(walk);
+  };
+  documents.forEach(walk);
+
+  if (variables) {
+    addVariableTokens(tokens, variables, classNames);
+  }
+
+  const fonts = Object.entries(fontUsage).sort((a, b) => b[1] - a[1]);
+  tokens.fontFamily = fonts[0]?.[0] || tokens.typography[0]?.fontFamily || null;
+
+  const primary = tokens.colors.find(color => /primary|brand|accent/i.test(color.name)) || null;
+  tokens.primaryColor = primary ? primary.className : null;
+
+  return tokens;
+}
+
+/**
+ * Check whether a token set has anything to apply
+ * @param {Object} tokens - Tokens from buildDesignTokens
+ * @returns {boolean} True when at least one token or a font family exists
+ */
+export function hasDesignTokens(tokens) {
+  if (!tokens) return false;
+  return !!tokens.fontFamily || ['colors', 'typography', 'spacing', 'radii']
+    .some(group => tokens[group] && tokens[group].length > 0);
+}
+
+/**
+ * Rewrite generated MJML to use design tokens: literal values matching a
+ * token are replaced by its mj-class, the used classes are defined in
+ * mj-attributes, and mj-all uses the design's font instead of the default.
+ * @param {string} mjmlCode - Generated MJML
+ * @param {Object} tokens - Tokens from buildDesignTokens
+ * @returns {string} MJML referencing the tokens
+ */
+export function applyDesignTokens(mjmlCode, tokens) {
+  if (!hasDesignTokens(tokens)) return mjmlCode;
+
+  const used = new Map();
+  // Published styles come first, so they win over variables with the same value
+  const colorsByValue = new Map();
+  tokens.colors.forEach(color => {
+    const value = normalizeColor(color.value);
+    if (!colorsByValue.has(value)) colorsByValue.set(value, color);
+  });
+  const primary = tokens.colors.find(color => color.className === tokens.primaryColor);
+
+  // The generators' stand-in brand color becomes the design's primary color
+  if (primary) {
+    colorsByValue.set(normalizeColor(DEFAULT_BRAND_COLOR), primary);
+  }
+
+  const useClass = (name, attributes) => {
+    used.set(name, attributes);
+    return name;
+  };
+
+  // Only body components are rewritten; mj-attributes defaults stay literal
+  const bodyStart = Math.max(0, mjmlCode.indexOf('<mj-body'));
+  const head = mjmlCode.slice(0, bodyStart);
+
+  const body = mjmlCode.slice(bodyStart).replace(/<(mj-text|mj-button|mj-image|mj-spacer|mj-section|mj-column)\b([^>]*?)(\s*\/?)>/g, (tag, name, attributeString, end) => {
+    const attributes = parseAttributes(attributeString);
+    const classes = attributes['mj-class'] ? attributes['mj-class'].split(/\s+/) : [];
+
+    if (name === 'mj-text' || name === 'mj-button') {
+      const type = findTypeToken(tokens, attributes);
+      if (type) {
+        const definition = typeDefinition(type);
+        classes.push(useClass(type.className, definition));
+        Object.keys(TYPE_ATTRIBUTES).forEach(attribute => {
+          if (attributes[attribute] !== undefined && sameValue(attribute, attributes[attribute], definition[attribute])) {
+            delete attributes[attribute];
+          }
+        });
+      }
+
+      const color = attributes.color && colorsByValue.get(normalizeColor(attributes.color));
+      if (color) {
+        classes.push(useClass(color.className, { color: color.value }));
+        delete attributes.color;
+      }
+    }
+
+    if (name !== 'mj-text' && name !== 'mj-image' && name !== 'mj-spacer') {
+      const background = attributes['background-color'] && colorsByValue.get(normalizeColor(attributes['background-color']));
+      if (background) {
+        classes.push(useClass(`${background.className}-bg`, { 'background-color': background.value }));
+        delete attributes['background-color'];
+      }
+    }
+
+    if ((name === 'mj-button' || name === 'mj-image') && attributes['border-radius']) {
+      const radius = tokens.radii.find(token => `${token.value}px` === attributes['border-radius']);
+      if (radius) {
+        classes.push(useClass(radius.className, { 'border-radius': `${radius.value}px` }));
+        delete attributes['border-radius'];
+      }
+    }
+
+    if (name === 'mj-spacer' && attributes.height) {
+      const spacing = tokens.spacing.find(token => `${token.value}px` === attributes.height);
+      if (spacing) {
+        classes.push(useClass(spacing.className, { height: `${spacing.value}px` }));
+        delete attributes.height;
+      }
+    }
+
+    if (classes.length === 0) return tag;
+
+    attributes['mj-class'] = [...new Set(classes)].join(' ');
+    return `<${name}${formatParsedAttributes(attributes)}${end.includes('/') ? ' /' : ''}>`;
+  });
+
+  return addTokenDefinitions(head + body, used, tokens, primary);
+}
+
+/**
+ * Describe the tokens for AI prompts
+ * @param {Object} tokens - Tokens from buildDesignTokens
+ * @returns {string} Prompt section, empty without tokens
+ */
+export function describeDesignTokens(tokens) {
+  if (!hasDesignTokens(tokens)) return '';
+
+  const lines = [];
+  if (tokens.fontFamily) lines.push(`- Base font: ${tokens.fontFamily}`);
+  tokens.typography.slice(0, 10).forEach(type => {
+    lines.push(`- Text style "${type.name}" (mj-class="${type.className}"): ${type.fontSize}px, weight ${type.fontWeight || 400}${type.fontFamily ? `, ${type.fontFamily}` : ''}`);
+  });
+  tokens.colors.slice(0, 10).forEach(color => {
+    lines.push(`- Color "${color.name}" (mj-class="${color.className}" for text, "${color.className}-bg" for backgrounds): ${color.value}`);
+  });
+  tokens.spacing.slice(0, 6).forEach(token => lines.push(`- Spacing "${token.name}": ${token.value}px`));
+  tokens.radii.slice(0, 6).forEach(token => lines.push(`- Radius "${token.name}": ${token.value}px`));
+
+  return `
+**Design Tokens (use these exact values; they are turned into mj-class definitions):**
+${lines.join('\n')}
+`;
+}
+
+/**
+ * Collect documents and the style map from a file or nodes response
+ * @param {Object} figmaData - Response of fetchFigmaFile or fetchFigmaNodes
+ * @returns {Object} { documents, styles }
+ */
+function getDocumentsAndStyles(figmaData) {
+  if (figmaData.nodes) {
+    const entries = Object.values(figmaData.nodes).filter(Boolean);
+    return {
+      documents: entries.map(entry => entry.document).filter(Boolean),
+      styles: Object.assign({}, ...entries.map(entry => entry.styles || {}))
+    };
+  }
+
+  return {
+    documents: figmaData.document ? [figmaData.document] : [],
+    styles: figmaData.styles || {}
+  };
+}
+
+/**
+ * Add color, spacing and radius tokens from local variables, resolved in
+ * each collection's default mode
+ * @param {Object} tokens - Token set being built
+ * @param {Object} variablesData - { variables, variableCollections }
+ * @param {Set} classNames - Class names already taken
+ */
+function addVariableTokens(tokens, variablesData, classNames) {
+  const { variables = {}, variableCollections = {} } = variablesData;
+
+  const resolve = (variable, depth = 0) => {
+    const collection = variableCollections[variable.variableCollectionId];
+    const modes = variable.valuesByMode || {};
+    const value = modes[collection?.defaultModeId] ?? Object.values(modes)[0];
+
+    if (value && value.type === 'VARIABLE_ALIAS' && depth < 5) {
+      const target = variables[value.id];
+      return target ? resolve(target, depth + 1) : undefined;
+    }
+    return value;
+  };
+
+  Object.values(variables).forEach(variable => {
+    if (variable.remote) return;
+    const value = resolve(variable);
+    if (value === undefined || value === null) return;
+
+    if (variable.resolvedType === 'COLOR' && typeof value === 'object') {
+      tokens.colors.push({
+        name: variable.name,
+        className: uniqueClassName(variable.name, classNames),
+        value: extractColor(value),
+        source: 'variable'
+      });
+    } else if (variable.resolvedType === 'FLOAT' && typeof value === 'number') {
+      const scopes = variable.scopes || [];
+      const isRadius = scopes.includes('CORNER_RADIUS') || /radius|radii|corner|round/i.test(variable.name);
+      const isSpacing = scopes.includes('GAP') || /spac|gap|padding|margin/i.test(variable.name);
+
+      if (isRadius) {
+        tokens.radii.push({ name: variable.name, className: uniqueClassName(variable.name, classNames), value, source: 'variable' });
+      } else if (isSpacing) {
+        tokens.spacing.push({ name: variable.name, className: uniqueClassName(variable.name, classNames), value, source: 'variable' });
+      }
+    }
+  });
+}
+
+/**
+ * Find the type token a text or button tag matches by size, weight and family
+ * @param {Object} tokens - Token set
+ * @param {Object} attributes - Parsed tag attributes
+ * @returns {Object|null} Type token
+ */
+function findTypeToken(tokens, attributes) {
+  const size = parseFloat(attributes['font-size']);
+  if (!size) return null;
+
+  const weight = attributes['font-weight'];
+  const family = attributes['font-family'];
+
+  return tokens.typography.find(token => {
+    if (token.fontSize !== size) return false;
+    if (family && token.fontFamily && !family.includes(token.fontFamily)) return false;
+    if (!weight) return true;
+
+    const tokenWeight = token.fontWeight || 400;
+    // Generators may only know "bold" or "normal"
+    if (weight === 'bold') return tokenWeight >= 600;
+    if (weight === 'normal') return tokenWeight < 600;
+    return Number(weight) === tokenWeight;
+  }) || null;
+}
+
+/**
+ * mj-class attributes of a type token
+ * @param {Object} token - Type token
+ * @returns {Object} Attribute names and values
+ */
+function typeDefinition(token) {
+  return Object.fromEntries(Object.entries(TYPE_ATTRIBUTES)
+    .map(([attribute, read]) => [attribute, read(token)])
+    .filter(([, value]) => value));
+}
+
+/**
+ * Check whether a tag attribute carries the same value as a class definition
+ * @param {string} attribute - Attribute name
+ * @param {string} value - Tag value
+ * @param {string} definition - Class value
+ * @returns {boolean} True when the tag value can be dropped in favor of the class
+ */
+function sameValue(attribute, value, definition) {
+  if (!definition) return false;
+  if (attribute === 'font-weight') return value === 'bold' || value === 'normal' || value === definition;
+  if (attribute === 'font-family') return definition.includes(value.split(',')[0].replace(/['"]/g, '').trim());
+  if (attribute === 'font-size') return parseFloat(value) === parseFloat(definition);
+  return value === definition;
+}
+
+/**
+ * Define the used classes in mj-attributes and set the base font
+ * @param {string} mjmlCode - MJML with mj-class references
+ * @param {Map} used - Class names and their attributes
+ * @param {Object} tokens - Token set
+ * @param {Object} primary - Primary color token
+ * @returns {string} MJML with token definitions in mj-head
+ */
+function addTokenDefinitions(mjmlCode, used, tokens, primary) {
+  let code = mjmlCode;
+  const lines = [];
+
+  if (tokens.fontFamily) {
+    const stack = fontStack(tokens.fontFamily);
+    if (/<mj-all\b[^>]*\bfont-family="/.test(code)) {
+      code = code.replace(/(<mj-all\b[^>]*?\bfont-family=")[^"]*(")/, (match, start, end) => `${start}${stack}${end}`);
+    } else {
+      lines.push(`<mj-all font-family="${stack}" />`);
+    }
+  }
+
+  // Literal stand-in colors in CSS follow the brand too
+  if (primary) {
+    code = code.replace(/<mj-style\b[\s\S]*?<\/mj-style>/g, block =>
+      block.replace(new RegExp(DEFAULT_BRAND_COLOR, 'gi'), primary.value));
+  }
+
+  used.forEach((attributes, name) => {
+    lines.push(`<mj-class name="${name}"${formatParsedAttributes(attributes)} />`);
+  });
+
+  if (lines.length === 0) return code;
+
+  const definitions = lines.map(line => `\n      ${line}`).join('');
+
+  if (/<\/mj-attributes>/.test(code)) {
+    return code.replace(/\n?(\s*)<\/mj-attributes>/, `${definitions}\n$1</mj-attributes>`);
+  }
+
+  const block = `\n    <mj-attributes>${definitions}\n    </mj-attributes>`;
+  if (/<mj-head>/.test(code)) {
+    return code.replace(/<mj-head>/, `<mj-head>${block}`);
+  }
+  return code.replace(/<mjml([^>]*)>/, `<mjml$1>\n  <mj-head>${block}\n  </mj-head>`);
+}
+
+/**
+ * Parse a tag's attribute string
+ * @param {string} attributeString - Attributes as written in the tag
+ * @returns {Object} Attribute names and values, in order
+ */
+function parseAttributes(attributeString) {
+  const attributes = {};
+  for (const match of attributeString.matchAll(/([\w-]+)="([^"]*)"/g)) {
+    attributes[match[1]] = match[2];
+  }
+  return attributes;
+}
+
+/**
+ * Format parsed attributes back into a tag attribute string. Values are
+ * written as parsed, so existing escaping is kept.
+ * @param {Object} attributes - Attribute names and values
+ * @returns {string} Attribute string with a leading space per attribute
+ */
+function formatParsedAttributes(attributes) {
+  return Object.entries(attributes)
+    .map(([name, value]) => ` ${name}="${String(value).replace(/"/g, '&quot;')}"`)
+    .join('');
+}
+
+/**
+ * Normalize a CSS color to lowercase hex (with alpha when translucent)
+ * @param {string} value - Hex, rgb() or rgba() color
+ * @returns {string} Normalized color, or the trimmed input when unknown
+ */
+function normalizeColor(value = '') {
+  const color = value.trim().toLowerCase();
+  const toHex = number => Math.round(Number(number)).toString(16).padStart(2, '0');
+
+  const short = color.match(/^#([0-9a-f])([0-9a-f])([0-9a-f])$/);
+  if (short) return `#${short[1]}${short[1]}${short[2]}${short[2]}${short[3]}${short[3]}`;
+
+  const rgb = color.match(/^rgba?\(\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*(?:,\s*([\d.]+)\s*)?\)$/);
+  if (rgb) {
+    const alpha = rgb[4] === undefined || Number(rgb[4]) === 1 ? '' : toHex(Number(rgb[4]) * 255);
+    return `#${toHex(rgb[1])}${toHex(rgb[2])}${toHex(rgb[3])}${alpha}`;
+  }
+
+  return color;
+}
+
+/**
+ * Turn a style or variable name into a unique class name, e.g.
+ * "Brand/Primary" becomes "brand-primary"
+ * @param {string} name - Style or variable name
+ * @param {Set} taken - Class names already in use, updated
+ * @returns {string} Class name
+ */
+function uniqueClassName(name, taken) {
+  const base = String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'token';
+  let className = base;
+  let counter = 2;
+
+  while (taken.has(className)) {
+    className = `${base}-${counter++}`;
+  }
+
+  taken.add(className);
+  return className;
+}
@@ -3,6 +3,24 @@
  * Generates basic MJML templates when AI is not available
  */
 
+import { clusterElements } from './layout-clustering.js';
+import {
+  borderAttributes,
+  containerClasses,
+  escapeAttribute,
+  formatAttributes,
+  formatRadius,
+  isButtonLike,
+  isVisibleColor,
+  renderButton,
+  renderComponent,
+  renderRaw,
+  renderTextContent,
+  textStyleAttributes,
+  wrapRepeat
+} from './mjml-elements.js';
+import { renderHero, renderNavbarColumns, renderSocial } from './semantic-blocks.js';
+
 /**
  * Generate a basic MJML template from layout data
  * @param {Object} layoutData - Processed layout information
@@ -286,7 +304,7 @@ function generateEmptyTemplate(fileName = 'Untitled') {
  * @returns {string} Layout-based MJML template
  */
 function generateLayoutBasedMJML(layout, fileName) {
-  const { name, width, height, elements, backgroundColor } = layout;
+  const { name, width, elements, backgroundColor } = layout;
   
   let mjml = `<mjml>
   <mj-head>
@@ -306,49 +324,162 @@ function generateLayoutBasedMJML(layout, fileName) {
   </mj-head>
   <mj-body>`;
   
-  // Add main section
-  mjml += `\n    <mj-section css-class="frame-width" padding="20px">`;
-  mjml += `\n      <mj-column>`;
-  
-  // Always add header content
-  mjml += `\n        <mj-text align="center" font-size="24px" font-weight="600" color="#333333">`;
-  mjml += `\n          ${name || 'Email Template'}`;
-  mjml += `\n        </mj-text>`;
-  mjml += `\n        <mj-spacer height="20px" />`;
-  
-  // Process elements if available
+  // Only the design's own content: its bands and columns, no stock header or CTA
   if (elements && elements.length > 0) {
-    mjml += generateElementsFromLayout(elements);
-    mjml += `\n        <mj-spacer height="30px" />`;
+    mjml += generateClusteredSections(layout);
   }
   
-  // Always add meaningful content
-  mjml += `\n        <mj-text font-size="16px" color="#333333">`;
-  mjml += `\n          This email template was generated from your Figma design "${name}" (${width}×${height}px).`;
-  mjml += `\n        </mj-text>`;
-  mjml += `\n        <mj-spacer height="20px" />`;
-  
-  mjml += `\n        <mj-text>`;
-  mjml += `\n          <strong>✨ Ready to customize:</strong><br/>`;
-  mjml += `\n          • Replace this text with your email content<br/>`;
-  mjml += `\n          • Add your brand colors and images<br/>`;
-  mjml += `\n          • Include call-to-action buttons<br/>`;
-  mjml += `\n          • Test across email clients`;
-  mjml += `\n        </mj-text>`;
-  mjml += `\n        <mj-spacer height="30px" />`;
-  
-  mjml += `\n        <mj-button background-color="#007bff" color="white" border-radius="6px" font-weight="500" padding="12px 24px">`;
-  mjml += `\n          Get Started`;
-  mjml += `\n        </mj-button>`;
-  
-  mjml += `\n      </mj-column>`;
-  mjml += `\n    </mj-section>`;
   mjml += `\n  </mj-body>`;
   mjml += `\n</mjml>`;
   
   return mjml;
 }
 
+/**
+ * Generate sections for a hand-positioned frame: elements are clustered into
+ * horizontal bands (one section each) and side-by-side columns whose widths
+ * follow the Figma bounds. Content layered over an image or filled box
+ * becomes a section with that background.
+ * @param {Object} layout - Layout information
+ * @returns {string} MJML sections
+ */
+function generateClusteredSections(layout) {
+  const frame = {
+    x: layout.x || 0,
+    y: layout.y || 0,
+    width: layout.width,
+    height: layout.height
+  };
+  const { bands } = clusterElements(layout.elements, frame);
+  let mjmlSections = '';
+  let previousBottom = frame.y;
+  
+  bands.forEach(band => {
+    const gap = Math.max(0, Math.round(band.top - previousBottom));
+    previousBottom = band.bottom;
+    
+    // Keep the gap outside of backgrounds
+    if (band.backdrop && gap > 0) {
+      mjmlSections += `\n    <mj-section padding="0px">`;
+      mjmlSections += `\n      <mj-column>`;
+      mjmlSections += `\n        <mj-spacer height="${gap}px" />`;
+      mjmlSections += `\n      </mj-column>`;
+      mjmlSections += `\n    </mj-section>`;
+    }
+    
+    mjmlSections += generateBandSection(band, band.backdrop ? 0 : gap, frame);
+  });
+  
+  return mjmlSections;
+}
+
+/**
+ * Generate the section for one band of a clustered layout. Bands labeled by
+ * classifyLayoutBlocks become mj-hero, mj-navbar, mj-social or mj-group.
+ * @param {Object} band - Band from clusterElements
+ * @param {number} gap - Space above the band in pixels
+ * @param {Object} frame - Frame bounds
+ * @returns {string} MJML section
+ */
+function generateBandSection(band, gap, frame) {
+  const { backdrop, inset, padding, columns } = band;
+  const elements = columns.flatMap(column => column.elements);
+  const label = [backdrop, ...elements].find(element => element?.block)?.block.label;
+  
+  if (label === 'hero' && backdrop?.hasImage) {
+    return renderHero(backdrop, elements);
+  }
+  
+  let background = '';
+  
+  if (backdrop && backdrop.hasImage) {
+    const width = backdrop.bounds?.width || 600;
+    const height = backdrop.bounds?.height || 300;
+    const url = backdrop.imageUrl ||
+      `https://via.placeholder.com/${width}x${height}/f8f9fa/333333?text=Image+Placeholder`;
+    background += ` background-url="${url}" background-size="cover" background-repeat="no-repeat"`;
+  }
+  if (backdrop && isVisibleColor(backdrop.backgroundColor)) {
+    background += ` background-color="${backdrop.backgroundColor}"`;
+  }
+  
+  if (backdrop) {
+    background += formatAttributes({
+      ...borderAttributes(backdrop),
+      'border-radius': formatRadius(backdrop),
+      'mj-class': containerClasses(backdrop)
+    });
+  }
+  
+  const sectionPadding = `${gap + padding.top}px ${inset.right}px ${padding.bottom}px ${inset.left}px`;
+  let mjmlSection = `\n    <mj-section padding="${sectionPadding}"${background}>`;
+  const box = backdrop ? backdrop.bounds : frame;
+  
+  if (label === 'navbar') {
+    renderNavbarColumns(elements, box).forEach(column => {
+      mjmlSection += `\n      <mj-column width="${column.widthPercent}%" vertical-align="middle">${column.content}\n      </mj-column>`;
+    });
+    return `${mjmlSection}\n    </mj-section>`;
+  }
+  
+  if (label === 'social') {
+    mjmlSection += `\n      <mj-column>${renderSocial(elements, box)}\n      </mj-column>`;
+    return `${mjmlSection}\n    </mj-section>`;
+  }
+  
+  // Feature columns stay side by side on mobile
+  const grouped = label === 'feature-grid';
+  if (grouped) mjmlSection += `\n      <mj-group>`;
+  
+  // A looped feature card repeats its whole column, as many per row as fit
+  const card = grouped && columns.length === 1 && columns[0].elements.length === 1 ? columns[0].elements[0] : null;
+  if (card?.loop && card.children) {
+    const perRow = Math.max(1, Math.floor(frame.width / Math.max(1, card.bounds.width)));
+    const attributes = formatAttributes({
+      width: `${Math.floor(10000 / perRow) / 100}%`,
+      'background-color': isVisibleColor(card.backgroundColor) ? card.backgroundColor : null
+    });
+    const column = `\n      <mj-column${attributes}>${generateElementsFromLayout(card.children)}\n      </mj-column>`;
+    mjmlSection += wrapRepeat(card, column, '      ');
+  } else {
+    columns.forEach(column => {
+      let attributes = ` width="${column.widthPercent}%"`;
+      
+      if (column.gapBefore > 0) {
+        attributes += ` padding-left="${column.gapBefore}px"`;
+      } else if (column.paddingLeft || column.paddingRight) {
+        attributes += ` padding-left="${column.paddingLeft}px" padding-right="${column.paddingRight}px"`;
+      }
+      
+      if (column.backdrop && isVisibleColor(column.backdrop.backgroundColor)) {
+        // inner-background-color leaves the gap padding uncolored
+        const property = column.gapBefore > 0 ? 'inner-background-color' : 'background-color';
+        attributes += ` ${property}="${column.backdrop.backgroundColor}"`;
+      }
+      
+      if (column.backdrop) {
+        // Like the background, a uniform border stays inside the gap
+        const border = borderAttributes(column.backdrop);
+        const inner = column.gapBefore > 0 && !('border-top' in border);
+        attributes += formatAttributes({
+          ...(inner ? { 'inner-border': border.border } : border),
+          [inner ? 'inner-border-radius' : 'border-radius']: formatRadius(column.backdrop),
+          'mj-class': containerClasses(column.backdrop)
+        });
+      }
+      
+      mjmlSection += `\n      <mj-column${attributes}>`;
+      mjmlSection += generateElementsFromLayout(column.elements);
+      mjmlSection += `\n      </mj-column>`;
+    });
+  }
+  
+  if (grouped) mjmlSection += `\n      </mj-group>`;
+  mjmlSection += `\n    </mj-section>`;
+  
+  return mjmlSection;
+}
+
 /**
  * Generate MJML elements from layout elements
  * @param {Array} elements - Layout elements
@@ -366,24 +497,7 @@ function generateElementsFromLayout(elements) {
     });
   
   sortedElements.forEach((element, index) => {
-    switch (element.type) {
-      case 'TEXT':
-        mjmlElements += generateTextElement(element);
-        break;
-      case 'RECTANGLE':
-      case 'FRAME':
-        if (element.hasImage) {
-          mjmlElements += generateImageElement(element);
-        } else {
-          mjmlElements += generateBoxElement(element);
-        }
-        break;
-      default:
-        // Generic element
-        mjmlElements += `\n        <mj-text font-size="14px" color="#666666">`;
-        mjmlElements += `\n          [${element.type}: ${element.name}]`;
-        mjmlElements += `\n        </mj-text>`;
-    }
+    mjmlElements += generateLayoutElement(element);
     
     // Add spacing between elements
     if (index < sortedElements.length - 1) {
@@ -394,6 +508,56 @@ function generateElementsFromLayout(elements) {
   return mjmlElements;
 }
 
+/**
+ * Generate the MJML component for a single layout element, looped when it is
+ * a [repeat] layer
+ * @param {Object} element - Layout element
+ * @returns {string} MJML component
+ */
+function generateLayoutElement(element) {
+  return wrapRepeat(element, generateLayoutComponent(element));
+}
+
+/**
+ * Generate the MJML component for a single layout element
+ * @param {Object} element - Layout element
+ * @returns {string} MJML component
+ */
+function generateLayoutComponent(element) {
+  // Registered components use their fixed snippet
+  if (element.componentTemplate) {
+    return renderComponent(element);
+  }
+  
+  // [raw] layers are emitted verbatim
+  if (element.annotations?.raw) {
+    return renderRaw(element);
+  }
+  
+  // Buttons keep their label, colors and link
+  if (isButtonLike(element)) {
+    return renderButton(element, { align: 'left' });
+  }
+  
+  switch (element.type) {
+    case 'TEXT':
+      return generateTextElement(element);
+    case 'RECTANGLE':
+    case 'FRAME':
+      if (element.hasImage) return generateImageElement(element);
+      // A repeated container is the loop template for its content
+      if (element.loop && element.children) return generateElementsFromLayout(element.children);
+      return generateBoxElement(element);
+    default:
+      // Rasterized vector icons and other image-bearing layers
+      if (element.hasImage) return generateImageElement(element);
+      // Generic element
+      return `\n        <mj-text font-size="14px" color="#666666"${formatAttributes({ 'mj-class': element.responsiveClass })}>` +
+             `\n          [${element.type}: ${element.name}]` +
+             `\n        </mj-text>`;
+  }
+}
+
 /**
  * Generate MJML text element
  * @param {Object} element - Text element
@@ -403,9 +567,14 @@ function generateTextElement(element) {
   const fontSize = element.fontSize || 14;
   const color = element.textColor || '#333333';
   const fontWeight = element.fontWeight > 500 ? 'bold' : 'normal';
+  const styleAttributes = formatAttributes({
+    align: element.textAlign,
+    ...textStyleAttributes(element),
+    'mj-class': element.responsiveClass
+  });
   
-  return `\n        <mj-text font-size="${fontSize}px" color="${color}" font-weight="${fontWeight}">`+
-         `\n          ${element.text || 'Text content'}`+
+  return `\n        <mj-text font-size="${fontSize}px" color="${color}" font-weight="${fontWeight}"${styleAttributes}>`+
+         `\n          ${element.text ? renderTextContent(element) : 'Text content'}`+
          `\n        </mj-text>`;
 }
 
@@ -415,10 +584,19 @@ function generateTextElement(element) {
  * @returns {string} MJML image component
  */
 function generateImageElement(element) {
+  const alt = escapeAttribute(element.alt ?? `Image: ${element.name || 'Untitled'}`);
+  const href = formatAttributes({ href: element.link, 'mj-class': element.responsiveClass });
+  
+  // Use the hosted asset when the image fill was resolved
+  if (element.imageUrl) {
+    const height = element.imageHeight ? ` height="${element.imageHeight}px"` : '';
+    const srcset = element.imageSrcset ? ` srcset="${element.imageSrcset}"` : '';
+    return `\n        <mj-image width="${element.imageWidth}px"${height} alt="${alt}"${href} src="${element.imageUrl}"${srcset} />`;
+  }
+  
   const width = element.bounds ? `${element.bounds.width}px` : '100%';
-  const alt = `Image: ${element.name || 'Untitled'}`;
   
-  return `\n        <mj-image width="${width}" alt="${alt}" src="https://via.placeholder.com/${element.bounds?.width || 600}x${element.bounds?.height || 300}/f8f9fa/333333?text=Image+Placeholder" />`;
+  return `\n        <mj-image width="${width}" alt="${alt}"${href} src="https://via.placeholder.com/${element.bounds?.width || 600}x${element.bounds?.height || 300}/f8f9fa/333333?text=Image+Placeholder" />`;
 }
 
 /**
@@ -0,0 +1,262 @@
+/**
+ * Figma Authentication
+ * Per-user Figma OAuth2: the authorize/callback flow, token refresh, and an
+ * AES-GCM encrypted session cookie holding each user's tokens. The server's
+ * FIGMA_TOKEN is only used when the caller has not connected an account.
+ */
+
+import crypto from 'crypto';
+import { FIGMA_API_BASE } from './figma-client.js';
+
+/**
+ * Figma OAuth endpoints
+ */
+const AUTHORIZE_URL = 'https://www.figma.com/oauth';
+const TOKEN_URL = `${FIGMA_API_BASE}/oauth/token`;
+const REFRESH_URL = `${FIGMA_API_BASE}/oauth/refresh`;
+
+/**
+ * Scopes requested unless FIGMA_OAUTH_SCOPES overrides them
+ */
+const DEFAULT_SCOPES = 'current_user:read file_content:read file_metadata:read file_versions:read file_comments:write';
+
+/**
+ * Cookie names: the encrypted session and the CSRF state of a pending login
+ */
+export const SESSION_COOKIE = 'figma_session';
+const STATE_COOKIE = 'figma_oauth_state';
+
+/**
+ * Session lifetime; Figma refresh tokens last 90 days
+ */
+const SESSION_MAX_AGE = 90 * 24 * 60 * 60;
+const STATE_MAX_AGE = 10 * 60;
+
+/**
+ * Access tokens expiring sooner than this are refreshed before use
+ */
+const REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+/**
+ * Check whether Figma OAuth is set up on this server
+ * @returns {boolean} True when the client ID, client secret and session secret are set
+ */
+export function isOAuthConfigured() {
+  return Boolean(process.env.FIGMA_CLIENT_ID && process.env.FIGMA_CLIENT_SECRET && process.env.SESSION_SECRET);
+}
+
+/**
+ * Start a login: remember a random state in a cookie and build the Figma
+ * consent URL that carries it
+ * @param {Object} req - API request
+ * @param {Object} res - API response, receives the state cookie
+ * @returns {string} URL to redirect the user to
+ */
+export function beginAuthorization(req, res) {
+  const state = crypto.randomBytes(16).toString('hex');
+  appendCookie(res, serializeCookie(STATE_COOKIE, state, STATE_MAX_AGE));
+
+  const params = new URLSearchParams({
+    client_id: process.env.FIGMA_CLIENT_ID,
+    redirect_uri: redirectUri(req),
+    scope: process.env.FIGMA_OAUTH_SCOPES || DEFAULT_SCOPES,
+    state,
+    response_type: 'code'
+  });
+  return `${AUTHORIZE_URL}?${params}`;
+}
+
+/**
+ * Finish a login: check the state, exchange the code for tokens, look up
+ * the user and store everything in the session cookie
+ * @param {Object} req - Callback request with code and state
+ * @param {Object} res - API response, receives the session cookie
+ * @returns {Object} Session ({ accessToken, refreshToken, expiresAt, user })
+ */
+export async function completeAuthorization(req, res) {
+  const { code, state, error } = req.query;
+  if (error) {
+    throw new Error(`Figma authorization was declined: ${error}`);
+  }
+  if (!state || state !== req.cookies?.[STATE_COOKIE]) {
+    throw new Error('Figma authorization state mismatch, please try again');
+  }
+
+  const tokens = await requestTokens(TOKEN_URL, {
+    redirect_uri: redirectUri(req),
+    code,
+    grant_type: 'authorization_code'
+  });
+
+  const session = {
+    accessToken: tokens.access_token,
+    refreshToken: tokens.refresh_token,
+    expiresAt: Date.now() + tokens.expires_in * 1000,
+    user: await fetchCurrentUser(tokens.access_token, tokens.user_id_string || tokens.user_id)
+  };
+
+  writeSession(res, session);
+  appendCookie(res, serializeCookie(STATE_COOKIE, '', 0));
+  return session;
+}
+
+/**
+ * Get a fresh access token for the session
+ * @param {Object} session - Session from readSession
+ * @returns {Object} Session with a new accessToken and expiresAt
+ */
+export async function refreshSession(session) {
+  if (!session?.refreshToken) {
+    throw new Error('Figma session has no refresh token, please connect again');
+  }
+
+  const tokens = await requestTokens(REFRESH_URL, { refresh_token: session.refreshToken });
+  return {
+    ...session,
+    accessToken: tokens.access_token,
+    refreshToken: tokens.refresh_token || session.refreshToken,
+    expiresAt: Date.now() + tokens.expires_in * 1000
+  };
+}
+
+/**
+ * Pick the Figma token for a request: the caller's OAuth token (refreshed
+ * when it is about to expire), else the server-wide FIGMA_TOKEN. A session
+ * that can no longer be refreshed is cleared and reported instead of falling
+ * back to the server token, so the user knows to reconnect
+ * @param {Object} req - API request
+ * @param {Object} res - API response, receives the cookie of a refreshed or cleared session
+ * @returns {Object|null} { token, source, user, error } - source is 'oauth', 'env' or 'expired'
+ *   (token null, error set); null when there is no token at all
+ */
+export async function resolveFigmaToken(req, res) {
+  let session = readSession(req);
+
+  if (session) {
+    if (session.expiresAt - Date.now() < REFRESH_MARGIN_MS) {
+      try {
+        session = await refreshSession(session);
+        writeSession(res, session);
+      } catch (error) {
+        console.warn('⚠️ Could not refresh Figma session:', error.message);
+        clearSession(res);
+        return { token: null, source: 'expired', user: session.user, error: 'Figma session expired, please reconnect Figma' };
+      }
+    }
+    return { token: { type: 'oauth', accessToken: session.accessToken }, source: 'oauth', user: session.user };
+  }
+
+  if (process.env.FIGMA_TOKEN) {
+    return { token: process.env.FIGMA_TOKEN, source: 'env', user: null };
+  }
+  return null;
+}
+
+/**
+ * Decrypt the session cookie of a request
+ * @param {Object} req - API request
+ * @returns {Object|null} Session, null when missing, tampered with or unreadable
+ */
+export function readSession(req) {
+  const value = req.cookies?.[SESSION_COOKIE];
+  if (!value || !process.env.SESSION_SECRET) return null;
+
+  try {
+    const data = Buffer.from(value, 'base64url');
+    const decipher = crypto.createDecipheriv('aes-256-gcm', sessionCipherKey(), data.subarray(0, 12));
+    decipher.setAuthTag(data.subarray(12, 28));
+    const plain = Buffer.concat([decipher.update(data.subarray(28)), decipher.final()]);
+    return JSON.parse(plain.toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Encrypt a session into the session cookie
+ * @param {Object} res - API response
+ * @param {Object} session - Session to store
+ */
+export function writeSession(res, session) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', sessionCipherKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(JSON.stringify(session), 'utf8'), cipher.final()]);
+  const value = Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString('base64url');
+
+  appendCookie(res, serializeCookie(SESSION_COOKIE, value, SESSION_MAX_AGE));
+}
+
+/**
+ * Remove the session cookie
+ * @param {Object} res - API response
+ */
+export function clearSession(res) {
+  appendCookie(res, serializeCookie(SESSION_COOKIE, '', 0));
+}
+
+/**
+ * Call a Figma OAuth token endpoint with the app's client credentials
+ * @param {string} url - Token or refresh endpoint
+ * @param {Object} fields - Form fields
+ * @returns {Object} Token response
+ */
+async function requestTokens(url, fields) {
+  const credentials = Buffer.from(`${process.env.FIGMA_CLIENT_ID}:${process.env.FIGMA_CLIENT_SECRET}`).toString('base64');
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      Authorization: `Basic ${credentials}`,
+      'Content-Type': 'application/x-www-form-urlencoded'
+    },
+    body: new URLSearchParams(fields)
+  });
+
+  if (!response.ok) {
+    const error = await response.text();
+    throw new Error(`Figma OAuth error: ${response.status} ${error}`);
+  }
+
+  return await response.json();
+}
+
+/**
+ * Look up who signed in, for the audit log
+ * @param {string} accessToken - New OAuth access token
+ * @param {string} userId - User ID from the token response
+ * @returns {Object} { id, handle, email }
+ */
+async function fetchCurrentUser(accessToken, userId) {
+  try {
+    const response = await fetch(`${FIGMA_API_BASE}/me`, {
+      headers: { Authorization: `Bearer ${accessToken}` }
+    });
+    if (response.ok) {
+      const me = await response.json();
+      return { id: me.id, handle: me.handle, email: me.email };
+    }
+  } catch (error) {
+    // The ID from the token response is enough to log requests
+  }
+  return { id: String(userId), handle: null, email: null };
+}
+
+function redirectUri(req) {
+  if (process.env.FIGMA_OAUTH_REDIRECT_URI) return process.env.FIGMA_OAUTH_REDIRECT_URI;
+
+  const protocol = req.headers['x-forwarded-proto'] || 'http';
+  return `${protocol}://${req.headers.host}/api/auth/figma/callback`;
+}
+
+function sessionCipherKey() {
+  return crypto.createHash('sha256').update(process.env.SESSION_SECRET).digest();
+}
+
+function serializeCookie(name, value, maxAge) {
+  const secure = process.env.NODE_ENV === 'production' ? '; Secure' : '';
+  return `${name}=${value}; Path=/; Max-Age=${maxAge}; HttpOnly; SameSite=Lax${secure}`;
+}
+
+function appendCookie(res, cookie) {
+  const current = res.getHeader('Set-Cookie');
+  res.setHeader('Set-Cookie', [...(current ? [].concat(current) : []), cookie]);
+}
@@ -0,0 +1,284 @@
+/**
+ * Figma API Client
+ * Every Figma REST call goes through here: requests time out, rate-limited
+ * and failed calls are retried with backoff, and file responses are cached
+ * on disk per file version so an unchanged file is not downloaded again
+ */
+
+import crypto from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+
+/**
+ * Figma REST API root; FIGMA_API_BASE points it at a mock server for tests
+ */
+export const FIGMA_API_BASE = process.env.FIGMA_API_BASE || 'https://api.figma.com/v1';
+
+/**
+ * Response cache directory, relative to the project root
+ */
+const DEFAULT_CACHE_DIR = '.cache/figma';
+
+/**
+ * Request defaults, overridable with FIGMA_TIMEOUT_MS and FIGMA_MAX_RETRIES
+ */
+const DEFAULT_TIMEOUT_MS = 60000;
+const DEFAULT_MAX_RETRIES = 4;
+
+/**
+ * First backoff delay; each retry doubles it
+ */
+const BACKOFF_BASE_MS = 1000;
+
+/**
+ * Longer Retry-After waits (plan quotas) fail the request instead of holding it
+ */
+const MAX_RETRY_WAIT_MS = 60000;
+
+/**
+ * How long a file's version check is trusted, so one conversion checks once
+ */
+const VERSION_TTL_MS = 30000;
+
+/**
+ * Answers worth retrying
+ */
+const RETRY_STATUSES = new Set([429, 500, 502, 503, 504]);
+
+const versionChecks = new Map();
+
+/**
+ * GET a Figma REST endpoint
+ * @param {string} endpoint - Path below /v1, e.g. /files/:id
+ * @param {string|Object} token - Personal access token, or an OAuth token
+ *   ({ type: 'oauth', accessToken }) from resolveFigmaToken
+ * @param {Object} options - Request options
+ * @param {Object} options.params - Query parameters; empty values are left out
+ * @param {string} options.cacheFile - File ID the response belongs to. The
+ *   response is cached on disk and reused while the file's version is unchanged.
+ * @param {string} options.label - API name used in error messages
+ * @returns {Object} Parsed JSON response
+ */
+export async function figmaGet(endpoint, token, { params = {}, cacheFile = null, label = 'API' } = {}) {
+  const url = buildUrl(endpoint, params);
+  if (!cacheFile || process.env.FIGMA_CACHE === 'off') {
+    return (await requestWithRetry(url, token, label)).body;
+  }
+
+  const entryPath = cacheEntryPath(cacheFile, url);
+  const cached = await readCacheEntry(entryPath);
+
+  // Cached responses are shared between users, so the caller's access is
+  // checked first. A pinned version never changes; otherwise the file's
+  // current version decides.
+  const current = cached ? await fetchFileVersion(cacheFile, token) : null;
+  const version = params.version || current;
+  if (cached && current && cached.version === version) {
+    console.log(`📦 Using cached Figma ${label} response for ${cacheFile} (version ${version})`);
+    return cached.body;
+  }
+
+  // Endpoints without a version in their body (variables) are cached under
+  // the last version seen before the request, so a newer file misses
+  const checked = versionChecks.get(versionCheckKey(cacheFile, token))?.version || null;
+
+  const response = await requestWithRetry(url, token, label, cached?.etag);
+  if (response.notModified) {
+    await writeCacheEntry(entryPath, { ...cached, version: version || cached.version });
+    return cached.body;
+  }
+
+  if (!params.version && response.body.version) {
+    versionChecks.set(versionCheckKey(cacheFile, token), { version: response.body.version, checkedAt: Date.now() });
+  }
+  await writeCacheEntry(entryPath, {
+    url,
+    version: version || response.body.version || checked,
+    lastModified: response.body.lastModified || null,
+    etag: response.etag,
+    body: response.body
+  });
+  return response.body;
+}
+
+/**
+ * POST JSON to a Figma REST endpoint. Only rate limits and failed
+ * connections are retried, so a request the server processed is not repeated.
+ * @param {string} endpoint - Path below /v1, e.g. /files/:id/comments
+ * @param {string|Object} token - Figma API token
+ * @param {Object} payload - Request body
+ * @param {Object} options - { label }: API name used in error messages
+ * @returns {Object} Parsed JSON response
+ */
+export async function figmaPost(endpoint, token, payload, { label = 'API' } = {}) {
+  const url = buildUrl(endpoint, {});
+  const request = { method: 'POST', body: JSON.stringify(payload), retryStatuses: new Set([429]) };
+  return (await requestWithRetry(url, token, label, null, request)).body;
+}
+
+/**
+ * Current version of a Figma file, read from the document root only
+ * @param {string} fileId - Figma file ID
+ * @param {string|Object} token - Figma API token
+ * @returns {string|null} Version ID, null when it could not be read
+ */
+export async function fetchFileVersion(fileId, token) {
+  const key = versionCheckKey(fileId, token);
+  const known = versionChecks.get(key);
+  if (known && Date.now() - known.checkedAt < VERSION_TTL_MS) return known.version;
+
+  try {
+    const { body } = await requestWithRetry(buildUrl(`/files/${fileId}`, { depth: 1 }), token, 'API');
+    versionChecks.set(key, { version: body.version, checkedAt: Date.now() });
+    return body.version || null;
+  } catch (error) {
+    // The real request reports the problem
+    return null;
+  }
+}
+
+/**
+ * Run a request, retrying timeouts, network errors, 429 and 5xx answers
+ * @param {string} url - Full request URL
+ * @param {string|Object} token - Figma API token
+ * @param {string} label - API name used in error messages
+ * @param {string} etag - ETag of the cached response, sent for revalidation
+ * @param {Object} request - { method, body, retryStatuses } for other than GET, optional
+ * @returns {Object} { body, etag } or { notModified: true }
+ */
+async function requestWithRetry(url, token, label, etag = null, { method = 'GET', body: payload, retryStatuses = RETRY_STATUSES } = {}) {
+  const timeout = envNumber('FIGMA_TIMEOUT_MS', DEFAULT_TIMEOUT_MS);
+  const maxRetries = envNumber('FIGMA_MAX_RETRIES', DEFAULT_MAX_RETRIES);
+
+  for (let attempt = 0; ; attempt++) {
+    let response;
+    let body;
+    try {
+      response = await fetch(url, {
+        method,
+        headers: {
+          ...authHeaders(token),
+          ...(etag ? { 'If-None-Match': etag } : {}),
+          ...(payload ? { 'Content-Type': 'application/json' } : {})
+        },
+        body: payload,
+        signal: AbortSignal.timeout(timeout)
+      });
+      if (response.status === 304) return { notModified: true };
+      if (response.ok) body = await response.json();
+    } catch (error) {
+      // Timeouts and dropped connections are retried like a 503
+      const reason = error.name === 'TimeoutError' ? `timed out after ${timeout}ms` : error.message;
+      if (attempt >= maxRetries) {
+        throw new Error(`Figma ${label} error: ${reason}`);
+      }
+      const delay = backoffDelay(attempt);
+      console.warn(`⏳ Figma ${label} request failed (${reason}), retrying in ${Math.ceil(delay / 1000)}s...`);
+      await wait(delay);
+      continue;
+    }
+
+    if (response.ok) return { body, etag: response.headers.get('etag') };
+
+    const delay = retryStatuses.has(response.status) ? retryDelay(response, attempt) : null;
+    if (delay === null || attempt >= maxRetries || delay > MAX_RETRY_WAIT_MS) {
+      const error = new Error(`Figma ${label} error: ${response.status} ${await response.text()}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    console.warn(`⏳ Figma ${label} answered ${response.status}, retrying in ${Math.ceil(delay / 1000)}s...`);
+    await wait(delay);
+  }
+}
+
+/**
+ * Wait before the next attempt: the server's Retry-After when given
+ * (seconds or an HTTP date), exponential backoff otherwise
+ * @param {Response} response - Failed response
+ * @param {number} attempt - Attempts made so far, minus one
+ * @returns {number} Delay in milliseconds
+ */
+function retryDelay(response, attempt) {
+  const retryAfter = response.headers.get('retry-after');
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+    const date = Date.parse(retryAfter);
+    if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+  }
+  return backoffDelay(attempt);
+}
+
+function backoffDelay(attempt) {
+  // Jitter keeps parallel conversions from retrying in lockstep
+  return BACKOFF_BASE_MS * 2 ** attempt + Math.round(Math.random() * BACKOFF_BASE_MS);
+}
+
+/**
+ * Personal access tokens and OAuth tokens use different headers
+ * @param {string|Object} token - Figma API token
+ * @returns {Object} Request headers
+ */
+export function authHeaders(token) {
+  return token?.type === 'oauth'
+    ? { Authorization: `Bearer ${token.accessToken}` }
+    : { 'X-Figma-Token': token };
+}
+
+function versionCheckKey(fileId, token) {
+  const secret = token?.type === 'oauth' ? token.accessToken : String(token);
+  return `${fileId}:${crypto.createHash('sha1').update(secret).digest('hex').slice(0, 12)}`;
+}
+
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function buildUrl(endpoint, params) {
+  const query = new URLSearchParams();
+  Object.entries(params).forEach(([name, value]) => {
+    if (value !== undefined && value !== null && value !== '') query.set(name, String(value));
+  });
+  const search = query.toString();
+  return `${FIGMA_API_BASE}${endpoint}${search ? `?${search}` : ''}`;
+}
+
+function envNumber(name, fallback) {
+  const value = process.env[name] ? Number(process.env[name]) : NaN;
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+/**
+ * Cache file of a request: one per file and request URL, overwritten when
+ * the file changes
+ * @param {string} fileId - Figma file ID
+ * @param {string} url - Request URL
+ * @returns {string} Absolute path
+ */
+function cacheEntryPath(fileId, url) {
+  const dir = path.resolve(process.cwd(), process.env.FIGMA_CACHE_DIR || DEFAULT_CACHE_DIR);
+  const hash = crypto.createHash('sha1').update(url).digest('hex').slice(0, 16);
+  return path.join(dir, fileId.replace(/[^\w-]/g, '_'), `${hash}.json`);
+}
+
+async function readCacheEntry(entryPath) {
+  try {
+    return JSON.parse(await fs.readFile(entryPath, 'utf8'));
+  } catch (error) {
+    // Missing or half-written entries are cache misses
+    return null;
+  }
+}
+
+async function writeCacheEntry(entryPath, entry) {
+  try {
+    await fs.mkdir(path.dirname(entryPath), { recursive: true });
+    const tempPath = `${entryPath}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify({ ...entry, storedAt: new Date().toISOString() }));
+    await fs.rename(tempPath, entryPath);
+  } catch (error) {
+    console.warn('⚠️ Could not write Figma cache entry:', error.message);
+  }
+}
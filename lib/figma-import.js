@@ -0,0 +1,81 @@
+/**
+ * Figma Export Import
+ * Reads Figma REST API responses saved to disk (GET /v1/files/:id or
+ * GET /v1/files/:id/nodes, optionally gzipped), so archived designs and
+ * fixture files convert without network access
+ */
+
+import { gunzipSync } from 'zlib';
+import { extractLayoutFromFigma, extractLayoutFromFigmaNodes } from './figma.js';
+
+// Ceiling for exports, the same whether uploaded plain or gzipped
+export const MAX_EXPORT_BYTES = 50 * 1024 * 1024;
+
+/**
+ * Parse an uploaded Figma export
+ * @param {Buffer|string} input - Raw file contents, plain or gzipped JSON
+ * @returns {Object} Figma file or nodes response
+ * @throws {Error} With status 413 when gzipped data inflates past MAX_EXPORT_BYTES
+ */
+export function parseFigmaExport(input) {
+  let buffer = Buffer.isBuffer(input) ? input : Buffer.from(String(input), 'utf8');
+
+  // gzip magic bytes
+  if (buffer[0] === 0x1f && buffer[1] === 0x8b) {
+    try {
+      buffer = gunzipSync(buffer, { maxOutputLength: MAX_EXPORT_BYTES });
+    } catch (error) {
+      if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+        const tooLarge = new Error(`Figma export is too large once decompressed (max ${MAX_EXPORT_BYTES / 1024 / 1024}MB)`);
+        tooLarge.code = error.code;
+        tooLarge.status = 413;
+        throw tooLarge;
+      }
+      throw new Error(`Invalid Figma export: could not decompress gzip data (${error.message})`);
+    }
+  }
+
+  let data;
+  try {
+    data = JSON.parse(buffer.toString('utf8'));
+  } catch (error) {
+    throw new Error(`Invalid Figma export: not valid JSON (${error.message})`);
+  }
+
+  if (!data || typeof data !== 'object') {
+    throw new Error('Invalid Figma export: expected a JSON object');
+  }
+
+  if (data.status && data.err) {
+    throw new Error(`Invalid Figma export: file holds a Figma API error (${data.status} ${data.err})`);
+  }
+
+  if (!isFileExport(data) && !isNodesExport(data)) {
+    throw new Error('Invalid Figma export: expected the response of GET /v1/files/:id (with document.children) or GET /v1/files/:id/nodes (with nodes)');
+  }
+
+  return data;
+}
+
+/**
+ * Extract layouts from a parsed export, whichever endpoint it came from.
+ * A nodes export yields a layout for every node it holds.
+ * @param {Object} data - Parsed Figma export
+ * @param {Object} walkOptions - Frame walker settings, optional
+ * @returns {Object} Layout data as returned by extractLayoutFromFigma
+ */
+export function extractLayoutFromExport(data, walkOptions = {}) {
+  if (isNodesExport(data)) {
+    return extractLayoutFromFigmaNodes(data, Object.keys(data.nodes), walkOptions);
+  }
+
+  return extractLayoutFromFigma(data, walkOptions);
+}
+
+function isFileExport(data) {
+  return !!data.document && Array.isArray(data.document.children);
+}
+
+function isNodesExport(data) {
+  return !!data.nodes && typeof data.nodes === 'object' && !Array.isArray(data.nodes);
+}
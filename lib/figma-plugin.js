@@ -0,0 +1,136 @@
+/**
+ * Figma Plugin Payloads
+ * Reads the selection the companion Figma plugin (figma-plugin/) exports as
+ * REST API JSON, with the same extraction as a nodes request to the REST
+ * API, and checks who may send it
+ */
+
+import crypto from 'crypto';
+import { extractLayoutFromFigmaNodes } from './figma.js';
+import { readSession } from './figma-auth.js';
+
+/**
+ * Origins plugin UIs post from: the sandboxed plugin iframe has a "null"
+ * origin, UIs loaded from figma.com keep theirs
+ */
+export const PLUGIN_ORIGINS = ['null', 'https://www.figma.com'];
+
+/**
+ * Most frames converted per plugin request
+ */
+const MAX_PLUGIN_FRAMES = 10;
+
+/**
+ * Deepest node nesting accepted
+ */
+const MAX_ELEMENT_DEPTH = 50;
+
+/**
+ * Set the CORS headers of a plugin route; other sites get no CORS access
+ * @param {Object} req - API request
+ * @param {Object} res - API response
+ */
+export function setPluginCorsHeaders(req, res) {
+  res.setHeader('Vary', 'Origin');
+  if (PLUGIN_ORIGINS.includes(req.headers.origin)) {
+    res.setHeader('Access-Control-Allow-Origin', req.headers.origin);
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  }
+}
+
+/**
+ * Check that a plugin request carries the shared FIGMA_PLUGIN_TOKEN as a
+ * bearer token, or comes from a browser with a Figma OAuth session
+ * @param {Object} req - API request
+ * @returns {boolean} True when the request may convert
+ */
+export function isPluginRequestAuthorized(req) {
+  if (readSession(req)) return true;
+
+  const expected = process.env.FIGMA_PLUGIN_TOKEN;
+  const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+  if (!expected || !match) return false;
+
+  // Compare digests so the comparison takes the same time for any input
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(match[1].trim()), digest(expected));
+}
+
+/**
+ * Validate a plugin request body and extract its layouts
+ * @param {Object} body - { fileName, nodes, images } as posted by the plugin;
+ *   nodes are GET /v1/files/:id/nodes entries ({ document, components,
+ *   componentSets, styles }) plus the frame's page and breadcrumbs
+ * @returns {Object} { figmaData, layoutData, images } - figmaData in the shape
+ *   of a nodes response, layoutData as extractLayoutFromFigmaNodes returns it;
+ *   images map node IDs to { data, data1x }
+ */
+export function parsePluginPayload(body) {
+  const nodes = body?.nodes;
+
+  if (!nodes || typeof nodes !== 'object' || Array.isArray(nodes) || Object.keys(nodes).length === 0) {
+    throw new Error('Invalid plugin payload: expected nodes with at least one exported frame');
+  }
+  if (Object.keys(nodes).length > MAX_PLUGIN_FRAMES) {
+    throw new Error(`Invalid plugin payload: select at most ${MAX_PLUGIN_FRAMES} frames`);
+  }
+
+  Object.entries(nodes).forEach(([id, entry]) => {
+    const node = entry?.document;
+    if (!node || node.id !== id || typeof node.type !== 'string') {
+      throw new Error(`Invalid plugin payload: node ${id} needs a document with the same id and a type`);
+    }
+    if (!node.absoluteBoundingBox) {
+      throw new Error(`Invalid plugin payload: node ${id} needs an absoluteBoundingBox`);
+    }
+    checkNodes(node.children || [], id, 0);
+  });
+
+  const images = body.images && typeof body.images === 'object' ? body.images : {};
+  Object.entries(images).forEach(([id, upload]) => {
+    if (!upload || typeof upload.data !== 'string' || (upload.data1x !== undefined && typeof upload.data1x !== 'string')) {
+      throw new Error(`Invalid plugin payload: image ${id} needs base64 data`);
+    }
+  });
+
+  const figmaData = {
+    name: typeof body.fileName === 'string' ? body.fileName : 'Figma selection',
+    lastModified: null,
+    version: null,
+    nodes
+  };
+  const layoutData = extractLayoutFromFigmaNodes(figmaData, Object.keys(nodes));
+
+  // The REST API knows no page for a node; the plugin sends it along
+  layoutData.layouts.forEach(layout => {
+    const entry = nodes[layout.id];
+    if (!entry) return;
+    if (typeof entry.page === 'string') layout.page = entry.page;
+    if (Array.isArray(entry.breadcrumbs)) layout.breadcrumbs = entry.breadcrumbs.filter(name => typeof name === 'string');
+  });
+
+  return { figmaData, layoutData, images };
+}
+
+/**
+ * Check that every node has the fields the extraction relies on
+ * @param {Array} children - Child nodes
+ * @param {string} frameId - Exported frame, for error messages
+ * @param {number} depth - Nesting depth of the list
+ */
+function checkNodes(children, frameId, depth) {
+  if (depth > MAX_ELEMENT_DEPTH) {
+    throw new Error(`Invalid plugin payload: node ${frameId} is nested deeper than ${MAX_ELEMENT_DEPTH} levels`);
+  }
+  if (!Array.isArray(children)) {
+    throw new Error(`Invalid plugin payload: children in node ${frameId} must be an array`);
+  }
+
+  children.forEach(child => {
+    if (!child || typeof child.id !== 'string' || typeof child.type !== 'string') {
+      throw new Error(`Invalid plugin payload: every node in ${frameId} needs an id and a type`);
+    }
+    if (child.children !== undefined) checkNodes(child.children, frameId, depth + 1);
+  });
+}
@@ -0,0 +1,68 @@
+/**
+ * Figma Frame Walker
+ * Finds the frames worth converting on a page: descends through sections,
+ * groups and component sets, skips hidden layers and masks, and records the
+ * breadcrumb path that leads to each frame
+ */
+
+/**
+ * Default walk settings
+ */
+export const DEFAULT_WALK_OPTIONS = {
+  // Organizing nodes the walker looks inside
+  containerTypes: ['SECTION', 'GROUP', 'COMPONENT_SET'],
+  // Nodes that become a layout
+  frameTypes: ['FRAME', 'COMPONENT'],
+  // Smaller frames are likely components or thumbnails
+  minWidth: 200,
+  minHeight: 200,
+  // How many containers deep frames are looked for
+  maxDepth: 8,
+  includeHidden: false
+};
+
+/**
+ * Find the candidate frames below a page or container node
+ * @param {Object} root - Figma CANVAS, SECTION or other container node
+ * @param {Object} options - Walk settings, merged over DEFAULT_WALK_OPTIONS
+ * @param {Array} breadcrumbs - Names leading to root, root included
+ * @returns {Array} Candidates ({ node, breadcrumbs }) in document order
+ */
+export function findCandidateFrames(root, options = {}, breadcrumbs = [root.name]) {
+  const settings = { ...DEFAULT_WALK_OPTIONS, ...options };
+  const candidates = [];
+
+  const visit = (children, path, depth) => {
+    children.forEach(node => {
+      if (!settings.includeHidden && node.visible === false) return;
+
+      // A mask only shapes its siblings, it is never content of its own
+      if (node.isMask) return;
+
+      if (settings.frameTypes.includes(node.type)) {
+        if (isLargeEnough(node, settings)) {
+          candidates.push({ node, breadcrumbs: path });
+        }
+        return;
+      }
+
+      if (settings.containerTypes.includes(node.type) && node.children && depth < settings.maxDepth) {
+        visit(node.children, [...path, node.name], depth + 1);
+      }
+    });
+  };
+  visit(root.children || [], breadcrumbs, 0);
+
+  return candidates;
+}
+
+/**
+ * Check a node against the minimum frame size
+ * @param {Object} node - Figma node
+ * @param {Object} settings - Walk settings
+ * @returns {boolean} Whether the node is large enough
+ */
+function isLargeEnough(node, settings) {
+  const box = node.absoluteBoundingBox;
+  return Boolean(box) && box.width >= settings.minWidth && box.height >= settings.minHeight;
+}
@@ -0,0 +1,177 @@
+/**
+ * Figma Webhooks
+ * Keeps registered templates in step with the design: a FILE_UPDATE or
+ * FILE_VERSION_UPDATE event for a registered file re-runs the conversion of
+ * its frames and stores the result in the template history. Files are
+ * registered in config/figma-webhooks.json.
+ */
+
+import crypto from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { convertFigmaLayouts } from './convert.js';
+import { buildDesignTokens } from './design-tokens.js';
+import {
+  extractLayoutFromFigma,
+  extractLayoutFromFigmaNodes,
+  fetchFigmaFile,
+  fetchFigmaLocalVariables,
+  fetchFigmaNodes,
+  normalizeNodeId
+} from './figma.js';
+import { storeTemplateRevision } from './template-history.js';
+
+/**
+ * Registry location, relative to the project root
+ */
+const DEFAULT_REGISTRY_PATH = 'config/figma-webhooks.json';
+
+/**
+ * Events that trigger a re-conversion
+ */
+export const WEBHOOK_EVENTS = ['FILE_UPDATE', 'FILE_VERSION_UPDATE'];
+
+let cachedRegistry = null;
+
+/**
+ * Load the registered files. The file is re-read when it changes; a
+ * missing file means nothing is registered.
+ * @param {string} registryPath - Path to the registry JSON
+ * @returns {Array} Entries ({ fileId, name, frameIds, pairs, events, options })
+ */
+export async function loadWebhookRegistry(registryPath = process.env.FIGMA_WEBHOOKS_PATH || DEFAULT_REGISTRY_PATH) {
+  const filePath = path.resolve(process.cwd(), registryPath);
+
+  let stat;
+  try {
+    stat = await fs.stat(filePath);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  if (cachedRegistry && cachedRegistry.filePath === filePath && cachedRegistry.mtimeMs === stat.mtimeMs) {
+    return cachedRegistry.entries;
+  }
+
+  const config = JSON.parse(await fs.readFile(filePath, 'utf8'));
+  const entries = (config.files || []).map((entry, index) => {
+    if (!entry.fileId) {
+      throw new Error(`Webhook registry entry ${entry.name || index} needs "fileId"`);
+    }
+
+    return {
+      fileId: entry.fileId,
+      name: entry.name || entry.fileId,
+      frameIds: (entry.frameIds || []).map(normalizeNodeId),
+      pairs: (entry.pairs || []).map(pair => ({
+        desktop: normalizeNodeId(pair.desktop),
+        mobile: normalizeNodeId(pair.mobile)
+      })),
+      events: entry.events || WEBHOOK_EVENTS,
+      options: entry.options || {}
+    };
+  });
+
+  cachedRegistry = { filePath, mtimeMs: stat.mtimeMs, entries };
+  return entries;
+}
+
+/**
+ * Check a webhook payload's passcode against FIGMA_WEBHOOK_PASSCODE
+ * @param {string} passcode - Passcode sent by Figma
+ * @returns {boolean} True when it matches
+ */
+export function verifyWebhookPasscode(passcode) {
+  const expected = process.env.FIGMA_WEBHOOK_PASSCODE;
+  if (!expected || typeof passcode !== 'string') return false;
+
+  // Compare digests so the comparison takes the same time for any input
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(passcode), digest(expected));
+}
+
+/**
+ * Re-convert the frames registered for a file and store the new templates
+ * @param {Object} entry - Registry entry
+ * @param {Object} event - Webhook payload
+ * @param {string} token - Figma API token
+ * @returns {Object} { success, frames, error } - frames are
+ *   { id, name, stored, revision, summary, warnings }
+ */
+export async function reconvertRegisteredFile(entry, event, token) {
+  const requestedIds = [...entry.frameIds];
+  entry.pairs.forEach(pair => {
+    [pair.desktop, pair.mobile].forEach(id => {
+      if (!requestedIds.includes(id)) requestedIds.push(id);
+    });
+  });
+
+  // A version event converts the saved version, not whatever the file holds by now
+  const pinnedVersion = event.event_type === 'FILE_VERSION_UPDATE' && event.version_id ? event.version_id : undefined;
+  const fetchOptions = { depth: entry.options.depth, version: pinnedVersion };
+
+  // Same fetch and extraction as /api/convert-figma
+  let layoutData;
+  let figmaSource;
+  if (requestedIds.length > 0) {
+    figmaSource = await fetchFigmaNodes(entry.fileId, requestedIds, token, fetchOptions);
+    layoutData = extractLayoutFromFigmaNodes(figmaSource, requestedIds, entry.options.walk);
+  } else {
+    figmaSource = await fetchFigmaFile(entry.fileId, token, fetchOptions);
+    layoutData = extractLayoutFromFigma(figmaSource, entry.options.walk);
+  }
+
+  // Variables can only be read for the latest version
+  let variables = null;
+  if (!pinnedVersion) {
+    try {
+      variables = await fetchFigmaLocalVariables(entry.fileId, token);
+    } catch (error) {
+      console.warn('⚠️ Local variables unavailable, using published styles only:', error.message);
+    }
+  }
+
+  const conversion = await convertFigmaLayouts(layoutData, {
+    requestedIds,
+    pairs: entry.pairs,
+    responsive: entry.options.responsive !== false,
+    // A file registered without frames follows all of its email frames
+    allFrames: true,
+    fileId: entry.fileId,
+    token,
+    version: pinnedVersion,
+    generator: entry.options.generator,
+    targetWidth: entry.options.targetWidth,
+    templateLanguage: entry.options.templateLanguage,
+    detectRepeats: entry.options.detectRepeats,
+    tokens: buildDesignTokens(figmaSource, variables)
+  });
+
+  if (!conversion.success) {
+    return { success: false, error: conversion.error, frames: [] };
+  }
+
+  const frames = [];
+  for (const result of conversion.frameResults) {
+    const { stored, revision, summary } = await storeTemplateRevision(entry.fileId, result, {
+      event: event.event_type,
+      // The version the layouts were read from
+      version: pinnedVersion || figmaSource.version || null,
+      label: event.label,
+      triggeredBy: event.triggered_by?.handle
+    });
+
+    console.log(`   ${stored ? '📝' : '➖'} ${result.frame.name}: ${stored ? `revision ${revision.revision}, ` : ''}${summary}`);
+    frames.push({
+      id: result.frame.id,
+      name: result.frame.name,
+      stored,
+      revision: revision.revision,
+      summary,
+      warnings: result.warnings.length
+    });
+  }
+
+  return { success: true, frames };
+}
@@ -3,25 +3,175 @@
  * Handles fetching and processing Figma design files
  */
 
+import { figmaGet, figmaPost } from './figma-client.js';
+import { findCandidateFrames } from './figma-walker.js';
+import { DEFAULT_TARGET_WIDTH } from './frame-scaling.js';
+import { parseLayerAnnotations } from './layer-annotations.js';
+import { isVectorIcon } from './vector-icons.js';
+
 /**
- * Fetch Figma file data
+ * Fetch Figma file data. Responses are cached per file version.
  * @param {string} fileId - Figma file ID
  * @param {string} token - Figma API token
+ * @param {Object} options - Download limits, optional
+ * @param {number} options.depth - How deep into the document tree to read (1 = pages only)
+ * @param {Array} options.ids - Only include these nodes and their ancestors
+ * @param {string} options.version - Read this version instead of the current one
  * @returns {Object} Figma file data
  */
-export async function fetchFigmaFile(fileId, token) {
-  const response = await fetch(`https://api.figma.com/v1/files/${fileId}`, {
-    headers: {
-      'X-Figma-Token': token,
-    },
+export async function fetchFigmaFile(fileId, token, { depth, ids, version } = {}) {
+  return figmaGet(`/files/${fileId}`, token, {
+    params: { depth, ids: ids?.join(','), version },
+    cacheFile: fileId,
+    label: 'API'
   });
+}
+
+/**
+ * Fetch specific nodes (and their subtrees) from a Figma file
+ * @param {string} fileId - Figma file ID
+ * @param {Array} nodeIds - Array of node IDs to fetch
+ * @param {string} token - Figma API token
+ * @param {Object} options - { depth, version }, optional
+ * @returns {Object} Figma nodes response ({ name, lastModified, nodes })
+ */
+export async function fetchFigmaNodes(fileId, nodeIds, token, { depth, version } = {}) {
+  return figmaGet(`/files/${fileId}/nodes`, token, {
+    params: { ids: nodeIds.join(','), depth, version },
+    cacheFile: fileId,
+    label: 'Nodes API'
+  });
+}
+
+/**
+ * List the saved versions of a Figma file, newest first
+ * @param {string} fileId - Figma file ID
+ * @param {string} token - Figma API token
+ * @param {Object} options - { before }: page cursor from a previous call, optional
+ * @returns {Object} { versions, before } - versions are { id, createdAt, label,
+ *   description, user }; before is the cursor of the next (older) page, null on the last page
+ */
+export async function fetchFigmaVersions(fileId, token, { before } = {}) {
+  const data = await figmaGet(`/files/${fileId}/versions`, token, {
+    params: { before },
+    label: 'Versions API'
+  });
+  const nextPage = data.pagination?.next_page;
+
+  return {
+    versions: (data.versions || []).map(version => ({
+      id: version.id,
+      createdAt: version.created_at,
+      label: version.label || null,
+      description: version.description || null,
+      user: version.user?.handle || null
+    })),
+    before: nextPage ? new URL(nextPage).searchParams.get('before') : null
+  };
+}
+
+/**
+ * Parse a Figma URL (design, file or proto) or a bare file ID
+ * @param {string} input - Figma URL or file ID
+ * @returns {Object} { fileId, nodeId, version } - nodeId and version are null
+ *   when the URL has no node-id or version-id
+ */
+export function parseFigmaUrl(input) {
+  if (!input || typeof input !== 'string') return { fileId: null, nodeId: null, version: null };
 
-  if (!response.ok) {
-    const error = await response.text();
-    throw new Error(`Figma API error: ${response.status} ${error}`);
+  const value = input.trim();
+
+  // A bare file ID (no URL)
+  if (!value.includes('/')) return { fileId: value, nodeId: null, version: null };
+
+  // Branch URLs point at the branch file: /design/:fileId/branch/:branchId/...
+  const match = value.match(/figma\.com\/(?:design|file|proto)\/([^\/\?#]+)(?:\/branch\/([^\/\?#]+))?/);
+  const fileId = match ? (match[2] || match[1]) : value;
+
+  let nodeId = null;
+  let version = null;
+  try {
+    const url = new URL(/^https?:\/\//.test(value) ? value : `https://${value}`);
+    nodeId = url.searchParams.get('node-id');
+    version = url.searchParams.get('version-id');
+  } catch (error) {
+    // Not a parseable URL - fall back to a plain query string match
+    const nodeMatch = value.match(/[?&]node-id=([^&#]+)/);
+    const versionMatch = value.match(/[?&]version-id=([^&#]+)/);
+    nodeId = nodeMatch ? nodeMatch[1] : null;
+    version = versionMatch ? versionMatch[1] : null;
   }
 
-  return await response.json();
+  return { fileId, nodeId: normalizeNodeId(nodeId), version };
+}
+
+/**
+ * Normalize a node ID from its URL form (1-23) to its API form (1:23)
+ * @param {string} nodeId - Node ID as found in a URL or the API
+ * @returns {string|null} Node ID in API form
+ * @throws {Error} With status 400 when the ID is not a string or has a malformed %-escape
+ */
+export function normalizeNodeId(nodeId) {
+  if (!nodeId) return null;
+  if (typeof nodeId !== 'string') {
+    throw invalidRequest(`Invalid node ID ${JSON.stringify(nodeId)}: expected a string like "1:23"`);
+  }
+
+  try {
+    return decodeURIComponent(nodeId).trim().replace(/-/g, ':');
+  } catch (error) {
+    throw invalidRequest(`Invalid node ID "${nodeId}": malformed URL escape`);
+  }
+}
+
+/**
+ * Read the node IDs a request picked
+ * @param {*} value - Node IDs sent by the caller, an array when set
+ * @param {string} field - Request field, for the error message
+ * @returns {Array} Node IDs in API form, empty when unset
+ * @throws {Error} With status 400 when the value is not an array of node IDs
+ */
+export function parseNodeIdList(value, field = 'frameIds') {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value)) {
+    throw invalidRequest(`Invalid ${field}: expected an array of node IDs`);
+  }
+
+  return value.map(normalizeNodeId).filter(Boolean);
+}
+
+/**
+ * Read the desktop/mobile frame pairs a request picked
+ * @param {*} value - Pairs sent by the caller, an array of { desktop, mobile } when set
+ * @param {string} field - Request field, for the error message
+ * @returns {Array} { desktop, mobile } pairs with node IDs in API form
+ * @throws {Error} With status 400 when a pair is malformed
+ */
+export function parseFramePairs(value, field = 'pairs') {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value)) {
+    throw invalidRequest(`Invalid ${field}: expected an array of { desktop, mobile } node IDs`);
+  }
+
+  return value.map(pair => {
+    const desktop = normalizeNodeId(pair?.desktop);
+    const mobile = normalizeNodeId(pair?.mobile);
+    if (!desktop || !mobile) {
+      throw invalidRequest(`Invalid ${field}: every pair needs a desktop and a mobile node ID`);
+    }
+    return { desktop, mobile };
+  });
+}
+
+/**
+ * Error for malformed request input, answered with a 400
+ * @param {string} message - What is wrong with the input
+ * @returns {Error} Error with status 400
+ */
+function invalidRequest(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
 }
 
 /**
@@ -30,70 +180,81 @@ export async function fetchFigmaFile(fileId, token) {
  * @param {Array} nodeIds - Array of node IDs to get images for
  * @param {string} token - Figma API token
  * @param {string} format - Image format (png, jpg, svg, pdf)
+ * @param {number} scale - Render scale between 0.01 and 4
+ * @param {string} version - Render the nodes as they were in this version, optional
  * @returns {Object} Image URLs
  */
-export async function fetchFigmaImages(fileId, nodeIds, token, format = 'png') {
-  const nodeIdsString = nodeIds.join(',');
-  const response = await fetch(
-    `https://api.figma.com/v1/images/${fileId}?ids=${nodeIdsString}&format=${format}&scale=2`,
-    {
-      headers: {
-        'X-Figma-Token': token,
-      },
-    }
-  );
+export async function fetchFigmaImages(fileId, nodeIds, token, format = 'png', scale = 2, version = null) {
+  // Render URLs expire, so renders are never cached
+  return figmaGet(`/images/${fileId}`, token, {
+    params: { ids: nodeIds.join(','), format, scale, version },
+    label: 'Images API'
+  });
+}
 
-  if (!response.ok) {
-    const error = await response.text();
-    throw new Error(`Figma Images API error: ${response.status} ${error}`);
-  }
+/**
+ * Fetch download URLs for every image fill in a Figma file
+ * @param {string} fileId - Figma file ID
+ * @param {string} token - Figma API token
+ * @returns {Object} Map of imageRef to image URL
+ */
+export async function fetchFigmaImageFills(fileId, token) {
+  const data = await figmaGet(`/files/${fileId}/images`, token, { label: 'Image Fills API' });
+  return data.meta?.images || {};
+}
 
-  return await response.json();
+/**
+ * Fetch the local variables and variable collections of a Figma file.
+ * The endpoint is limited to some Figma plans and answers 403 otherwise.
+ * @param {string} fileId - Figma file ID
+ * @param {string} token - Figma API token
+ * @returns {Object} { variables, variableCollections } keyed by ID
+ */
+export async function fetchFigmaLocalVariables(fileId, token) {
+  const data = await figmaGet(`/files/${fileId}/variables/local`, token, {
+    cacheFile: fileId,
+    label: 'Variables API'
+  });
+  return data.meta || { variables: {}, variableCollections: {} };
+}
+
+/**
+ * Post a comment on a Figma file, pinned to a node when one is given
+ * @param {string} fileId - Figma file ID
+ * @param {string} token - Figma API token (needs the file_comments:write scope)
+ * @param {string} message - Comment text
+ * @param {string} nodeId - Node to pin the comment to (its top left corner), optional
+ * @returns {Object} Created comment ({ id, message, client_meta, created_at })
+ */
+export async function postFigmaComment(fileId, token, message, nodeId = null) {
+  return figmaPost(`/files/${fileId}/comments`, token, {
+    message,
+    ...(nodeId ? { client_meta: { node_id: nodeId, node_offset: { x: 0, y: 0 } } } : {})
+  }, { label: 'Comments API' });
 }
 
 /**
  * Extract layout information from Figma data
  * @param {Object} figmaData - Raw Figma file data
+ * @param {Object} walkOptions - Frame walker settings (see DEFAULT_WALK_OPTIONS), optional
  * @returns {Object} Processed layout information
  */
-export function extractLayoutFromFigma(figmaData) {
+export function extractLayoutFromFigma(figmaData, walkOptions = {}) {
   const layouts = [];
   
-  // Process each page
+  // Process each page, including frames kept in sections and groups
   figmaData.document.children.forEach(page => {
     if (!page.children) return;
     
-    // Process frames in the page
-    page.children.forEach(frame => {
-      if (frame.type !== 'FRAME') return;
-      
-      // Skip frames that are too small (likely components or thumbnails)
-      if (!frame.absoluteBoundingBox || 
-          frame.absoluteBoundingBox.width < 200 || 
-          frame.absoluteBoundingBox.height < 200) {
-        return;
-      }
-      
-      const layout = {
-        id: frame.id,
-        name: frame.name,
-        page: page.name,
-        width: Math.round(frame.absoluteBoundingBox.width),
-        height: Math.round(frame.absoluteBoundingBox.height),
-        x: Math.round(frame.absoluteBoundingBox.x),
-        y: Math.round(frame.absoluteBoundingBox.y),
-        backgroundColor: extractColor(frame.backgroundColor),
-        elements: extractElements(frame.children || []),
-        styles: extractStyles(frame)
-      };
-      
-      layouts.push(layout);
+    findCandidateFrames(page, walkOptions).forEach(({ node, breadcrumbs }) => {
+      layouts.push(buildFrameLayout(node, page.name, figmaData, breadcrumbs));
     });
   });
   
   return {
     fileName: figmaData.name,
     lastModified: figmaData.lastModified,
+    version: figmaData.version || null,
     layouts: layouts.sort((a, b) => {
       // Sort by page name, then by position
       if (a.page !== b.page) return a.page.localeCompare(b.page);
@@ -102,30 +263,120 @@ export function extractLayoutFromFigma(figmaData) {
   };
 }
 
+/**
+ * Extract the layouts of nodes fetched through the nodes endpoint
+ * @param {Object} nodesData - Raw Figma nodes response
+ * @param {Array} nodeIds - Node IDs (API form) to extract, in the order to return them
+ * @param {Object} walkOptions - Frame walker settings for page and section nodes, optional
+ * @returns {Object} Processed layout information plus the IDs that were not found
+ */
+export function extractLayoutFromFigmaNodes(nodesData, nodeIds, walkOptions = {}) {
+  const layouts = [];
+  const missing = [];
+
+  nodeIds.forEach(nodeId => {
+    const node = nodesData.nodes?.[nodeId]?.document;
+    if (!node) {
+      missing.push(nodeId);
+      return;
+    }
+
+    // Component metadata is returned per requested node
+    const { components, componentSets } = nodesData.nodes[nodeId];
+
+    if (node.type === 'CANVAS') {
+      // A page link converts the page's frames, same as a whole-file conversion
+      layouts.push(...extractLayoutFromFigma({ ...nodesData, components, componentSets, document: { children: [node] } }, walkOptions).layouts);
+    } else if (node.type === 'SECTION') {
+      // So does a section link, for the frames inside the section
+      findCandidateFrames(node, walkOptions).forEach(({ node: frame, breadcrumbs }) => {
+        layouts.push(buildFrameLayout(frame, null, { components, componentSets }, breadcrumbs));
+      });
+    } else if (node.absoluteBoundingBox) {
+      // Convert exactly the node the designer pointed at, whatever its size
+      layouts.push(buildFrameLayout(node, null, { components, componentSets }));
+    }
+  });
+
+  return {
+    fileName: nodesData.name,
+    lastModified: nodesData.lastModified,
+    version: nodesData.version || null,
+    layouts,
+    missing
+  };
+}
+
+/**
+ * Build the layout description of a frame-like node
+ * @param {Object} frame - Figma frame node
+ * @param {string|null} pageName - Name of the page containing the frame
+ * @param {Object} context - File-level metadata ({ components, componentSets })
+ * @param {Array} breadcrumbs - Page, section and group names leading to the frame
+ * @returns {Object} Processed layout
+ */
+function buildFrameLayout(frame, pageName, context = {}, breadcrumbs = []) {
+  const bounds = roundBounds(frame.absoluteBoundingBox);
+  
+  return {
+    id: frame.id,
+    name: frame.name,
+    page: pageName,
+    breadcrumbs,
+    width: bounds.width,
+    height: bounds.height,
+    x: bounds.x,
+    y: bounds.y,
+    backgroundColor: extractColor(frame.backgroundColor),
+    elements: extractElements(frame.children || [], context, frame.clipsContent ? bounds : null),
+    styles: extractStyles(frame),
+    autoLayout: extractAutoLayout(frame)
+  };
+}
+
 /**
  * Extract elements from Figma frame children
  * @param {Array} children - Figma frame children
+ * @param {Object} context - File-level metadata ({ components, componentSets })
+ * @param {Object|null} clip - Visible area ({ x, y, width, height }) set by a
+ *   clipping frame or mask, null when nothing clips
  * @returns {Array} Processed elements
  */
-function extractElements(children) {
+function extractElements(children, context = {}, clip = null) {
   const elements = [];
   
   children.forEach(child => {
+    // A mask is not drawn; it clips the siblings above it
+    if (child.isMask) {
+      if (child.absoluteBoundingBox && child.visible !== false) {
+        clip = intersectBounds(clip, roundBounds(child.absoluteBoundingBox));
+      }
+      return;
+    }
+    
+    // Annotations like [cta href=...] are stripped from the display name
+    const { name, annotations } = parseLayerAnnotations(child.name);
     const element = {
       id: child.id,
-      name: child.name,
+      name,
       type: child.type,
       visible: child.visible !== false
     };
     
-    // Add bounding box if available
+    if (annotations) {
+      element.annotations = annotations;
+    }
+    
+    // Add bounding box if available, trimmed to the visible area
     if (child.absoluteBoundingBox) {
-      element.bounds = {
-        x: Math.round(child.absoluteBoundingBox.x),
-        y: Math.round(child.absoluteBoundingBox.y),
-        width: Math.round(child.absoluteBoundingBox.width),
-        height: Math.round(child.absoluteBoundingBox.height)
-      };
+      const bounds = roundBounds(child.absoluteBoundingBox);
+      element.bounds = intersectBounds(clip, bounds);
+      
+      // Content clipped away entirely never shows in the design
+      if (!element.bounds) return;
+      if (element.bounds.width !== bounds.width || element.bounds.height !== bounds.height) {
+        element.clipped = true;
+      }
     }
     
     // Extract text content
@@ -133,26 +384,88 @@ function extractElements(children) {
       element.text = child.characters;
       element.fontSize = child.style?.fontSize;
       element.fontWeight = child.style?.fontWeight;
-      element.textColor = extractColor(child.fills?.[0]?.color);
+      element.textColor = extractPaint(child.fills || []).color;
+      Object.assign(element, extractTextStyle(child.style || {}));
+      
+      // Mixed-style text (bold words, colored spans) as styled runs
+      const runs = extractTextRuns(child);
+      if (runs) {
+        element.runs = runs;
+      }
     }
     
-    // Extract image information
-    if (child.type === 'RECTANGLE' && child.fills) {
-      const imageFill = child.fills.find(fill => fill.type === 'IMAGE');
+    // Extract image information (any node can carry an image fill)
+    if (child.fills) {
+      const imageFill = child.fills.find(fill => fill.type === 'IMAGE' && fill.visible !== false);
       if (imageFill) {
         element.hasImage = true;
         element.imageRef = imageFill.imageRef;
+        element.imageScaleMode = imageFill.scaleMode;
       }
     }
     
-    // Extract background color
+    // Vectors and vector-only groups are exported as PNG, email has no SVG
+    if (child.visible !== false && isVectorIcon(child)) {
+      element.hasImage = true;
+      element.icon = true;
+    }
+    
+    // Extract background color; a gradient also keeps a solid color to fall back on
     if (child.fills && child.fills.length > 0) {
-      element.backgroundColor = extractColor(child.fills[0].color);
+      const paint = extractPaint(child.fills);
+      element.backgroundColor = paint.color;
+      if (paint.gradient && child.type !== 'TEXT') {
+        element.gradient = paint.gradient;
+      }
+    }
+    
+    if (child.cornerRadius) {
+      element.cornerRadius = child.cornerRadius;
+    }
+    const cornerRadii = extractCornerRadii(child);
+    if (cornerRadii) {
+      element.cornerRadii = cornerRadii;
+    }
+    
+    // Borders and shadows (a text stroke outlines glyphs, not a box)
+    const stroke = child.type !== 'TEXT' ? extractStroke(child) : null;
+    if (stroke) {
+      element.stroke = stroke;
+    }
+    const effects = extractEffects(child);
+    if (effects) {
+      element.effects = effects;
+    }
+    
+    // Extract links (text hyperlinks and prototype click interactions)
+    const link = extractLink(child);
+    if (link) {
+      element.link = link;
+    }
+    
+    // An annotated call to action links where the designer says
+    if (annotations?.cta?.href) {
+      element.link = annotations.cta.href;
+    }
+    if (annotations?.alt !== undefined) {
+      element.alt = annotations.alt;
+    }
+    
+    // Record which shared component an instance comes from
+    if (child.type === 'INSTANCE' && child.componentId) {
+      element.component = extractComponentInfo(child, context);
+    }
+    
+    // Extract auto-layout so structure can be compiled without guessing
+    const autoLayout = extractAutoLayout(child);
+    if (autoLayout) {
+      element.autoLayout = autoLayout;
     }
     
     // Recursively extract children
-    if (child.children && child.children.length > 0) {
-      element.children = extractElements(child.children);
+    if (child.children && child.children.length > 0 && !element.icon) {
+      const childClip = child.clipsContent && element.bounds ? element.bounds : clip;
+      element.children = extractElements(child.children, context, childClip);
     }
     
     elements.push(element);
@@ -161,6 +474,39 @@ function extractElements(children) {
   return elements;
 }
 
+/**
+ * Round a Figma bounding box to whole pixels
+ * @param {Object} box - absoluteBoundingBox
+ * @returns {Object} { x, y, width, height }
+ */
+function roundBounds(box) {
+  return {
+    x: Math.round(box.x),
+    y: Math.round(box.y),
+    width: Math.round(box.width),
+    height: Math.round(box.height)
+  };
+}
+
+/**
+ * Intersect bounds with a clipping area
+ * @param {Object|null} clip - Clipping area, null for none
+ * @param {Object} bounds - Element bounds
+ * @returns {Object|null} Visible bounds, null when nothing is visible
+ */
+function intersectBounds(clip, bounds) {
+  if (!clip) return bounds;
+  
+  const x = Math.max(clip.x, bounds.x);
+  const y = Math.max(clip.y, bounds.y);
+  const right = Math.min(clip.x + clip.width, bounds.x + bounds.width);
+  const bottom = Math.min(clip.y + clip.height, bounds.y + bounds.height);
+  
+  if (right <= x || bottom <= y) return null;
+  
+  return { x, y, width: right - x, height: bottom - y };
+}
+
 /**
  * Extract styles from Figma node
  * @param {Object} node - Figma node
@@ -179,29 +525,338 @@ function extractStyles(node) {
     styles.padding = `${node.paddingTop || 0}px ${node.paddingRight || 0}px ${node.paddingBottom || 0}px ${node.paddingLeft || 0}px`;
   }
   
+  // Auto-layout as its flexbox equivalent
+  const autoLayout = extractAutoLayout(node);
+  if (autoLayout) {
+    styles.display = 'flex';
+    styles.flexDirection = autoLayout.mode === 'HORIZONTAL' ? 'row' : 'column';
+    styles.gap = `${autoLayout.itemSpacing}px`;
+    styles.justifyContent = FLEX_ALIGNMENT[autoLayout.primaryAxisAlignItems] || 'flex-start';
+    styles.alignItems = FLEX_ALIGNMENT[autoLayout.counterAxisAlignItems] || 'flex-start';
+  }
+  
   // Effects (shadows, blurs)
-  if (node.effects && node.effects.length > 0) {
-    const shadows = node.effects
-      .filter(effect => effect.type === 'DROP_SHADOW')
-      .map(shadow => {
-        const color = extractColor(shadow.color);
-        return `${shadow.offset?.x || 0}px ${shadow.offset?.y || 0}px ${shadow.radius || 0}px ${color}`;
-      });
-    
-    if (shadows.length > 0) {
-      styles.boxShadow = shadows.join(', ');
-    }
+  const effects = extractEffects(node);
+  if (effects?.shadows) {
+    styles.boxShadow = formatShadows(effects.shadows);
   }
   
   return styles;
 }
 
+/**
+ * CSS gradient functions of Figma gradient paints
+ */
+const GRADIENT_TYPES = {
+  GRADIENT_LINEAR: 'linear',
+  GRADIENT_RADIAL: 'radial',
+  GRADIENT_DIAMOND: 'radial',
+  GRADIENT_ANGULAR: 'conic'
+};
+
+/**
+ * Extract the color of a fill or stroke list. Gradients are described as
+ * CSS and averaged into a solid color for clients that drop gradients.
+ * @param {Array} paints - Figma fills or strokes
+ * @returns {Object} { color, gradient } - gradient is { type, css } or null
+ */
+export function extractPaint(paints) {
+  const paint = paints.find(candidate => candidate.visible !== false && candidate.type !== 'IMAGE');
+  if (!paint) return { color: extractColor(null), gradient: null };
+  
+  const opacity = paint.opacity ?? 1;
+  
+  if (!GRADIENT_TYPES[paint.type] || !paint.gradientStops?.length) {
+    return { color: extractColor(paint.color && { ...paint.color, a: (paint.color.a ?? 1) * opacity }), gradient: null };
+  }
+  
+  const stops = paint.gradientStops.map(stop => ({
+    color: { ...stop.color, a: (stop.color.a ?? 1) * opacity },
+    position: stop.position
+  }));
+  const average = channel => stops.reduce((sum, stop) => sum + stop.color[channel], 0) / stops.length;
+  const type = GRADIENT_TYPES[paint.type];
+  
+  return {
+    color: extractColor({ r: average('r'), g: average('g'), b: average('b'), a: Math.round(average('a') * 100) / 100 }),
+    gradient: { type, css: formatGradient(type, stops, paint.gradientHandlePositions) }
+  };
+}
+
+/**
+ * Write gradient stops as a CSS gradient
+ * @param {string} type - linear, radial or conic
+ * @param {Array} stops - Stops with Figma colors and 0-1 positions
+ * @param {Array} handles - Figma gradient handle positions (0-1 within the box)
+ * @returns {string} CSS gradient
+ */
+function formatGradient(type, stops, handles = []) {
+  const colorStops = stops
+    .map(stop => `${extractColor(stop.color)} ${Math.round(stop.position * 100)}%`)
+    .join(', ');
+  const [start = { x: 0.5, y: 0 }, end = { x: 0.5, y: 1 }] = handles;
+  
+  if (type === 'linear') {
+    // CSS angles run clockwise from "to top"; Figma's y axis points down
+    const angle = Math.round(Math.atan2(end.x - start.x, start.y - end.y) * 180 / Math.PI);
+    return `linear-gradient(${(angle + 360) % 360}deg, ${colorStops})`;
+  }
+  
+  const center = `${Math.round(start.x * 100)}% ${Math.round(start.y * 100)}%`;
+  return type === 'conic'
+    ? `conic-gradient(from 90deg at ${center}, ${colorStops})`
+    : `radial-gradient(circle at ${center}, ${colorStops})`;
+}
+
+/**
+ * Extract a node's visible stroke as border widths per side
+ * @param {Object} node - Figma node
+ * @returns {Object|null} { color, style, top, right, bottom, left }, null without a stroke
+ */
+function extractStroke(node) {
+  if (!node.strokes?.some(stroke => stroke.visible !== false)) return null;
+  
+  const weight = node.strokeWeight ?? 1;
+  const sides = node.individualStrokeWeights || { top: weight, right: weight, bottom: weight, left: weight };
+  if (!sides.top && !sides.right && !sides.bottom && !sides.left) return null;
+  
+  return {
+    color: extractPaint(node.strokes).color,
+    style: node.strokeDashes?.length ? 'dashed' : 'solid',
+    top: sides.top || 0,
+    right: sides.right || 0,
+    bottom: sides.bottom || 0,
+    left: sides.left || 0
+  };
+}
+
+/**
+ * Extract per-corner radii when the corners differ
+ * @param {Object} node - Figma node
+ * @returns {Array|null} [topLeft, topRight, bottomRight, bottomLeft], null when uniform
+ */
+function extractCornerRadii(node) {
+  const radii = node.rectangleCornerRadii;
+  if (!Array.isArray(radii) || radii.length !== 4) return null;
+  
+  return radii.every(radius => radius === radii[0]) ? null : radii;
+}
+
+/**
+ * Extract visible shadows and blurs
+ * @param {Object} node - Figma node
+ * @returns {Object|null} { shadows, blur } - shadows as { inset, x, y, radius, spread, color }
+ */
+function extractEffects(node) {
+  const effects = (node.effects || []).filter(effect => effect.visible !== false);
+  if (effects.length === 0) return null;
+  
+  const shadows = effects
+    .filter(effect => effect.type === 'DROP_SHADOW' || effect.type === 'INNER_SHADOW')
+    .map(effect => ({
+      inset: effect.type === 'INNER_SHADOW',
+      x: effect.offset?.x || 0,
+      y: effect.offset?.y || 0,
+      radius: effect.radius || 0,
+      spread: effect.spread || 0,
+      color: extractColor(effect.color)
+    }));
+  const blur = effects.find(effect => effect.type === 'LAYER_BLUR' || effect.type === 'BACKGROUND_BLUR');
+  
+  if (shadows.length === 0 && !blur) return null;
+  
+  return {
+    shadows: shadows.length > 0 ? shadows : null,
+    blur: blur ? blur.radius || 0 : null
+  };
+}
+
+/**
+ * Write shadows as a CSS box-shadow value
+ * @param {Array} shadows - Shadows from extractEffects
+ * @returns {string} CSS box-shadow
+ */
+export function formatShadows(shadows) {
+  return shadows
+    .map(shadow => `${shadow.inset ? 'inset ' : ''}${shadow.x}px ${shadow.y}px ${shadow.radius}px${shadow.spread ? ` ${shadow.spread}px` : ''} ${shadow.color}`)
+    .join(', ');
+}
+
+/**
+ * CSS equivalents of Figma text alignment, case and decoration values
+ */
+const TEXT_ALIGN = {
+  LEFT: 'left',
+  CENTER: 'center',
+  RIGHT: 'right',
+  JUSTIFIED: 'justify'
+};
+
+const TEXT_TRANSFORM = {
+  UPPER: 'uppercase',
+  LOWER: 'lowercase',
+  TITLE: 'capitalize'
+};
+
+const TEXT_DECORATION = {
+  UNDERLINE: 'underline',
+  STRIKETHROUGH: 'line-through'
+};
+
+/**
+ * Extract typography from a Figma TypeStyle as CSS-ready values
+ * @param {Object} style - Figma TypeStyle (node style or style override)
+ * @returns {Object} Defined values of fontFamily, italic, textAlign, lineHeight,
+ *   letterSpacing, textTransform and textDecoration
+ */
+export function extractTextStyle(style) {
+  const textStyle = {
+    fontFamily: style.fontFamily,
+    italic: style.italic,
+    textAlign: TEXT_ALIGN[style.textAlignHorizontal],
+    textTransform: TEXT_TRANSFORM[style.textCase],
+    textDecoration: TEXT_DECORATION[style.textDecoration]
+  };
+  
+  if (style.lineHeightUnit === 'FONT_SIZE_%' && style.lineHeightPercentFontSize) {
+    textStyle.lineHeight = `${Math.round(style.lineHeightPercentFontSize)}%`;
+  } else if (style.lineHeightUnit !== 'INTRINSIC_%' && style.lineHeightPx) {
+    textStyle.lineHeight = `${Math.round(style.lineHeightPx * 100) / 100}px`;
+  }
+  
+  if (style.letterSpacing) {
+    textStyle.letterSpacing = Math.round(style.letterSpacing * 100) / 100;
+  }
+  
+  return Object.fromEntries(Object.entries(textStyle).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * Split a text node into runs of characters sharing the same style override
+ * @param {Object} node - Figma TEXT node
+ * @returns {Array|null} Runs ({ text, ...overridden style }), or null when the
+ *   whole text uses the node style
+ */
+function extractTextRuns(node) {
+  const overrides = node.characterStyleOverrides || [];
+  const table = node.styleOverrideTable || {};
+  
+  if (!overrides.some(styleId => styleId && table[styleId])) return null;
+  
+  // Characters past the end of the overrides array use the node style
+  const runs = [];
+  node.characters.split('').forEach((character, index) => {
+    const styleId = table[overrides[index]] ? overrides[index] : 0;
+    const current = runs[runs.length - 1];
+    
+    if (current && current.styleId === styleId) {
+      current.text += character;
+    } else {
+      runs.push({ styleId, text: character });
+    }
+  });
+  
+  return runs.map(({ styleId, text }) => {
+    const override = table[styleId];
+    if (!override) return { text };
+    
+    const run = {
+      text,
+      fontSize: override.fontSize,
+      fontWeight: override.fontWeight,
+      textColor: override.fills?.length ? extractPaint(override.fills).color : undefined,
+      link: override.hyperlink?.type === 'URL' ? override.hyperlink.url : undefined,
+      ...extractTextStyle(override)
+    };
+    
+    return Object.fromEntries(Object.entries(run).filter(([, value]) => value !== undefined));
+  });
+}
+
+/**
+ * Describe the main component of an instance: its key, its full name (the
+ * component set name for variants) and the instance's property values
+ * @param {Object} node - Figma INSTANCE node
+ * @param {Object} context - File-level metadata ({ components, componentSets })
+ * @returns {Object} { id, key, setKey, name, variant, properties }
+ */
+function extractComponentInfo(node, context) {
+  const component = context.components?.[node.componentId] || {};
+  const componentSet = component.componentSetId ? context.componentSets?.[component.componentSetId] : null;
+  
+  // Property names carry an ID suffix ("Label#12:0") that only keeps them unique
+  const properties = {};
+  Object.entries(node.componentProperties || {}).forEach(([name, property]) => {
+    properties[name.replace(/#[^#]*$/, '')] = property.value;
+  });
+  
+  return {
+    id: node.componentId,
+    key: component.key,
+    setKey: componentSet?.key,
+    name: componentSet?.name || component.name || node.name,
+    variant: componentSet ? component.name : null,
+    properties
+  };
+}
+
+/**
+ * Extract the link of a node: a click interaction that opens a URL, else a
+ * text hyperlink. Navigation to another frame has no URL in an email and is
+ * ignored.
+ * @param {Object} node - Figma node
+ * @returns {string|null} URL
+ */
+function extractLink(node) {
+  const action = (node.interactions || [])
+    .filter(interaction => !interaction.trigger || interaction.trigger.type === 'ON_CLICK')
+    .flatMap(interaction => interaction.actions || [])
+    .find(candidate => candidate?.type === 'URL' && candidate.url);
+  if (action) return action.url;
+  
+  const hyperlink = node.style?.hyperlink;
+  return hyperlink?.type === 'URL' && hyperlink.url ? hyperlink.url : null;
+}
+
+/**
+ * Flexbox equivalents of Figma auto-layout alignment values
+ */
+const FLEX_ALIGNMENT = {
+  MIN: 'flex-start',
+  CENTER: 'center',
+  MAX: 'flex-end',
+  SPACE_BETWEEN: 'space-between',
+  BASELINE: 'baseline'
+};
+
+/**
+ * Extract auto-layout settings from a Figma node
+ * @param {Object} node - Figma node
+ * @returns {Object|null} Auto-layout settings, or null for absolutely positioned nodes
+ */
+function extractAutoLayout(node) {
+  if (!node.layoutMode || node.layoutMode === 'NONE') return null;
+  
+  return {
+    mode: node.layoutMode,
+    itemSpacing: node.itemSpacing || 0,
+    primaryAxisAlignItems: node.primaryAxisAlignItems || 'MIN',
+    counterAxisAlignItems: node.counterAxisAlignItems || 'MIN',
+    padding: {
+      top: node.paddingTop || 0,
+      right: node.paddingRight || 0,
+      bottom: node.paddingBottom || 0,
+      left: node.paddingLeft || 0
+    }
+  };
+}
+
 /**
  * Extract color from Figma color object
  * @param {Object} colorObj - Figma color object
  * @returns {string} CSS color string
  */
-function extractColor(colorObj) {
+export function extractColor(colorObj) {
   if (!colorObj) return 'transparent';
   
   const { r = 0, g = 0, b = 0, a = 1 } = colorObj;
@@ -219,24 +874,60 @@ function extractColor(colorObj) {
 }
 
 /**
- * Get the most suitable frames for email conversion
+ * Assess whether a layout is suitable for email conversion
+ * @param {Object} layout - Extracted layout from Figma
+ * @param {number} targetWidth - Email body width wider frames are scaled to (default 600)
+ * @returns {Object} { suitable, needsScaling, reasons } - reasons explain the verdict
+ */
+export function assessEmailSuitability(layout, targetWidth = DEFAULT_TARGET_WIDTH) {
+  const reasons = [];
+  
+  // Frames up to the body width convert as they are, as scaleLayout does
+  const needsScaling = layout.width > targetWidth;
+  
+  // Must have some height
+  const hasContent = layout.height > 100;
+  
+  // Must have elements
+  const hasElements = layout.elements && layout.elements.length > 0;
+  
+  if (needsScaling) {
+    reasons.push(`Width ${layout.width}px is wider than the ${targetWidth}px email body and will be scaled down to it`);
+  } else {
+    reasons.push(`Width ${layout.width}px fits the ${targetWidth}px email body`);
+  }
+  
+  if (!hasContent) {
+    reasons.push(`Height ${layout.height}px is too short for an email`);
+  }
+  
+  reasons.push(hasElements
+    ? `Contains ${layout.elements.length} top-level element${layout.elements.length > 1 ? 's' : ''}`
+    : 'Frame is empty');
+  
+  return {
+    suitable: hasContent && hasElements,
+    needsScaling,
+    reasons
+  };
+}
+
+/**
+ * Get the most suitable frames for email conversion. Frames that fit the
+ * email width come first; oversized artboards follow and get scaled down.
  * @param {Array} layouts - Extracted layouts from Figma
+ * @param {number} targetWidth - Email body width wider frames are scaled to (default 600)
  * @returns {Array} Filtered layouts suitable for email
  */
-export function getEmailSuitableFrames(layouts) {
-  return layouts.filter(layout => {
-    // Prefer mobile-width frames (good for email)
-    const isMobileWidth = layout.width >= 320 && layout.width <= 600;
-    
-    // Or desktop frames that aren't too wide
-    const isReasonableWidth = layout.width <= 800;
-    
-    // Must have some height
-    const hasContent = layout.height > 100;
-    
-    // Must have elements
-    const hasElements = layout.elements && layout.elements.length > 0;
-    
-    return (isMobileWidth || isReasonableWidth) && hasContent && hasElements;
-  }).slice(0, 5); // Limit to first 5 suitable frames
-}
\ No newline at end of file
+export function getEmailSuitableFrames(layouts, targetWidth = DEFAULT_TARGET_WIDTH) {
+  const assessed = layouts
+    .map(layout => ({ layout, assessment: assessEmailSuitability(layout, targetWidth) }))
+    .filter(({ assessment }) => assessment.suitable);
+
+  return [
+    ...assessed.filter(({ assessment }) => !assessment.needsScaling),
+    ...assessed.filter(({ assessment }) => assessment.needsScaling)
+  ]
+    .map(({ layout }) => layout)
+    .slice(0, 5); // Limit to first 5 suitable frames
+}
@@ -0,0 +1,328 @@
+/**
+ * Font Resolution
+ * Maps Figma font families to a web font source (Google Fonts or a
+ * self-hosted stylesheet from config/fonts.json) and to a fallback stack of
+ * fonts every email client has, closest metrics first
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+
+/**
+ * Custom font configuration, relative to the project root
+ */
+const DEFAULT_FONTS_PATH = 'config/fonts.json';
+
+/**
+ * Fallback stacks per font category
+ */
+const CATEGORY_STACKS = {
+  'sans-serif': 'Helvetica, Arial, sans-serif',
+  serif: "Georgia, 'Times New Roman', Times, serif",
+  monospace: "'Courier New', Courier, monospace",
+  display: 'Helvetica, Arial, sans-serif',
+  handwriting: "'Comic Sans MS', cursive"
+};
+
+/**
+ * Fonts installed on practically every client; they need no web font
+ */
+const SYSTEM_FONTS = {
+  Arial: 'sans-serif',
+  Helvetica: 'sans-serif',
+  'Helvetica Neue': 'sans-serif',
+  Verdana: 'sans-serif',
+  Tahoma: 'sans-serif',
+  'Trebuchet MS': 'sans-serif',
+  'Segoe UI': 'sans-serif',
+  'SF Pro Text': 'sans-serif',
+  'SF Pro Display': 'sans-serif',
+  Georgia: 'serif',
+  'Times New Roman': 'serif',
+  Times: 'serif',
+  'Courier New': 'monospace',
+  Courier: 'monospace'
+};
+
+/**
+ * Google Fonts families by category. Families missing here and from the
+ * custom configuration are treated as brand fonts without a web version.
+ */
+const GOOGLE_FONTS = {
+  'sans-serif': [
+    'Inter', 'Roboto', 'Open Sans', 'Lato', 'Montserrat', 'Poppins', 'Source Sans 3', 'Source Sans Pro',
+    'Raleway', 'Nunito', 'Nunito Sans', 'Ubuntu', 'Work Sans', 'Rubik', 'Noto Sans', 'PT Sans', 'Mulish',
+    'Fira Sans', 'Barlow', 'Karla', 'DM Sans', 'Manrope', 'Plus Jakarta Sans', 'Outfit', 'IBM Plex Sans',
+    'Josefin Sans', 'Quicksand', 'Heebo', 'Arimo', 'Cabin', 'Figtree', 'Archivo', 'Space Grotesk',
+    'Lexend', 'Oswald', 'Hind', 'Titillium Web', 'Roboto Condensed', 'Assistant', 'Be Vietnam Pro'
+  ],
+  serif: [
+    'Merriweather', 'Playfair Display', 'Lora', 'Roboto Slab', 'PT Serif', 'Noto Serif', 'Libre Baskerville',
+    'EB Garamond', 'Cormorant Garamond', 'Crimson Text', 'Source Serif 4', 'Source Serif Pro', 'DM Serif Display',
+    'Bitter', 'Zilla Slab', 'Arvo', 'Tinos', 'Spectral', 'IBM Plex Serif', 'Libre Caslon Text'
+  ],
+  monospace: [
+    'Roboto Mono', 'Source Code Pro', 'Fira Code', 'Fira Mono', 'JetBrains Mono', 'IBM Plex Mono',
+    'Space Mono', 'Inconsolata', 'DM Mono', 'Ubuntu Mono'
+  ],
+  display: ['Bebas Neue', 'Anton', 'Abril Fatface', 'Archivo Black', 'Lobster', 'Righteous', 'Alfa Slab One'],
+  handwriting: ['Dancing Script', 'Pacifico', 'Caveat', 'Shadows Into Light', 'Satisfy', 'Great Vibes']
+};
+
+/**
+ * System fonts with metrics close to a web font, tried before the category stack
+ */
+const METRIC_MATCHES = {
+  Inter: 'Helvetica, Arial',
+  Roboto: 'Arial',
+  Arimo: 'Arial',
+  'Open Sans': 'Arial',
+  'Noto Sans': 'Arial',
+  'Helvetica Neue': 'Helvetica, Arial',
+  'Segoe UI': 'Tahoma, Arial',
+  'Source Sans 3': 'Arial',
+  'Source Sans Pro': 'Arial',
+  'Roboto Condensed': "'Arial Narrow', Arial",
+  Oswald: "'Arial Narrow', Arial",
+  Tinos: "'Times New Roman'",
+  Merriweather: 'Georgia',
+  Lora: 'Georgia',
+  'PT Serif': 'Georgia',
+  'Libre Baskerville': 'Baskerville, Georgia',
+  'EB Garamond': 'Garamond, Georgia',
+  'Cormorant Garamond': 'Garamond, Georgia',
+  'Playfair Display': 'Didot, Georgia',
+  'Roboto Slab': 'Rockwell, Georgia',
+  'Zilla Slab': 'Rockwell, Georgia',
+  'Roboto Mono': 'Menlo, Consolas',
+  'Source Code Pro': 'Menlo, Consolas',
+  'JetBrains Mono': 'Menlo, Consolas'
+};
+
+const GOOGLE_CATEGORIES = new Map(Object.entries(GOOGLE_FONTS)
+  .flatMap(([category, families]) => families.map(family => [family.toLowerCase(), category])));
+
+const DEFAULT_WEIGHTS = [400, 700];
+
+const GENERIC_FAMILIES = /^(sans-serif|serif|monospace|cursive|fantasy|system-ui|-apple-system|inherit|initial)$/i;
+
+let customFonts = {};
+let cachedConfig = null;
+
+/**
+ * Load self-hosted and brand font settings. The file is re-read when it
+ * changes; a missing file means none. Once loaded, fontStack and
+ * resolveFont use the configured fallbacks too.
+ * @param {string} configPath - Path to the fonts JSON
+ * @returns {Object} Custom fonts by family ({ url, category, fallback })
+ */
+export async function loadFontConfig(configPath = process.env.FONTS_CONFIG_PATH || DEFAULT_FONTS_PATH) {
+  const filePath = path.resolve(process.cwd(), configPath);
+
+  let stat;
+  try {
+    stat = await fs.stat(filePath);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      customFonts = {};
+      return customFonts;
+    }
+    throw error;
+  }
+
+  if (cachedConfig && cachedConfig.filePath === filePath && cachedConfig.mtimeMs === stat.mtimeMs) {
+    return customFonts;
+  }
+
+  const config = JSON.parse(await fs.readFile(filePath, 'utf8'));
+  customFonts = Object.fromEntries(Object.entries(config.fonts || {}).map(([family, font]) => [
+    family.toLowerCase(),
+    { family, url: font.url || null, category: font.category || null, fallback: font.fallback || null }
+  ]));
+
+  cachedConfig = { filePath, mtimeMs: stat.mtimeMs };
+  return customFonts;
+}
+
+/**
+ * Resolve a font family to its web source and fallback stack
+ * @param {string} family - Figma font family
+ * @param {Object} usage - Styles used with the family
+ * @param {Array} usage.weights - Font weights
+ * @param {boolean} usage.italic - Whether italics are used
+ * @returns {Object} { family, source, url, category, stack } - source is
+ *   'custom', 'google', 'system' or 'unavailable'
+ */
+export function resolveFont(family, { weights = DEFAULT_WEIGHTS, italic = false } = {}) {
+  const key = family.toLowerCase();
+  const custom = customFonts[key];
+  const category = fontCategory(family);
+  const stack = fontStack(family);
+
+  if (custom?.url) {
+    return { family, source: 'custom', url: custom.url, category, stack };
+  }
+  if (Object.keys(SYSTEM_FONTS).some(name => name.toLowerCase() === key)) {
+    return { family, source: 'system', url: null, category, stack };
+  }
+  if (GOOGLE_CATEGORIES.has(key)) {
+    return { family, source: 'google', url: googleFontsUrl(family, weights, italic), category, stack };
+  }
+
+  return { family, source: 'unavailable', url: null, category, stack };
+}
+
+/**
+ * Font stack for a Figma font family: the family itself, metric-compatible
+ * system fonts, then the category's stack
+ * @param {string} family - Font family name
+ * @returns {string} CSS font-family value
+ */
+export function fontStack(family) {
+  const custom = customFonts[family.toLowerCase()];
+  const fallback = custom?.fallback || METRIC_MATCHES[family] || '';
+  const names = [`'${family}'`, ...`${fallback}, ${CATEGORY_STACKS[fontCategory(family)]}`.split(',')]
+    .map(name => name.trim())
+    .filter(Boolean);
+  const seen = new Set();
+
+  return names
+    .filter(name => {
+      const key = name.replace(/'/g, '').toLowerCase();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .join(', ');
+}
+
+/**
+ * Collect the font families of a layout with the weights and styles they use
+ * @param {Array} elements - Layout elements
+ * @returns {Map} Family to { weights, italic, count } - count is characters set in the family
+ */
+export function collectLayoutFonts(elements = []) {
+  const fonts = new Map();
+
+  const add = (style, base = {}) => {
+    const family = style.fontFamily || base.fontFamily;
+    if (!family) return;
+
+    const usage = fonts.get(family) || { weights: new Set(), italic: false, count: 0 };
+    usage.weights.add(style.fontWeight || base.fontWeight || 400);
+    usage.italic = usage.italic || Boolean(style.italic ?? base.italic);
+    fonts.set(family, usage);
+    return usage;
+  };
+
+  const visit = list => list.forEach(element => {
+    if (element.visible === false) return;
+    if (element.type === 'TEXT') {
+      const usage = add(element);
+      if (usage) usage.count += (element.text || '').length || 1;
+      (element.runs || []).forEach(run => add(run, element));
+    }
+    if (element.children) visit(element.children);
+  });
+  visit(elements);
+
+  fonts.forEach(usage => { usage.weights = [...usage.weights].sort((a, b) => a - b); });
+  return fonts;
+}
+
+/**
+ * The family most of a layout's text is set in
+ * @param {Map} layoutFonts - Result of collectLayoutFonts
+ * @returns {string|null} Font family
+ */
+export function primaryFontFamily(layoutFonts) {
+  let primary = null;
+  layoutFonts.forEach((usage, family) => {
+    if (!primary || usage.count > layoutFonts.get(primary).count) primary = family;
+  });
+  return primary;
+}
+
+/**
+ * Register the web fonts an MJML template uses as mj-font entries. Families
+ * come from the template's font-family values; weights from the design.
+ * @param {string} mjmlCode - Generated MJML
+ * @param {Map} layoutFonts - Result of collectLayoutFonts
+ * @returns {Object} { mjml, fonts } - fonts are the resolved families
+ */
+export function addFontDefinitions(mjmlCode, layoutFonts = new Map()) {
+  const families = new Set([...layoutFonts.keys()]);
+  for (const match of mjmlCode.matchAll(/font-family(?:="|:\s*)([^";]+)/g)) {
+    const family = match[1].split(',')[0].trim().replace(/^['"]|['"]$/g, '');
+    if (family && !GENERIC_FAMILIES.test(family)) families.add(family);
+  }
+
+  const fonts = [...families].map(family => resolveFont(family, layoutFonts.get(family)));
+  const existing = new Set([...mjmlCode.matchAll(/<mj-font\b[^>]*\bname="([^"]*)"/g)].map(match => match[1]));
+  const definitions = fonts
+    .filter(font => font.url && !existing.has(font.family) && mjmlCode.includes(font.family))
+    .map(font => `\n    <mj-font name="${font.family}" href="${font.url}" />`)
+    .join('');
+
+  if (!definitions) return { mjml: mjmlCode, fonts };
+
+  const code = /<mj-head>/.test(mjmlCode)
+    ? mjmlCode.replace(/<mj-head>/, `<mj-head>${definitions}`)
+    : mjmlCode.replace(/<mjml([^>]*)>/, `<mjml$1>\n  <mj-head>${definitions}\n  </mj-head>`);
+
+  return { mjml: code, fonts };
+}
+
+/**
+ * Describe the design's fonts and their fallback stacks for AI prompts
+ * @param {Array} elements - Layout elements
+ * @returns {string} Prompt section, empty when the design has no text
+ */
+export function describeFonts(elements = []) {
+  const layoutFonts = collectLayoutFonts(elements);
+  if (layoutFonts.size === 0) return '';
+
+  const lines = [...layoutFonts].map(([family, usage]) =>
+    `- ${family} (weights ${usage.weights.join(', ')}${usage.italic ? ', italic' : ''}): font-family="${fontStack(family)}"`);
+
+  return `
+**Fonts (web fonts are registered automatically; use these font-family stacks, do not add mj-font):**
+${lines.join('\n')}
+`;
+}
+
+/**
+ * Google Fonts stylesheet URL for the weights and styles in use
+ * @param {string} family - Font family name
+ * @param {Array} weights - Font weights
+ * @param {boolean} italic - Whether italics are used
+ * @returns {string} css2 API URL
+ */
+export function googleFontsUrl(family, weights = DEFAULT_WEIGHTS, italic = false) {
+  const name = family.trim().replace(/\s+/g, '+');
+  const sorted = [...new Set(weights.map(weight => Math.round(weight / 100) * 100))].sort((a, b) => a - b);
+  const axis = italic
+    ? `ital,wght@${[...sorted.map(weight => `0,${weight}`), ...sorted.map(weight => `1,${weight}`)].join(';')}`
+    : `wght@${sorted.join(';')}`;
+
+  return `https://fonts.googleapis.com/css2?family=${name}:${axis}&display=swap`;
+}
+
+/**
+ * Category of a font family, guessed from its name when it is not listed
+ * @param {string} family - Font family name
+ * @returns {string} sans-serif, serif, monospace, display or handwriting
+ */
+function fontCategory(family) {
+  const key = family.toLowerCase();
+  const custom = customFonts[key]?.category;
+  if (custom && CATEGORY_STACKS[custom]) return custom;
+
+  const system = Object.entries(SYSTEM_FONTS).find(([name]) => name.toLowerCase() === key);
+  if (system) return system[1];
+  if (GOOGLE_CATEGORIES.has(key)) return GOOGLE_CATEGORIES.get(key);
+
+  if (/mono|code/.test(key)) return 'monospace';
+  if (/serif|slab|garamond|baskerville|times|caslon|didot|bodoni/.test(key) && !/sans/.test(key)) return 'serif';
+  return 'sans-serif';
+}
@@ -0,0 +1,191 @@
+/**
+ * Frame Scaling
+ * Normalizes oversized artboards (1200-1440px marketing designs) to the email
+ * body width: geometry, type, spacing and shadows are scaled by the same
+ * factor, so the generators work on an email-sized layout
+ */
+
+/**
+ * Default email body width
+ */
+export const DEFAULT_TARGET_WIDTH = 600;
+
+/**
+ * Accepted range for a requested body width
+ */
+export const MIN_TARGET_WIDTH = 320;
+export const MAX_TARGET_WIDTH = 1200;
+
+/**
+ * Check a requested body width
+ * @param {*} value - Requested width, usually options.targetWidth
+ * @returns {number|null} Width in pixels, the default when unset, null when invalid
+ */
+export function normalizeTargetWidth(value) {
+  if (value === undefined || value === null || value === '') return DEFAULT_TARGET_WIDTH;
+
+  const width = Number(value);
+  if (!Number.isFinite(width) || width < MIN_TARGET_WIDTH || width > MAX_TARGET_WIDTH) return null;
+
+  return Math.round(width);
+}
+
+/**
+ * Scale a layout down to the target width. Narrower frames are left alone.
+ * @param {Object} layout - Layout produced by extractLayoutFromFigma, modified in place
+ * @param {number} targetWidth - Email body width in pixels
+ * @returns {Object|null} { factor, originalWidth, originalHeight, width, height },
+ *   null when the frame already fits
+ */
+export function scaleLayout(layout, targetWidth = DEFAULT_TARGET_WIDTH) {
+  if (!layout.width || layout.width <= targetWidth) return null;
+
+  const factor = targetWidth / layout.width;
+  const origin = { x: layout.x || 0, y: layout.y || 0 };
+  const scaled = {
+    factor: Math.round(factor * 10000) / 10000,
+    originalWidth: layout.width,
+    originalHeight: layout.height
+  };
+
+  layout.width = targetWidth;
+  layout.height = Math.round(layout.height * factor);
+  if (layout.autoLayout) {
+    layout.autoLayout = scaleAutoLayout(layout.autoLayout, factor);
+  }
+  if (layout.styles) {
+    layout.styles = scaleStyles(layout.styles, factor);
+  }
+  (layout.elements || []).forEach(element => scaleElement(element, factor, origin));
+
+  return { ...scaled, width: layout.width, height: layout.height };
+}
+
+/**
+ * Scale an element and its descendants around the frame origin
+ * @param {Object} element - Layout element, modified in place
+ * @param {number} factor - Scale factor
+ * @param {Object} origin - Frame position ({ x, y })
+ */
+function scaleElement(element, factor, origin) {
+  if (element.bounds) {
+    const left = Math.round(origin.x + (element.bounds.x - origin.x) * factor);
+    const top = Math.round(origin.y + (element.bounds.y - origin.y) * factor);
+    const right = Math.round(origin.x + (element.bounds.x + element.bounds.width - origin.x) * factor);
+    const bottom = Math.round(origin.y + (element.bounds.y + element.bounds.height - origin.y) * factor);
+
+    // Edges are rounded rather than sizes, so touching elements keep touching
+    element.bounds = { x: left, y: top, width: right - left, height: bottom - top };
+  }
+
+  scaleTextStyle(element, factor);
+  (element.runs || []).forEach(run => scaleTextStyle(run, factor));
+
+  if (element.cornerRadius) {
+    element.cornerRadius = scaleLength(element.cornerRadius, factor);
+  }
+  if (element.cornerRadii) {
+    element.cornerRadii = element.cornerRadii.map(radius => scaleLength(radius, factor));
+  }
+  if (element.stroke) {
+    // Hairlines stay visible
+    const side = width => (width > 0 ? Math.max(1, scaleLength(width, factor)) : 0);
+    element.stroke = {
+      ...element.stroke,
+      top: side(element.stroke.top),
+      right: side(element.stroke.right),
+      bottom: side(element.stroke.bottom),
+      left: side(element.stroke.left)
+    };
+  }
+  if (element.effects) {
+    element.effects = scaleEffects(element.effects, factor);
+  }
+  if (element.autoLayout) {
+    element.autoLayout = scaleAutoLayout(element.autoLayout, factor);
+  }
+
+  (element.children || []).forEach(child => scaleElement(child, factor, origin));
+}
+
+/**
+ * Scale font size, pixel line height and letter spacing
+ * @param {Object} style - Text element or run, modified in place
+ * @param {number} factor - Scale factor
+ */
+function scaleTextStyle(style, factor) {
+  if (style.fontSize) {
+    style.fontSize = Math.max(1, Math.round(style.fontSize * factor * 10) / 10);
+  }
+
+  // Percentage line heights follow the font size on their own
+  if (typeof style.lineHeight === 'string' && style.lineHeight.endsWith('px')) {
+    style.lineHeight = `${Math.round(parseFloat(style.lineHeight) * factor * 10) / 10}px`;
+  }
+
+  if (style.letterSpacing) {
+    style.letterSpacing = Math.round(style.letterSpacing * factor * 100) / 100;
+  }
+}
+
+/**
+ * Scale auto-layout spacing and padding
+ * @param {Object} autoLayout - Auto-layout settings
+ * @param {number} factor - Scale factor
+ * @returns {Object} Scaled copy
+ */
+function scaleAutoLayout(autoLayout, factor) {
+  const padding = autoLayout.padding || {};
+
+  return {
+    ...autoLayout,
+    itemSpacing: scaleLength(autoLayout.itemSpacing || 0, factor),
+    padding: {
+      top: scaleLength(padding.top || 0, factor),
+      right: scaleLength(padding.right || 0, factor),
+      bottom: scaleLength(padding.bottom || 0, factor),
+      left: scaleLength(padding.left || 0, factor)
+    }
+  };
+}
+
+/**
+ * Scale shadow offsets, blur radii and spread
+ * @param {Object} effects - { shadows, blur } from extractEffects
+ * @param {number} factor - Scale factor
+ * @returns {Object} Scaled copy
+ */
+function scaleEffects(effects, factor) {
+  return {
+    ...effects,
+    shadows: effects.shadows && effects.shadows.map(shadow => ({
+      ...shadow,
+      x: scaleLength(shadow.x, factor),
+      y: scaleLength(shadow.y, factor),
+      radius: scaleLength(shadow.radius, factor),
+      spread: scaleLength(shadow.spread, factor)
+    })),
+    // A blur stays a blur, however small
+    blur: effects.blur > 0 ? Math.max(1, scaleLength(effects.blur, factor)) : effects.blur
+  };
+}
+
+/**
+ * Scale the pixel lengths of CSS-like frame styles (border radius, padding,
+ * gap, box shadow)
+ * @param {Object} styles - Styles from extractStyles
+ * @param {number} factor - Scale factor
+ * @returns {Object} Scaled copy
+ */
+function scaleStyles(styles, factor) {
+  return Object.fromEntries(Object.entries(styles).map(([property, value]) => [
+    property,
+    typeof value === 'string'
+      ? value.replace(/(-?\d*\.?\d+)px/g, (match, length) => `${scaleLength(parseFloat(length), factor)}px`)
+      : value
+  ]));
+}
+
+function scaleLength(value, factor) {
+  return Math.round(value * factor);
+}
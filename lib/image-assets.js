@@ -0,0 +1,312 @@
+/**
+ * Image Asset Resolution
+ * Turns Figma image fills into hosted images and points generated MJML at them
+ */
+
+import { getAssetStore, storeRemoteAsset } from './assets.js';
+import { fetchFigmaImageFills, fetchFigmaImages } from './figma.js';
+import { escapeAttribute } from './mjml-elements.js';
+
+/**
+ * Image hosts used by generators and AI models as stand-ins for real images
+ */
+const PLACEHOLDER_IMAGE_PATTERN = /via\.placeholder\.com|placehold\.co|placehold\.it|placekitten\.com|picsum\.photos|example\.com|your-image|image\.(?:jpg|png)/i;
+
+/**
+ * Leading bytes of the image formats accepted as uploads
+ */
+const IMAGE_SIGNATURES = {
+  'image/png': [0x89, 0x50, 0x4e, 0x47],
+  'image/jpeg': [0xff, 0xd8, 0xff],
+  'image/gif': [0x47, 0x49, 0x46, 0x38]
+};
+
+/**
+ * Resolve every image-bearing element of a layout into a stored asset.
+ * Leaf nodes are exported at 2x so crops and masks match the design;
+ * nodes with children use the raw image fill so their text stays live.
+ * Vector icons are also exported at 1x and offered to clients through srcset;
+ * gradient shapes are exported too and become images once resolved.
+ * Resolved elements get imageUrl, imageWidth and imageHeight.
+ * @param {Object} layout - Layout produced by extractLayoutFromFigma
+ * @param {Object} options - Resolution options
+ * @param {string} options.fileId - Figma file ID
+ * @param {string} options.token - Figma API token
+ * @param {string} options.version - File version the layout was read from, optional
+ * @param {Object} options.store - Asset store, defaults to the configured one
+ * @returns {Object} { images, failed } - resolved images in document order and names of failures
+ */
+export async function resolveImageAssets(layout, { fileId, token, version = null, store = getAssetStore() }) {
+  const imageElements = collectImageElements(layout.elements || []);
+  const images = [];
+  const failed = [];
+
+  if (imageElements.length === 0) {
+    return { images, failed };
+  }
+
+  // Render leaf nodes through the images endpoint
+  const exportIds = imageElements.filter(element => !element.children).map(element => element.id);
+  let renders = {};
+  if (exportIds.length > 0) {
+    try {
+      const result = await fetchFigmaImages(fileId, exportIds, token, 'png', 2, version);
+      renders = result.images || {};
+    } catch (error) {
+      console.warn('⚠️ Could not export image nodes, using image fills:', error.message);
+    }
+  }
+
+  // Icons get a 1x render next to the 2x one
+  const iconRenders = await renderIcons(imageElements.filter(element => element.icon), { fileId, token, version });
+
+  // Image fill URLs are only fetched when some element still needs one
+  let fills = null;
+
+  for (const element of imageElements) {
+    try {
+      let sourceUrl = renders[element.id];
+
+      if (!sourceUrl && element.imageRef) {
+        if (!fills) {
+          fills = await fetchFigmaImageFills(fileId, token);
+        }
+        sourceUrl = fills[element.imageRef];
+      }
+
+      // A gradient shape that cannot be exported keeps its CSS gradient
+      if (!sourceUrl) {
+        if (element.hasImage) failed.push(element.name);
+        continue;
+      }
+
+      const asset = await storeRemoteAsset(sourceUrl, store);
+
+      element.hasImage = true;
+      element.imageUrl = asset.url;
+      element.imageWidth = element.bounds?.width;
+      element.imageHeight = element.bounds?.height;
+
+      const image = {
+        id: element.id,
+        name: element.name,
+        alt: element.alt,
+        url: asset.url,
+        width: element.imageWidth,
+        height: element.imageHeight
+      };
+
+      if (element.icon && renders[element.id] && iconRenders[element.id]) {
+        const standard = await storeRemoteAsset(iconRenders[element.id], store);
+        element.imageSrcset = `${standard.url} 1x, ${asset.url} 2x`;
+        image.srcset = element.imageSrcset;
+      }
+
+      images.push(image);
+    } catch (error) {
+      console.warn(`⚠️ Could not store image "${element.name}":`, error.message);
+      if (element.hasImage) failed.push(element.name);
+    }
+  }
+
+  return { images, failed };
+}
+
+/**
+ * List the images a client holding the design (the Figma plugin) should send
+ * along with a layout, chosen as resolveImageAssets would fetch them
+ * @param {Object} layout - Layout produced by extractLayoutFromFigma
+ * @returns {Array} { id, name, render, icon, imageRef } - render is true for
+ *   leaf nodes rendered at 2x, false for containers that send their image fill
+ */
+export function listImageExports(layout) {
+  return collectImageElements(layout.elements || []).map(element => ({
+    id: element.id,
+    name: element.name,
+    render: !element.children,
+    icon: !!element.icon,
+    imageRef: element.imageRef || null
+  }));
+}
+
+/**
+ * Store images uploaded with a layout instead of fetching them from Figma,
+ * e.g. the renders the Figma plugin sends along with its selection (see
+ * listImageExports).
+ * Resolved elements get the same fields as with resolveImageAssets.
+ * @param {Object} layout - Layout produced by extractLayoutFromFigma or the plugin
+ * @param {Object} uploads - Map of node ID to { data, data1x } - base64 PNG, JPEG or
+ *   GIF bytes (2x render or image fill) and an optional 1x render for icons
+ * @param {Object} options - { store }: asset store, defaults to the configured one
+ * @returns {Object} { images, failed } - same as resolveImageAssets
+ */
+export async function storeImageUploads(layout, uploads, { store = getAssetStore() } = {}) {
+  const images = [];
+  const failed = [];
+
+  for (const element of collectImageElements(layout.elements || [])) {
+    const upload = uploads[element.id];
+    if (!upload?.data) {
+      if (element.hasImage) failed.push(element.name);
+      continue;
+    }
+
+    try {
+      const asset = await storeUploadedImage(upload.data, store);
+
+      element.hasImage = true;
+      element.imageUrl = asset.url;
+      element.imageWidth = element.bounds?.width;
+      element.imageHeight = element.bounds?.height;
+
+      const image = {
+        id: element.id,
+        name: element.name,
+        alt: element.alt,
+        url: asset.url,
+        width: element.imageWidth,
+        height: element.imageHeight
+      };
+
+      if (element.icon && upload.data1x) {
+        const standard = await storeUploadedImage(upload.data1x, store);
+        element.imageSrcset = `${standard.url} 1x, ${asset.url} 2x`;
+        image.srcset = element.imageSrcset;
+      }
+
+      images.push(image);
+    } catch (error) {
+      console.warn(`⚠️ Could not store image "${element.name}":`, error.message);
+      if (element.hasImage) failed.push(element.name);
+    }
+  }
+
+  return { images, failed };
+}
+
+/**
+ * Point mj-image tags at resolved assets. Images that already use an asset
+ * URL get its size; placeholder or missing sources take the unused asset
+ * whose alt text or layer name matches their alt, and are left alone when
+ * none does.
+ * @param {string} mjmlCode - Generated MJML
+ * @param {Array} images - Resolved images from resolveImageAssets
+ * @returns {string} MJML with rewritten image sources
+ */
+export function rewriteImageSources(mjmlCode, images) {
+  if (!images || images.length === 0) return mjmlCode;
+
+  const used = new Set();
+  const byUrl = new Map(images.map(image => [image.url, image]));
+
+  // Keep the images the generator already placed
+  for (const match of mjmlCode.matchAll(/<mj-image\b[^>]*\bsrc="([^"]*)"/g)) {
+    if (byUrl.has(match[1])) used.add(match[1]);
+  }
+
+  return mjmlCode.replace(/<mj-image\b([^>]*?)\s*(\/?)>/g, (tag, attributes, selfClosing) => {
+    const srcMatch = attributes.match(/\bsrc="([^"]*)"/);
+    let image = srcMatch ? byUrl.get(srcMatch[1]) : null;
+
+    if (!image && (!srcMatch || PLACEHOLDER_IMAGE_PATTERN.test(srcMatch[1]))) {
+      const alt = imageLabel(attributes.match(/\balt="([^"]*)"/)?.[1]);
+      image = alt && images.find(candidate => !used.has(candidate.url) &&
+        [candidate.alt, candidate.name].some(label => imageLabel(label && escapeAttribute(label)) === alt));
+      if (!image) return tag;
+      used.add(image.url);
+      attributes = srcMatch
+        ? attributes.replace(srcMatch[0], `src="${image.url}"`)
+        : `${attributes} src="${image.url}"`;
+    }
+
+    if (!image) return tag;
+
+    attributes = setSizeAttribute(attributes, 'width', image.width);
+    attributes = setSizeAttribute(attributes, 'height', image.height);
+    if (image.srcset && !/\ssrcset="/.test(attributes)) {
+      attributes = `${attributes} srcset="${image.srcset}"`;
+    }
+
+    return `<mj-image${attributes}${selfClosing ? ' /' : ''}>`;
+  });
+}
+
+/**
+ * Export vector icons at 1x
+ * @param {Array} icons - Icon elements
+ * @param {Object} options - { fileId, token, version }
+ * @returns {Object} Map of node ID to render URL, empty when the export fails
+ */
+async function renderIcons(icons, { fileId, token, version }) {
+  if (icons.length === 0) return {};
+
+  try {
+    const result = await fetchFigmaImages(fileId, icons.map(icon => icon.id), token, 'png', 1, version);
+    return result.images || {};
+  } catch (error) {
+    console.warn('⚠️ Could not export 1x icons, using 2x only:', error.message);
+    return {};
+  }
+}
+
+/**
+ * Store base64 image bytes, typed by their magic bytes
+ * @param {string} data - Base64 PNG, JPEG or GIF
+ * @param {Object} store - Asset store
+ * @returns {Object} Stored asset ({ id, url })
+ */
+async function storeUploadedImage(data, store) {
+  const buffer = Buffer.from(data, 'base64');
+  const contentType = Object.keys(IMAGE_SIGNATURES)
+    .find(type => IMAGE_SIGNATURES[type].every((byte, index) => buffer[index] === byte));
+
+  if (!contentType) {
+    throw new Error('uploaded data is not a PNG, JPEG or GIF image');
+  }
+
+  return store.put(buffer, { contentType });
+}
+
+/**
+ * Collect image-bearing elements, depth first in document order
+ * @param {Array} elements - Layout elements
+ * @returns {Array} Elements with an image fill and gradient-filled shapes
+ */
+function collectImageElements(elements) {
+  const found = [];
+
+  elements.forEach(element => {
+    if (element.visible === false) return;
+    if (element.hasImage || (element.gradient && !element.children && element.type !== 'TEXT')) found.push(element);
+    if (element.children) found.push(...collectImageElements(element.children));
+  });
+
+  return found;
+}
+
+/**
+ * Compare alt attributes and layer names loosely, ignoring the "Image: "
+ * prefix the fallback template adds to layer names
+ * @param {string} value - Escaped attribute value
+ * @returns {string|null} Normalized label, null when empty
+ */
+function imageLabel(value) {
+  const label = value?.replace(/^Image:\s*/i, '').trim().toLowerCase();
+  return label || null;
+}
+
+/**
+ * Set a pixel size attribute on an mj-image attribute string
+ * @param {string} attributes - Attribute string
+ * @param {string} name - Attribute name (width or height)
+ * @param {number} value - Size in pixels
+ * @returns {string} Updated attribute string
+ */
+function setSizeAttribute(attributes, name, value) {
+  if (!value) return attributes;
+
+  const pattern = new RegExp(`\\s${name}="[^"]*"`);
+  const attribute = ` ${name}="${value}px"`;
+
+  return pattern.test(attributes) ? attributes.replace(pattern, attribute) : `${attributes}${attribute}`;
+}
@@ -0,0 +1,120 @@
+/**
+ * Layer Annotations
+ * A small syntax designers put in Figma layer names to control the email:
+ *   [cta href=https://example.com]  render as a button linking there
+ *   [hide-mobile] / [hide-desktop]  show the layer on one viewport only
+ *   [repeat products]               loop the layer over a data list
+ *   [alt="Team photo"]              image alt text
+ *   [raw]                           emit the layer's text verbatim (merge tags, HTML)
+ *   [block hero]                    treat the layer as that kind of email block
+ * Bracket groups with other words are left in the name untouched.
+ */
+
+import { repeatTags } from './mjml-elements.js';
+
+/**
+ * Recognized annotation keys
+ */
+const ANNOTATION_KEYS = new Set(['cta', 'hide-mobile', 'hide-desktop', 'repeat', 'alt', 'raw', 'block']);
+
+const GROUP_PATTERN = /\[([^\]]*)\]/g;
+
+/**
+ * key, key=value, key="quoted value" or a bare value
+ */
+const TOKEN_PATTERN = /([\w-]+)=(?:"([^"]*)"|'([^']*)'|(\S+))|"([^"]*)"|(\S+)/g;
+
+/**
+ * Split a layer name into its display name and annotations
+ * @param {string} layerName - Figma layer name
+ * @returns {Object} { name, annotations } - annotations is null without any, otherwise
+ *   { cta: { href }, 'hide-mobile': true, 'hide-desktop': true, repeat, alt, raw: true, block }
+ */
+export function parseLayerAnnotations(layerName = '') {
+  let annotations = null;
+
+  const name = layerName.replace(GROUP_PATTERN, (group, body) => {
+    const tokens = [...body.matchAll(TOKEN_PATTERN)].map(match => ({
+      key: match[1] || null,
+      value: match[2] ?? match[3] ?? match[4] ?? match[5] ?? match[6]
+    }));
+    const [first, ...rest] = tokens;
+    const key = first && (first.key || first.value).toLowerCase();
+
+    if (!key || !ANNOTATION_KEYS.has(key)) return group;
+
+    const attributes = {};
+    let value = first.key ? first.value : undefined;
+    rest.forEach(token => {
+      if (token.key) {
+        attributes[token.key.toLowerCase()] = token.value;
+      } else if (value === undefined) {
+        value = token.value;
+      }
+    });
+
+    annotations = annotations || {};
+    annotations[key] = normalizeAnnotation(key, value, attributes);
+    return ' ';
+  }).replace(/\s+/g, ' ').trim();
+
+  return { name: name || layerName, annotations };
+}
+
+/**
+ * Describe annotated layers for AI prompts
+ * @param {Array} elements - Layout elements
+ * @returns {string} Prompt section, empty without annotations
+ */
+export function describeLayerAnnotations(elements = []) {
+  const lines = [];
+  const collect = list => list.forEach(element => {
+    if (element.visible === false) return;
+
+    const annotations = element.annotations || {};
+    if (annotations.cta) {
+      lines.push(`- "${element.name}": render as mj-button${annotations.cta.href ? ` with href="${annotations.cta.href}"` : ''}`);
+    }
+    if (annotations.alt) {
+      lines.push(`- "${element.name}": use alt="${annotations.alt}" on its mj-image`);
+    }
+    const tags = repeatTags(element);
+    if (tags) {
+      lines.push(`- "${element.name}": render once and wrap it in ${tags.open} ... ${tags.close}, keeping its placeholders as they are`);
+    }
+    if (annotations.raw) {
+      lines.push(`- "${element.name}": insert its text verbatim inside <mj-raw>, without escaping`);
+    }
+    if (element.children) collect(element.children);
+  });
+  collect(elements);
+
+  if (lines.length === 0) return '';
+
+  return `
+**Layer annotations (set by the designer, follow them exactly):**
+${lines.join('\n')}
+`;
+}
+
+/**
+ * Normalize an annotation's value
+ * @param {string} key - Annotation key
+ * @param {string|undefined} value - Value after the key
+ * @param {Object} attributes - key=value attributes after the key
+ * @returns {*} Annotation value
+ */
+function normalizeAnnotation(key, value, attributes) {
+  switch (key) {
+    case 'cta':
+      return { href: attributes.href || value || null };
+    case 'repeat':
+      return value || attributes.list || 'items';
+    case 'alt':
+      return value ?? attributes.text ?? '';
+    case 'block':
+      return (value || attributes.type || '').toLowerCase() || null;
+    default:
+      return true;
+  }
+}
@@ -0,0 +1,298 @@
+/**
+ * Layout Clustering
+ * Geometric analysis of absolutely positioned frames: groups elements into
+ * horizontal bands, splits bands into side-by-side columns and detects
+ * elements layered over a backdrop (text over an image or colored box)
+ */
+
+import { isButtonLike, isVisibleColor } from './mjml-elements.js';
+
+/**
+ * Share of an element's area that must lie inside a backdrop to count as overlaid
+ */
+const OVERLAP_THRESHOLD = 0.8;
+
+/**
+ * Vertical or horizontal distance (px) below which two elements are treated as touching
+ */
+const TOLERANCE = 2;
+
+/**
+ * Cluster a frame's elements into bands and columns
+ * @param {Array} elements - Layout elements (direct frame children)
+ * @param {Object} frame - Frame bounds ({ x, y, width, height })
+ * @returns {Object} { bands, overlaps } - bands top to bottom and detected overlays.
+ *   Each band has { top, bottom, backdrop, inset, padding, columns }; a band with a
+ *   backdrop renders as a section with a background image or color.
+ */
+export function clusterElements(elements, frame) {
+  const overlaps = [];
+  const units = buildUnits(flattenWrappers(elements), overlaps);
+
+  const bands = groupIntoBands(units).map(band => {
+    const single = band.units.length === 1 ? band.units[0] : null;
+
+    // A lone backdrop becomes the band's background, its contents the columns
+    if (single && single.backdrop) {
+      return {
+        top: band.top,
+        bottom: band.bottom,
+        backdrop: single.backdrop,
+        inset: {
+          left: Math.max(0, Math.round(single.bounds.x - frame.x)),
+          right: Math.max(0, Math.round(frame.x + frame.width - single.bounds.x - single.bounds.width))
+        },
+        padding: contentPadding(single.contents, single.bounds),
+        columns: buildColumns(buildUnits(single.contents, overlaps), single.bounds)
+      };
+    }
+
+    return {
+      top: band.top,
+      bottom: band.bottom,
+      backdrop: null,
+      inset: { left: 0, right: 0 },
+      padding: { top: 0, bottom: 0 },
+      columns: buildColumns(band.units, frame)
+    };
+  });
+
+  return { bands, overlaps };
+}
+
+/**
+ * Replace transparent containers (groups, unfilled frames) with their children
+ * @param {Array} elements - Layout elements
+ * @returns {Array} Elements with wrappers removed
+ */
+function flattenWrappers(elements) {
+  const flat = [];
+
+  elements.forEach(element => {
+    if (element.visible === false || !element.bounds) return;
+
+    const isWrapper = element.children && element.children.length > 0 && !element.componentTemplate &&
+      !element.hasImage && !isVisibleColor(element.backgroundColor) && !isButtonLike(element) &&
+      !isAnnotatedBlock(element);
+
+    if (isWrapper) {
+      flat.push(...flattenWrappers(element.children));
+    } else {
+      flat.push(element);
+    }
+  });
+
+  return flat;
+}
+
+/**
+ * Build clustering units: plain elements, or backdrops with the elements
+ * layered over them. Filled containers are backdrops for their own children.
+ * @param {Array} elements - Flattened elements
+ * @param {Array} overlaps - Collects detected overlays
+ * @returns {Array} Units ({ bounds, element, backdrop, contents })
+ */
+function buildUnits(elements, overlaps) {
+  const backdrops = elements
+    .filter(isBackdropCandidate)
+    .sort((a, b) => area(b.bounds) - area(a.bounds));
+  const claimed = new Set();
+  const units = [];
+
+  backdrops.forEach(backdrop => {
+    if (claimed.has(backdrop)) return;
+
+    const layered = elements.filter(element =>
+      element !== backdrop &&
+      !claimed.has(element) &&
+      area(element.bounds) < area(backdrop.bounds) &&
+      overlapRatio(element.bounds, backdrop.bounds) >= OVERLAP_THRESHOLD);
+
+    const ownChildren = !isButtonLike(backdrop) && backdrop.children
+      ? flattenWrappers(backdrop.children)
+      : [];
+    const contents = [...ownChildren, ...layered];
+
+    if (contents.length === 0) return;
+
+    claimed.add(backdrop);
+    layered.forEach(element => claimed.add(element));
+
+    if (layered.length > 0) {
+      overlaps.push({
+        backdrop: backdrop.name,
+        elements: layered.map(element => element.name)
+      });
+    }
+
+    units.push({ bounds: backdrop.bounds, element: backdrop, backdrop, contents });
+  });
+
+  elements
+    .filter(element => !claimed.has(element))
+    .forEach(element => units.push(toUnit(element)));
+
+  return units;
+}
+
+/**
+ * Sweep units top to bottom, merging those whose vertical extents overlap
+ * @param {Array} units - Clustering units
+ * @returns {Array} Bands ({ top, bottom, units })
+ */
+function groupIntoBands(units) {
+  const bands = [];
+
+  [...units]
+    .sort((a, b) => a.bounds.y - b.bounds.y)
+    .forEach(unit => {
+      const top = unit.bounds.y;
+      const bottom = unit.bounds.y + unit.bounds.height;
+      const current = bands[bands.length - 1];
+
+      if (current && top < current.bottom - TOLERANCE) {
+        current.units.push(unit);
+        current.bottom = Math.max(current.bottom, bottom);
+      } else {
+        bands.push({ top, bottom, units: [unit] });
+      }
+    });
+
+  return bands;
+}
+
+/**
+ * Split units into side-by-side columns, merging those whose horizontal
+ * extents overlap. Column widths are proportional to the container bounds;
+ * the gap before a column is folded into its width as left padding.
+ * @param {Array} units - Units in one band
+ * @param {Object} container - Bounds the widths are relative to
+ * @returns {Array} Columns ({ left, right, gapBefore, widthPercent, backdrop, elements })
+ */
+function buildColumns(units, container) {
+  const columns = [];
+
+  [...units]
+    .sort((a, b) => a.bounds.x - b.bounds.x)
+    .forEach(unit => {
+      const left = unit.bounds.x;
+      const right = unit.bounds.x + unit.bounds.width;
+      const current = columns[columns.length - 1];
+
+      if (current && left < current.right - TOLERANCE) {
+        current.units.push(unit);
+        current.right = Math.max(current.right, right);
+      } else {
+        columns.push({ left, right, units: [unit] });
+      }
+    });
+
+  // A single column spans the whole container, keeping its side insets
+  if (columns.length <= 1) {
+    return columns.map(column => ({
+      ...toColumn(column, 0, 100),
+      paddingLeft: Math.max(0, Math.round(column.left - container.x)),
+      paddingRight: Math.max(0, Math.round(container.x + container.width - column.right))
+    }));
+  }
+
+  let previousRight = container.x;
+  const containerWidth = Math.max(1, container.width);
+
+  return columns.map(column => {
+    const gapBefore = Math.max(0, Math.round(column.left - previousRight));
+    const widthPercent = Math.floor(((column.right - previousRight) / containerWidth) * 10000) / 100;
+    previousRight = column.right;
+
+    return toColumn(column, gapBefore, Math.max(1, widthPercent));
+  });
+}
+
+/**
+ * Describe a column. A column holding one backdrop takes it as background;
+ * otherwise image backdrops are kept as images above their contents, since
+ * mj-column cannot carry a background image.
+ * @param {Object} column - Column with its units
+ * @param {number} gapBefore - Gap before the column in pixels
+ * @param {number} widthPercent - Column width including the gap
+ * @returns {Object} Column descriptor
+ */
+function toColumn(column, gapBefore, widthPercent) {
+  const single = column.units.length === 1 ? column.units[0] : null;
+  const backdrop = single && single.backdrop && !single.backdrop.hasImage ? single.backdrop : null;
+
+  const elements = column.units
+    .sort((a, b) => a.bounds.y - b.bounds.y)
+    .flatMap(unit => {
+      if (!unit.backdrop) return [unit.element];
+
+      const contents = [...unit.contents].sort((a, b) => a.bounds.y - b.bounds.y);
+      return unit.backdrop === backdrop ? contents : [unit.backdrop, ...contents];
+    });
+
+  return {
+    left: column.left,
+    right: column.right,
+    gapBefore,
+    widthPercent,
+    backdrop,
+    elements
+  };
+}
+
+/**
+ * Space between a backdrop's edges and the content layered over it
+ * @param {Array} contents - Elements over the backdrop
+ * @param {Object} bounds - Backdrop bounds
+ * @returns {Object} { top, bottom } in pixels
+ */
+function contentPadding(contents, bounds) {
+  const top = Math.min(...contents.map(element => element.bounds.y));
+  const bottom = Math.max(...contents.map(element => element.bounds.y + element.bounds.height));
+
+  return {
+    top: Math.max(0, Math.round(top - bounds.y)),
+    bottom: Math.max(0, Math.round(bounds.y + bounds.height - bottom))
+  };
+}
+
+function toUnit(element) {
+  return { bounds: element.bounds, element, backdrop: null, contents: [] };
+}
+
+/**
+ * Elements other elements can be layered over
+ * @param {Object} element - Layout element
+ * @returns {boolean} True for images and filled shapes or containers
+ */
+function isBackdropCandidate(element) {
+  if (isButtonLike(element) || element.componentTemplate || isAnnotatedBlock(element)) return false;
+  return !!element.hasImage || isVisibleColor(element.backgroundColor) && element.type !== 'TEXT';
+}
+
+/**
+ * Looped and [raw] layers render as one block and are never split up
+ * @param {Object} element - Layout element
+ * @returns {boolean} True for annotated blocks
+ */
+function isAnnotatedBlock(element) {
+  return !!(element.loop || element.annotations?.raw);
+}
+
+function area(bounds) {
+  return Math.max(0, bounds.width) * Math.max(0, bounds.height);
+}
+
+/**
+ * Share of an element's area covered by another box
+ * @param {Object} inner - Bounds of the element
+ * @param {Object} outer - Bounds of the candidate backdrop
+ * @returns {number} Ratio between 0 and 1
+ */
+function overlapRatio(inner, outer) {
+  const width = Math.min(inner.x + inner.width, outer.x + outer.width) - Math.max(inner.x, outer.x);
+  const height = Math.min(inner.y + inner.height, outer.y + outer.height) - Math.max(inner.y, outer.y);
+
+  if (width <= 0 || height <= 0) return 0;
+  return (width * height) / Math.max(1, area(inner));
+}
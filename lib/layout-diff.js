@@ -0,0 +1,233 @@
+/**
+ * Layout Diff
+ * Compares the extracted layouts of two versions of a Figma file and reports
+ * what an email template depends on: text, colors, images and sections (the
+ * frame's top-level blocks). Nodes are matched by ID, which Figma keeps
+ * stable across versions.
+ */
+
+/**
+ * Element properties holding a color
+ */
+const COLOR_PROPERTIES = {
+  backgroundColor: element => element.backgroundColor,
+  textColor: element => element.textColor,
+  gradient: element => element.gradient?.css,
+  borderColor: element => element.stroke?.color
+};
+
+/**
+ * Compare the layouts extracted from two versions of a file
+ * @param {Object} before - Older layout data (extractLayoutFromFigma or extractLayoutFromFigmaNodes)
+ * @param {Object} after - Newer layout data
+ * @returns {Object} { changed, summary, frames } - frames hold one diff per
+ *   frame (see diffLayouts); added and removed frames have a status only
+ */
+export function diffLayoutData(before, after) {
+  const beforeFrames = new Map(before.layouts.map(layout => [layout.id, layout]));
+  const afterIds = new Set(after.layouts.map(layout => layout.id));
+
+  const frames = after.layouts.map(layout => beforeFrames.has(layout.id)
+    ? diffLayouts(beforeFrames.get(layout.id), layout)
+    : { ...emptyDiff(layout), status: 'added' });
+
+  before.layouts
+    .filter(layout => !afterIds.has(layout.id))
+    .forEach(layout => frames.push({ ...emptyDiff(layout), status: 'removed' }));
+
+  const count = key => frames.reduce((total, frame) => total + frame[key].length, 0);
+  const summary = {
+    frames: {
+      added: frames.filter(frame => frame.status === 'added').length,
+      removed: frames.filter(frame => frame.status === 'removed').length,
+      changed: frames.filter(frame => frame.status === 'changed').length,
+      unchanged: frames.filter(frame => frame.status === 'unchanged').length
+    },
+    text: count('text'),
+    colors: count('colors'),
+    images: count('images'),
+    sections: count('sections')
+  };
+
+  return {
+    changed: frames.some(frame => frame.status !== 'unchanged'),
+    summary,
+    frames
+  };
+}
+
+/**
+ * Compare two versions of one frame
+ * @param {Object} before - Older frame layout
+ * @param {Object} after - Newer frame layout
+ * @returns {Object} { id, name, status, text, colors, images, sections } -
+ *   each change names the element, the section it sits in and what changed
+ */
+export function diffLayouts(before, after) {
+  const diff = emptyDiff(after);
+  const oldElements = indexElements(before.elements);
+  const newElements = indexElements(after.elements);
+
+  if (before.backgroundColor !== after.backgroundColor) {
+    diff.colors.push({ id: after.id, name: after.name, section: null, property: 'backgroundColor', before: before.backgroundColor, after: after.backgroundColor });
+  }
+
+  newElements.forEach(({ element, section }, id) => {
+    const old = oldElements.get(id)?.element;
+    const change = { id, name: element.name, section };
+
+    if (element.type === 'TEXT') {
+      if (!old || old.type !== 'TEXT') {
+        diff.text.push({ ...change, change: 'added', after: element.text });
+      } else if (old.text !== element.text) {
+        diff.text.push({ ...change, change: 'changed', before: old.text, after: element.text });
+      }
+    }
+
+    if (element.hasImage) {
+      if (!old?.hasImage) {
+        diff.images.push({ ...change, change: 'added' });
+      } else if (old.imageRef !== element.imageRef) {
+        diff.images.push({ ...change, change: 'replaced' });
+      } else if (old.bounds?.width !== element.bounds?.width || old.bounds?.height !== element.bounds?.height) {
+        diff.images.push({ ...change, change: 'resized', before: sizeOf(old), after: sizeOf(element) });
+      }
+    }
+
+    if (old) {
+      Object.entries(COLOR_PROPERTIES).forEach(([property, read]) => {
+        const [from, to] = [read(old), read(element)];
+        if ((from || to) && from !== to) {
+          diff.colors.push({ ...change, property, before: from || null, after: to || null });
+        }
+      });
+    }
+  });
+
+  oldElements.forEach(({ element, section }, id) => {
+    if (newElements.has(id)) return;
+    const change = { id, name: element.name, section, change: 'removed' };
+    if (element.type === 'TEXT') diff.text.push({ ...change, before: element.text });
+    if (element.hasImage) diff.images.push(change);
+  });
+
+  diff.sections = diffSections(before.elements || [], after.elements || []);
+  diff.status = ['text', 'colors', 'images', 'sections'].some(key => diff[key].length > 0) ? 'changed' : 'unchanged';
+
+  return diff;
+}
+
+/**
+ * One-line description of a frame diff, e.g. for history entries and logs
+ * @param {Object} diff - Result of diffLayouts
+ * @returns {string} Change summary
+ */
+export function summarizeLayoutDiff(diff) {
+  if (diff.status === 'added') return 'New frame';
+  if (diff.status === 'removed') return 'Frame removed';
+
+  const parts = [
+    [diff.text.length, 'text change'],
+    [diff.colors.length, 'color change'],
+    [diff.images.length, 'image change'],
+    [diff.sections.length, 'section change']
+  ]
+    .filter(([count]) => count > 0)
+    .map(([count, noun]) => `${count} ${noun}${count === 1 ? '' : 's'}`);
+
+  return parts.length > 0 ? parts.join(', ') : 'No content changes';
+}
+
+/**
+ * Compare a frame's top-level blocks: added, removed, moved or resized
+ * @param {Array} before - Older top-level elements
+ * @param {Array} after - Newer top-level elements
+ * @returns {Array} Section changes in the newer document order, removals last
+ */
+function diffSections(before, after) {
+  const visibleBefore = before.filter(element => element.visible !== false);
+  const visibleAfter = after.filter(element => element.visible !== false);
+  const oldById = new Map(visibleBefore.map(element => [element.id, element]));
+  const newIds = new Set(visibleAfter.map(element => element.id));
+
+  // Blocks present in both versions that kept their relative order; the rest moved
+  const keptBefore = visibleBefore.filter(element => newIds.has(element.id)).map(element => element.id);
+  const keptAfter = visibleAfter.filter(element => oldById.has(element.id)).map(element => element.id);
+  const inPlace = longestCommonSubsequence(keptBefore, keptAfter);
+
+  const changes = [];
+  visibleAfter.forEach(element => {
+    const old = oldById.get(element.id);
+    const change = { id: element.id, name: element.name };
+
+    if (!old) {
+      changes.push({ ...change, change: 'added' });
+    } else if (!inPlace.has(element.id)) {
+      changes.push({ ...change, change: 'moved', before: keptBefore.indexOf(element.id), after: keptAfter.indexOf(element.id) });
+    } else if (old.bounds?.width !== element.bounds?.width || old.bounds?.height !== element.bounds?.height) {
+      changes.push({ ...change, change: 'resized', before: sizeOf(old), after: sizeOf(element) });
+    }
+  });
+
+  visibleBefore
+    .filter(element => !newIds.has(element.id))
+    .forEach(element => changes.push({ id: element.id, name: element.name, change: 'removed' }));
+
+  return changes;
+}
+
+/**
+ * Index the visible elements of a frame by node ID, with the name of the
+ * top-level block each one belongs to
+ * @param {Array} elements - Layout elements
+ * @returns {Map} Node ID to { element, section }
+ */
+function indexElements(elements = []) {
+  const index = new Map();
+
+  const visit = (list, section) => list.forEach(element => {
+    if (element.visible === false) return;
+    index.set(element.id, { element, section: section ?? element.name });
+    if (element.children) visit(element.children, section ?? element.name);
+  });
+  visit(elements, null);
+
+  return index;
+}
+
+/**
+ * IDs of the longest run of blocks that appear in the same order in both lists
+ * @param {Array} a - Node IDs
+ * @param {Array} b - The same IDs in another order
+ * @returns {Set} IDs that did not move
+ */
+function longestCommonSubsequence(a, b) {
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const ids = new Set();
+  for (let i = 0, j = 0; i < a.length && j < b.length;) {
+    if (a[i] === b[j]) {
+      ids.add(a[i]);
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  return ids;
+}
+
+function emptyDiff(layout) {
+  return { id: layout.id, name: layout.name, status: 'unchanged', text: [], colors: [], images: [], sections: [] };
+}
+
+function sizeOf(element) {
+  return element.bounds ? { width: element.bounds.width, height: element.bounds.height } : null;
+}
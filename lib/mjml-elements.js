@@ -0,0 +1,472 @@
+/**
+ * MJML Element Renderers
+ * Turns extracted Figma elements into MJML content components for the
+ * deterministic (non-AI) generators
+ */
+
+import { fontStack } from './fonts.js';
+
+/**
+ * Default indentation of content components inside mj-column
+ */
+const CONTENT_INDENT = '        ';
+
+/**
+ * Escape text for use inside MJML/HTML content
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+export function escapeHtml(text = '') {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Escape a value for use inside a double-quoted attribute
+ * @param {string} value - Raw value
+ * @returns {string} Escaped value
+ */
+export function escapeAttribute(value = '') {
+  return escapeHtml(value).replace(/"/g, '&quot;');
+}
+
+/**
+ * Format an attribute map, skipping empty values
+ * @param {Object} attributes - Attribute names and values
+ * @returns {string} Attribute string with a leading space per attribute
+ */
+export function formatAttributes(attributes) {
+  return Object.entries(attributes)
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([name, value]) => ` ${name}="${escapeAttribute(value)}"`)
+    .join('');
+}
+
+/**
+ * Format an element's corner radius, per corner when the corners differ
+ * @param {Object} element - Layout element
+ * @returns {string|null} border-radius value
+ */
+export function formatRadius(element) {
+  if (element.cornerRadii) return element.cornerRadii.map(radius => `${radius}px`).join(' ');
+  return element.cornerRadius ? `${element.cornerRadius}px` : null;
+}
+
+/**
+ * Map an element's stroke to MJML border attributes
+ * @param {Object} element - Layout element
+ * @returns {Object} border, or border-top/right/bottom/left when the sides differ
+ */
+export function borderAttributes(element) {
+  const stroke = element.stroke;
+  if (!stroke || !isVisibleColor(stroke.color)) return {};
+
+  const side = width => (width > 0 ? `${width}px ${stroke.style} ${stroke.color}` : null);
+  if (stroke.top === stroke.right && stroke.top === stroke.bottom && stroke.top === stroke.left) {
+    return { border: side(stroke.top) };
+  }
+
+  return {
+    'border-top': side(stroke.top),
+    'border-right': side(stroke.right),
+    'border-bottom': side(stroke.bottom),
+    'border-left': side(stroke.left)
+  };
+}
+
+/**
+ * mj-class value of a section or column: its responsive and gradient classes
+ * @param {Object} element - Container element
+ * @returns {string|null} Space separated classes
+ */
+export function containerClasses(element) {
+  return [element.responsiveClass, element.gradientClass].filter(Boolean).join(' ') || null;
+}
+
+/**
+ * Check whether an extracted color would actually be visible
+ * @param {string} color - CSS color from extractColor
+ * @returns {boolean} True for opaque or semi-transparent colors
+ */
+export function isVisibleColor(color) {
+  return !!color && color !== 'transparent' && !/rgba\([^)]*,\s*0\)$/.test(color);
+}
+
+/**
+ * Find the first text element in an element's subtree
+ * @param {Object} element - Layout element
+ * @returns {Object|null} Text element
+ */
+export function findTextElement(element) {
+  if (element.type === 'TEXT') return element;
+
+  for (const child of element.children || []) {
+    const text = findTextElement(child);
+    if (text) return text;
+  }
+
+  return null;
+}
+
+/**
+ * Detect containers that look like call-to-action buttons: a filled box
+ * around a single short line of text, or a layer named like a button
+ * @param {Object} element - Layout element
+ * @returns {boolean} True when the element should render as mj-button
+ */
+export function isButtonLike(element) {
+  if (element.annotations?.cta) return true;
+  if (!element.children || element.type === 'TEXT') return false;
+
+  const texts = countTextElements(element);
+  if (texts !== 1) return false;
+
+  if (/button|btn|cta/i.test(element.name || '')) return true;
+
+  const filled = isVisibleColor(element.backgroundColor);
+  const compact = element.bounds && element.bounds.height <= 80;
+  return filled && compact && !element.hasImage;
+}
+
+/**
+ * Detect thin lines and rectangles that act as dividers
+ * @param {Object} element - Layout element
+ * @returns {boolean} True when the element should render as mj-divider
+ */
+export function isDividerLike(element) {
+  if (element.type === 'LINE') return true;
+  if (element.type !== 'RECTANGLE' || element.hasImage || !element.bounds) return false;
+  return element.bounds.height <= 2 && element.bounds.width > element.bounds.height * 10;
+}
+
+/**
+ * Render a layout element as an MJML content component
+ * @param {Object} element - Layout element
+ * @param {Object} options - Rendering options
+ * @param {string} options.align - Horizontal alignment (left, center, right)
+ * @param {string} options.indent - Indentation of the component
+ * @returns {string} MJML markup, empty when the element has no email equivalent
+ */
+export function renderElement(element, options = {}) {
+  if (element.visible === false) return '';
+
+  if (element.componentTemplate) return renderComponent(element, options);
+  if (element.annotations?.raw) return renderRaw(element, options);
+  if (element.annotations?.cta) return renderButton(element, options);
+  if (element.type === 'TEXT') return renderText(element, options);
+  if (element.hasImage) return renderImage(element, options);
+  if (isButtonLike(element)) return renderButton(element, options);
+  if (isDividerLike(element)) return renderDivider(element, options);
+
+  return '';
+}
+
+/**
+ * Render a registered component instance: its snippet, indented in place
+ * @param {Object} element - Element with componentTemplate
+ * @param {Object} options - Rendering options
+ * @returns {string} MJML markup
+ */
+export function renderComponent(element, { indent = CONTENT_INDENT } = {}) {
+  return element.componentTemplate
+    .split('\n')
+    .map(line => `\n${indent}${line}`)
+    .join('');
+}
+
+/**
+ * Render a [raw] layer: its text goes into mj-raw unescaped, so merge tags
+ * and hand-written HTML reach the email as designed
+ * @param {Object} element - Annotated element
+ * @param {Object} options - Rendering options
+ * @returns {string} MJML markup
+ */
+export function renderRaw(element, { indent = CONTENT_INDENT } = {}) {
+  const text = (findTextElement(element) || {}).text || '';
+
+  return `\n${indent}<mj-raw>` +
+         `\n${indent}  ${text}` +
+         `\n${indent}</mj-raw>`;
+}
+
+/**
+ * Loop tags of a looped layer, in the template language the loop was built
+ * for (see templateRepeatedBlocks)
+ * @param {Object} element - Layout element
+ * @returns {Object|null} { open, close } mj-raw tags, null when the layer is not looped
+ */
+export function repeatTags(element) {
+  const loop = element.loop;
+  if (!loop) return null;
+
+  return {
+    open: `<mj-raw>${loop.open}</mj-raw>`,
+    close: `<mj-raw>${loop.close}</mj-raw>`
+  };
+}
+
+/**
+ * Wrap the markup of a looped layer in a loop over its list
+ * @param {Object} element - Layout element
+ * @param {string} markup - Rendered MJML of the element
+ * @param {string} indent - Indentation of the loop tags
+ * @returns {string} MJML markup, unchanged when the layer is not looped
+ */
+export function wrapRepeat(element, markup, indent = CONTENT_INDENT) {
+  const tags = repeatTags(element);
+  if (!tags || !markup) return markup;
+
+  return `\n${indent}${tags.open}${markup}\n${indent}${tags.close}`;
+}
+
+/**
+ * Render a text element as mj-text
+ * @param {Object} element - Text element
+ * @param {Object} options - Rendering options
+ * @returns {string} MJML markup
+ */
+export function renderText(element, { align, indent = CONTENT_INDENT } = {}) {
+  const attributes = formatAttributes({
+    // The text's own alignment wins over the container's unless it is the default
+    align: element.textAlign && element.textAlign !== 'left' ? element.textAlign : align,
+    'font-size': element.fontSize ? `${element.fontSize}px` : null,
+    'font-weight': element.fontWeight,
+    color: isVisibleColor(element.textColor) ? element.textColor : null,
+    ...textStyleAttributes(element),
+    'mj-class': element.responsiveClass,
+    padding: '0px'
+  });
+  const content = renderTextContent(element);
+
+  return `\n${indent}<mj-text${attributes}>` +
+         `\n${indent}  ${content}` +
+         `\n${indent}</mj-text>`;
+}
+
+/**
+ * Typography attributes of a text element for mj-text
+ * @param {Object} element - Text element
+ * @returns {Object} mj-text attributes (font-family, font-style, line-height,
+ *   letter-spacing, text-transform, text-decoration), unset ones null
+ */
+export function textStyleAttributes(element) {
+  return {
+    'font-family': element.fontFamily ? fontStack(element.fontFamily) : null,
+    'font-style': element.italic ? 'italic' : null,
+    'line-height': element.lineHeight,
+    'letter-spacing': element.letterSpacing ? `${element.letterSpacing}px` : null,
+    'text-transform': element.textTransform,
+    'text-decoration': element.textDecoration
+  };
+}
+
+/**
+ * Render the content of a text element as inline HTML. Runs that differ from
+ * the element style become <strong>, <em> or styled <span> tags.
+ * @param {Object} element - Text element, optionally with runs
+ * @returns {string} Escaped inline HTML
+ */
+export function renderTextContent(element) {
+  if (!element.runs) {
+    return element.link ? renderAnchor(formatText(element.text), element.link, element) : formatText(element.text);
+  }
+
+  const html = element.runs.map(run => renderRun(run, element)).join('');
+  const runsLinked = element.runs.some(run => run.link);
+  return element.link && !runsLinked ? renderAnchor(html, element.link, element) : html;
+}
+
+/**
+ * Find the link a clickable element points to: its own link, or for buttons
+ * the link on its label text
+ * @param {Object} element - Layout element
+ * @returns {string|null} URL
+ */
+export function findLink(element) {
+  if (element.link) return element.link;
+
+  const label = element.type === 'TEXT' ? null : findTextElement(element);
+  if (!label) return null;
+
+  return label.link || (label.runs || []).find(run => run.link)?.link || null;
+}
+
+/**
+ * Describe the typography of a text element for AI prompts
+ * @param {Object} element - Text element
+ * @returns {string} Comma separated style facts, e.g. "32px, weight 700, Inter, center"
+ */
+export function describeTextStyle(element) {
+  return [
+    element.fontSize && `${element.fontSize}px`,
+    element.fontWeight && `weight ${element.fontWeight}`,
+    element.fontFamily,
+    element.italic && 'italic',
+    element.textAlign && element.textAlign !== 'left' && element.textAlign,
+    element.lineHeight && `line-height ${element.lineHeight}`,
+    element.letterSpacing && `letter-spacing ${element.letterSpacing}px`,
+    element.textTransform,
+    element.textDecoration,
+    isVisibleColor(element.textColor) && element.textColor
+  ].filter(Boolean).join(', ');
+}
+
+/**
+ * Render an image element as mj-image, using the hosted asset when resolved
+ * @param {Object} element - Image element
+ * @param {Object} options - Rendering options
+ * @returns {string} MJML markup
+ */
+export function renderImage(element, { align, indent = CONTENT_INDENT } = {}) {
+  const width = element.imageWidth || element.bounds?.width;
+  const height = element.imageHeight || element.bounds?.height;
+  const src = element.imageUrl ||
+    `https://via.placeholder.com/${width || 600}x${height || 300}/f8f9fa/333333?text=Image+Placeholder`;
+
+  const attributes = formatAttributes({
+    src,
+    srcset: element.imageSrcset,
+    href: element.link,
+    alt: element.alt ?? (element.name || 'Image'),
+    width: width ? `${width}px` : null,
+    height: height ? `${height}px` : null,
+    align,
+    ...borderAttributes(element),
+    'border-radius': formatRadius(element),
+    'mj-class': element.responsiveClass,
+    padding: '0px'
+  });
+
+  return `\n${indent}<mj-image${attributes} />`;
+}
+
+/**
+ * Render a button-like container as mj-button
+ * @param {Object} element - Button container
+ * @param {Object} options - Rendering options
+ * @returns {string} MJML markup
+ */
+export function renderButton(element, { align, indent = CONTENT_INDENT } = {}) {
+  const label = findTextElement(element) || {};
+  const padding = element.autoLayout?.padding;
+
+  const attributes = formatAttributes({
+    href: findLink(element),
+    align,
+    'background-color': isVisibleColor(element.backgroundColor) ? element.backgroundColor : null,
+    color: isVisibleColor(label.textColor) ? label.textColor : null,
+    'font-size': label.fontSize ? `${label.fontSize}px` : null,
+    'font-weight': label.fontWeight,
+    ...borderAttributes(element),
+    'border-radius': formatRadius(element),
+    'inner-padding': padding ? `${padding.top}px ${padding.right}px ${padding.bottom}px ${padding.left}px` : null,
+    'mj-class': element.responsiveClass,
+    padding: '0px'
+  });
+
+  return `\n${indent}<mj-button${attributes}>` +
+         `\n${indent}  ${escapeHtml(label.text || element.name || 'Button')}` +
+         `\n${indent}</mj-button>`;
+}
+
+/**
+ * Render a line or thin rectangle as mj-divider
+ * @param {Object} element - Divider element
+ * @param {Object} options - Rendering options
+ * @returns {string} MJML markup
+ */
+export function renderDivider(element, { align, indent = CONTENT_INDENT } = {}) {
+  // A line is drawn by its stroke, a thin rectangle by its fill
+  const stroke = element.type === 'LINE' && element.stroke;
+  const thickness = stroke ? Math.max(1, stroke.top) : Math.max(1, element.bounds?.height || 1);
+  const color = stroke ? stroke.color : element.backgroundColor;
+
+  const attributes = formatAttributes({
+    align,
+    'border-color': isVisibleColor(color) ? color : '#e9ecef',
+    'border-style': stroke && stroke.style !== 'solid' ? stroke.style : null,
+    'border-width': `${thickness}px`,
+    width: element.bounds ? `${element.bounds.width}px` : null,
+    'mj-class': element.responsiveClass,
+    padding: '0px'
+  });
+
+  return `\n${indent}<mj-divider${attributes} />`;
+}
+
+/**
+ * Render vertical whitespace as mj-spacer
+ * @param {number} height - Height in pixels
+ * @param {string} indent - Indentation of the component
+ * @returns {string} MJML markup, empty for non-positive heights
+ */
+export function renderSpacer(height, indent = CONTENT_INDENT) {
+  if (!height || height <= 0) return '';
+  return `\n${indent}<mj-spacer height="${Math.round(height)}px" />`;
+}
+
+/**
+ * Escape text and keep its line breaks
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text with <br/> line breaks
+ */
+function formatText(text = '') {
+  return escapeHtml(text).replace(/\n/g, '<br/>');
+}
+
+/**
+ * Render one styled run relative to its element's base style
+ * @param {Object} run - Run from extractTextRuns
+ * @param {Object} base - Text element
+ * @returns {string} Inline HTML
+ */
+function renderRun(run, base) {
+  let html = formatText(run.text);
+  const styles = [];
+  const baseWeight = base.fontWeight || 400;
+  const bold = run.fontWeight >= 600 && baseWeight < 600;
+
+  if (run.fontWeight && run.fontWeight !== baseWeight && !bold) styles.push(`font-weight: ${run.fontWeight}`);
+  if (run.italic === false && base.italic) styles.push('font-style: normal');
+  if (run.fontSize && run.fontSize !== base.fontSize) styles.push(`font-size: ${run.fontSize}px`);
+  if (run.fontFamily && run.fontFamily !== base.fontFamily) styles.push(`font-family: ${fontStack(run.fontFamily)}`);
+  if (run.textColor && run.textColor !== base.textColor) styles.push(`color: ${run.textColor}`);
+  if (run.letterSpacing && run.letterSpacing !== base.letterSpacing) styles.push(`letter-spacing: ${run.letterSpacing}px`);
+  if (run.textTransform && run.textTransform !== base.textTransform) styles.push(`text-transform: ${run.textTransform}`);
+  if (run.textDecoration && run.textDecoration !== base.textDecoration) styles.push(`text-decoration: ${run.textDecoration}`);
+
+  if (styles.length > 0) html = `<span style="${escapeAttribute(styles.join('; '))}">${html}</span>`;
+  if (run.italic && !base.italic) html = `<em>${html}</em>`;
+  if (bold) html = `<strong>${html}</strong>`;
+  if (run.link) html = renderAnchor(html, run.link, { ...base, ...run });
+
+  return html;
+}
+
+/**
+ * Wrap inline HTML in a link that keeps the text's color and decoration
+ * @param {string} html - Inline HTML
+ * @param {string} href - Link URL
+ * @param {Object} style - Text style ({ textColor, textDecoration })
+ * @returns {string} Anchor HTML
+ */
+function renderAnchor(html, href, style) {
+  const styles = [
+    isVisibleColor(style.textColor) ? `color: ${style.textColor}` : null,
+    `text-decoration: ${style.textDecoration || 'none'}`
+  ].filter(Boolean).join('; ');
+
+  return `<a href="${escapeAttribute(href)}" style="${styles}">${html}</a>`;
+}
+
+/**
+ * Count text elements in an element's subtree
+ * @param {Object} element - Layout element
+ * @returns {number} Number of text elements
+ */
+function countTextElements(element) {
+  if (element.type === 'TEXT') return 1;
+  return (element.children || []).reduce((count, child) => count + countTextElements(child), 0);
+}
@@ -74,9 +74,10 @@ export function validateMJML(mjmlCode) {
     };
     
   } catch (error) {
+    // Strict validation throws a ValidationError listing each issue
     return {
       isValid: false,
-      errors: [{
+      errors: error.errors || [{
         line: 0,
         message: error.message,
         tagName: 'validation'
@@ -3,6 +3,23 @@
  * Supports OpenAI, free alternatives, and enhanced fallbacks
  */
 
+import { compileAutoLayoutMJML, hasAutoLayout } from './autolayout-mjml.js';
+import { describeRegisteredComponents } from './component-registry.js';
+import { describeDesignTokens } from './design-tokens.js';
+import { generateFallbackMJML } from './fallback-mjml.js';
+import { describeFonts } from './fonts.js';
+import { describeLayerAnnotations } from './layer-annotations.js';
+import { describePaints } from './paint-styles.js';
+import {
+  describeTextStyle,
+  findLink,
+  findTextElement,
+  isButtonLike,
+  renderTextContent
+} from './mjml-elements.js';
+import { describeResponsiveClasses } from './responsive-frames.js';
+import { describeSemanticBlocks } from './semantic-blocks.js';
+
 /**
  * Available AI providers with their configurations
  */
@@ -65,7 +82,7 @@ export async function generateMJMLWithFallback(layoutData, providers = ['openai'
       const result = await generateWithProvider(provider, layoutData);
       if (result.success) {
         console.log(`✅ Success with ${provider}`);
-        return { ...result, provider, usedFallback: false };
+        return { ...result, provider, generator: 'ai', usedFallback: false };
       }
     } catch (error) {
       console.log(`❌ ${provider} failed:`, error.message);
@@ -255,215 +272,33 @@ async function generateWithGroq(layoutData) {
 }
 
 /**
- * Enhanced fallback that creates intelligent templates
+ * Fallback without AI: rebuilds the design's own blocks and content rather
+ * than a stock header, call to action and footer
  */
 async function generateEnhancedFallbackMJML(layoutData) {
-  console.log('🧠 Generating intelligent fallback MJML...');
+  console.log('🧠 Generating layout-based fallback MJML...');
   
-  const { fileName, layouts } = layoutData;
+  const { fileName, layouts = [] } = layoutData;
   const primaryLayout = layouts[0];
-  
-  // Analyze layout elements to create intelligent template
-  const analysis = analyzeLayoutElements(primaryLayout);
-  const mjml = generateIntelligentMJML(analysis, fileName, primaryLayout);
+  const autoLayout = primaryLayout && hasAutoLayout(primaryLayout);
+  const mjml = autoLayout
+    ? compileAutoLayoutMJML(primaryLayout, fileName)
+    : generateFallbackMJML(layoutData);
   
   return {
     success: true,
     mjml: mjml,
     aiUsed: false,
-    analysis: analysis,
-    model: 'intelligent-fallback'
-  };
-}
-
-/**
- * Analyze layout elements for intelligent template generation
- */
-function analyzeLayoutElements(layout) {
-  const { elements = [], width, height, name } = layout;
-  
-  const analysis = {
-    hasText: false,
-    hasImages: false,
-    hasButtons: false,
-    hasColoredSections: false,
-    textElements: [],
-    imageElements: [],
-    coloredElements: [],
-    layoutType: 'unknown',
-    primaryColors: [],
-    aspectRatio: width && height ? width / height : 1
+    generator: autoLayout ? 'auto-layout' : 'fallback',
+    model: 'layout-fallback'
   };
-  
-  elements.forEach(element => {
-    switch (element.type) {
-      case 'TEXT':
-        analysis.hasText = true;
-        analysis.textElements.push({
-          text: element.text || 'Sample Text',
-          fontSize: element.fontSize || 16,
-          color: element.textColor || '#333333',
-          weight: element.fontWeight || 400
-        });
-        break;
-        
-      case 'RECTANGLE':
-      case 'FRAME':
-        if (element.hasImage) {
-          analysis.hasImages = true;
-          analysis.imageElements.push(element);
-        } else if (element.backgroundColor && element.backgroundColor !== 'transparent') {
-          analysis.hasColoredSections = true;
-          analysis.coloredElements.push(element);
-          if (!analysis.primaryColors.includes(element.backgroundColor)) {
-            analysis.primaryColors.push(element.backgroundColor);
-          }
-        }
-        break;
-    }
-  });
-  
-  // Determine layout type
-  if (analysis.hasText && analysis.hasImages && analysis.hasColoredSections) {
-    analysis.layoutType = 'rich-content';
-  } else if (analysis.hasText && analysis.hasColoredSections) {
-    analysis.layoutType = 'text-focused';
-  } else if (analysis.hasImages) {
-    analysis.layoutType = 'image-focused';
-  } else {
-    analysis.layoutType = 'minimal';
-  }
-  
-  return analysis;
-}
-
-/**
- * Generate intelligent MJML based on analysis
- */
-function generateIntelligentMJML(analysis, fileName, layout) {
-  const { name, width, height } = layout;
-  const primaryColor = analysis.primaryColors[0] || '#007bff';
-  const textColor = getContrastColor(primaryColor);
-  
-  let mjml = `<mjml>
-  <mj-head>
-    <mj-title>${fileName} - ${name}</mj-title>
-    <mj-preview>Intelligent email template generated from ${name}</mj-preview>
-    <mj-attributes>
-      <mj-all font-family="'Poppins', Arial, sans-serif" />
-      <mj-text font-size="14px" color="#333333" line-height="1.6" />
-      <mj-section background-color="#ffffff" padding="20px" />
-    </mj-attributes>
-    <mj-style inline="inline">
-      .header { background-color: ${primaryColor}; }
-      .primary-color { color: ${primaryColor}; }
-      .rounded { border-radius: 8px; padding: 15px; background-color: #f8f9fa; }
-      @media only screen and (max-width: 480px) {
-        .mobile-center { text-align: center !important; }
-      }
-    </mj-style>
-  </mj-head>
-  <mj-body>`;
-
-  // Header based on layout type
-  mjml += `
-    <mj-section css-class="header" padding="30px 20px">
-      <mj-column>
-        <mj-text align="center" font-size="28px" font-weight="600" color="${textColor}">
-          ${name || 'Your Email Template'}
-        </mj-text>`;
-  
-  if (analysis.layoutType === 'rich-content') {
-    mjml += `
-        <mj-text align="center" font-size="16px" color="${textColor}" padding-top="10px">
-          🎨 Rich content email with ${analysis.textElements.length} text sections
-        </mj-text>`;
-  }
-  
-  mjml += `
-      </mj-column>
-    </mj-section>`;
-  
-  // Content based on analysis
-  mjml += `
-    <mj-section padding="40px 20px">
-      <mj-column>`;
-  
-  // Add text content if found
-  if (analysis.hasText && analysis.textElements.length > 0) {
-    analysis.textElements.slice(0, 3).forEach((textEl, index) => {
-      mjml += `
-        <mj-text font-size="${textEl.fontSize}px" color="${textEl.color}" font-weight="${textEl.weight > 500 ? '600' : '400'}">
-          ${textEl.text}
-        </mj-text>`;
-      if (index < analysis.textElements.length - 1) {
-        mjml += `
-        <mj-spacer height="15px" />`;
-      }
-    });
-  }
-  
-  // Add colored sections representation
-  if (analysis.hasColoredSections) {
-    mjml += `
-        <mj-spacer height="30px" />
-        <mj-text css-class="rounded">
-          🎨 <strong>Design Elements Found:</strong><br/>
-          • ${analysis.coloredElements.length} colored sections<br/>
-          • Primary colors: ${analysis.primaryColors.slice(0, 2).join(', ')}<br/>
-          • Layout type: ${analysis.layoutType}
-        </mj-text>`;
-  }
-  
-  // Add images representation
-  if (analysis.hasImages) {
-    mjml += `
-        <mj-spacer height="20px" />
-        <mj-image src="https://via.placeholder.com/600x300/f8f9fa/333333?text=Image+Placeholder" alt="Content Image" width="100%" />`;
-  }
-  
-  // Call to action
-  mjml += `
-        <mj-spacer height="30px" />
-        <mj-button background-color="${primaryColor}" color="${textColor}" border-radius="6px" font-weight="500" padding="12px 30px">
-          Get Started
-        </mj-button>
-        
-        <mj-spacer height="20px" />
-        
-        <mj-text align="center" font-size="12px" color="#666666">
-          💡 <strong>Template Info:</strong> Generated from ${fileName} (${width}×${height}px)<br/>
-          Layout type: ${analysis.layoutType} | Elements: ${layout.elements?.length || 0}
-        </mj-text>
-      </mj-column>
-    </mj-section>`;
-  
-  // Footer
-  mjml += `
-    <mj-section padding="10px 20px">
-      <mj-column>
-        <mj-divider border-color="#e9ecef" />
-      </mj-column>
-    </mj-section>
-    <mj-section padding="20px">
-      <mj-column>
-        <mj-text align="center" font-size="12px" color="#999999">
-          Generated with 🧠 <strong>Intelligent Fallback System</strong><br/>
-          No AI quota needed • Always available • Smart analysis
-        </mj-text>
-      </mj-column>
-    </mj-section>
-  </mj-body>
-</mjml>`;
-
-  return mjml;
 }
 
 /**
  * Helper functions
  */
 function createMJMLPrompt(layoutData) {
-  const { fileName, layouts } = layoutData;
+  const { fileName, layouts, tokens } = layoutData;
   const primaryLayout = layouts[0];
   
   return `Create a responsive MJML email template based on this Figma design:
@@ -475,10 +310,66 @@ function createMJMLPrompt(layoutData) {
 
 **Layout Elements:**
 ${primaryLayout.elements?.map(el => `- ${el.type}: ${el.name || 'Unnamed'}`).join('\n') || 'No specific elements found'}
-
+${describeTexts(primaryLayout.elements)}${describeImages(primaryLayout.elements)}${describeLinks(primaryLayout.elements)}${describeDesignTokens(tokens)}${describeRegisteredComponents(primaryLayout.elements)}${describeResponsiveClasses(primaryLayout.elements)}${describeSemanticBlocks(primaryLayout.elements)}${describeLayerAnnotations(primaryLayout.elements)}${describePaints(primaryLayout.elements)}${describeFonts(primaryLayout.elements)}
 Generate a complete, valid MJML template that represents this design structure.`;
 }
 
+function describeTexts(elements = []) {
+  const texts = [];
+  const collect = list => list.forEach(el => {
+    if (el.type === 'TEXT' && el.text) texts.push(el);
+    if (el.children) collect(el.children);
+  });
+  collect(elements);
+  
+  if (texts.length === 0) return '';
+  
+  return `
+**Text (keep the typography; mixed styles are given as inline HTML for mj-text):**
+${texts.map(text => `- "${text.runs ? renderTextContent(text) : text.text}" (${describeTextStyle(text)})`).join('\n')}
+`;
+}
+
+function describeImages(elements = []) {
+  const images = [];
+  const collect = list => list.forEach(el => {
+    if (el.imageUrl) images.push(el);
+    if (el.children) collect(el.children);
+  });
+  collect(elements);
+  
+  if (images.length === 0) return '';
+  
+  return `
+**Images (use these exact src URLs and sizes in mj-image):**
+${images.map(img => `- ${img.name || 'Image'}: ${img.imageUrl} (${img.imageWidth}×${img.imageHeight}px)`).join('\n')}
+`;
+}
+
+function describeLinks(elements = []) {
+  const links = [];
+  const collect = list => list.forEach(el => {
+    const href = findLink(el);
+    if (href && (isButtonLike(el) || el.hasImage || el.type === 'TEXT')) {
+      const label = isButtonLike(el) ? findTextElement(el)?.text : el.text;
+      const kind = isButtonLike(el) ? 'mj-button' : el.hasImage ? 'mj-image' : 'link in mj-text';
+      links.push(`- ${kind} "${label || el.name || 'Unnamed'}": href="${href}"`);
+    }
+    (el.runs || []).filter(run => run.link && run.link !== el.link).forEach(run => {
+      links.push(`- link in mj-text "${run.text}": href="${run.link}"`);
+    });
+    if (el.children && !isButtonLike(el)) collect(el.children);
+  });
+  collect(elements);
+  
+  if (links.length === 0) return '';
+  
+  return `
+**Links (put these exact href values on the matching element):**
+${links.join('\n')}
+`;
+}
+
 function getMJMLSystemPrompt() {
   return `You are an expert MJML email template generator. Create valid, responsive email templates.
 
@@ -498,14 +389,6 @@ function extractMJMLFromResponse(response) {
   return mjmlMatch ? (mjmlMatch[1] || mjmlMatch[0]) : response;
 }
 
-function getContrastColor(bgColor) {
-  // Simple contrast logic
-  if (bgColor && (bgColor.includes('rgb(0, 0, 0)') || bgColor.includes('#000') || bgColor === 'black')) {
-    return 'white';
-  }
-  return '#333333';
-}
-
 /**
  * Get available providers and their status
  */
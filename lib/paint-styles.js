@@ -0,0 +1,121 @@
+/**
+ * Paint Styles
+ * Email-safe output for gradient fills: containers keep their solid fallback
+ * color inline and get the CSS gradient through a class, which clients
+ * without gradient support simply ignore
+ */
+
+import { formatShadows } from './figma.js';
+
+/**
+ * Class names used for gradient backgrounds
+ */
+const GRADIENT_CLASS_PREFIX = 'bg-gradient';
+
+/**
+ * Give every visible gradient container a class. Elements exported as an
+ * image already carry the rendered gradient and are skipped.
+ * @param {Array} elements - Layout elements, modified in place (gradientClass)
+ * @returns {Array} Gradients ({ className, css, color, element }) in document order
+ */
+export function assignGradientClasses(elements = []) {
+  const gradients = [];
+  const byCss = new Map();
+
+  const visit = list => list.forEach(element => {
+    if (element.visible === false) return;
+
+    if (element.gradient && !element.hasImage) {
+      // Identical gradients share one class
+      let gradient = byCss.get(element.gradient.css);
+      if (!gradient) {
+        gradient = {
+          className: `${GRADIENT_CLASS_PREFIX}-${byCss.size + 1}`,
+          css: element.gradient.css,
+          color: element.backgroundColor,
+          element: element.name
+        };
+        byCss.set(gradient.css, gradient);
+        gradients.push(gradient);
+      }
+      element.gradientClass = gradient.className;
+    }
+
+    if (element.children) visit(element.children);
+  });
+  visit(elements);
+
+  return gradients;
+}
+
+/**
+ * Define the gradient classes the generators referenced. The gradient is
+ * painted on the table right inside the section or column, where MJML puts
+ * the inline background color.
+ * @param {string} mjmlCode - Generated MJML
+ * @param {Array} gradients - Result of assignGradientClasses
+ * @returns {string} MJML with mj-class definitions and gradient styles
+ */
+export function addGradientStyles(mjmlCode, gradients) {
+  const used = (gradients || []).filter(gradient => new RegExp(`${gradient.className}(?![\\w-])`).test(mjmlCode));
+  if (used.length === 0) return mjmlCode;
+
+  const definitions = used
+    .map(gradient => `\n      <mj-class name="${gradient.className}" css-class="${gradient.className}" />`)
+    .join('');
+  const style = `\n    <mj-style>` +
+                used.map(gradient =>
+                  `\n      .${gradient.className} > table { background-image: ${gradient.css} !important; }`).join('') +
+                `\n    </mj-style>`;
+
+  const code = /<\/mj-attributes>/.test(mjmlCode)
+    ? mjmlCode.replace(/\n?(\s*)<\/mj-attributes>/, `${definitions}\n$1</mj-attributes>`)
+    : insertIntoHead(mjmlCode, `\n    <mj-attributes>${definitions}\n    </mj-attributes>`);
+
+  return insertIntoHead(code, style);
+}
+
+/**
+ * Describe gradients, borders and shadows for AI prompts
+ * @param {Array} elements - Layout elements
+ * @returns {string} Prompt section, empty when the design uses none
+ */
+export function describePaints(elements = []) {
+  const lines = [];
+  const collect = list => list.forEach(element => {
+    if (element.visible === false) return;
+
+    if (element.gradient) {
+      lines.push(`- "${element.name}": gradient ${element.gradient.css}; use background-color="${element.backgroundColor}" as the solid fallback${element.gradientClass ? ` and mj-class="${element.gradientClass}"` : ''}`);
+    }
+    if (element.stroke && element.type !== 'LINE') {
+      const { color, style, top, right, bottom, left } = element.stroke;
+      const sides = top === right && top === bottom && top === left
+        ? `border="${top}px ${style} ${color}"`
+        : `border-top/right/bottom/left of ${top}/${right}/${bottom}/${left}px ${style} ${color}`;
+      lines.push(`- "${element.name}": ${sides}`);
+    }
+    if (element.cornerRadii) {
+      lines.push(`- "${element.name}": border-radius="${element.cornerRadii.map(radius => `${radius}px`).join(' ')}"`);
+    }
+    if (element.effects?.shadows) {
+      lines.push(`- "${element.name}": shadow ${formatShadows(element.effects.shadows)} (optional, many clients drop box-shadow)`);
+    }
+    if (element.children) collect(element.children);
+  });
+  collect(elements);
+
+  if (lines.length === 0) return '';
+
+  return `
+**Fills, borders and shadows (gradient classes are defined automatically; do not define them):**
+${lines.join('\n')}
+`;
+}
+
+function insertIntoHead(mjmlCode, markup) {
+  if (/<\/mj-head>/.test(mjmlCode)) {
+    return mjmlCode.replace(/\n?\s*<\/mj-head>/, `${markup}\n  </mj-head>`);
+  }
+  return mjmlCode.replace(/<mjml([^>]*)>/, `<mjml$1>\n  <mj-head>${markup}\n  </mj-head>`);
+}
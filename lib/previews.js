@@ -0,0 +1,64 @@
+/**
+ * Preview Store
+ * Compiled HTML linked from conversion reports. Kept apart from the asset
+ * store, which serves images same-origin, and served by /api/previews/:id
+ * with headers that keep the page from running as this app
+ */
+
+import crypto from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+
+/**
+ * Preview IDs are content hashes, which also keeps lookups from escaping
+ * the preview directory
+ */
+const PREVIEW_ID_PATTERN = /^[a-f0-9]{64}\.html$/;
+
+/**
+ * Response headers for a stored preview. The sandbox gives the page an
+ * opaque origin with scripts, forms and popups disabled, so designer-controlled
+ * text in the email cannot reach this app's cookies or APIs
+ */
+export const PREVIEW_HEADERS = {
+  'Content-Type': 'text/html; charset=utf-8',
+  'Content-Security-Policy': 'sandbox',
+  'X-Content-Type-Options': 'nosniff',
+  'Cache-Control': 'private, max-age=86400'
+};
+
+function getPreviewDirectory() {
+  return process.env.PREVIEW_STORE_DIR || path.join(process.cwd(), '.previews');
+}
+
+/**
+ * Store compiled HTML for a preview link
+ * @param {string} html - Compiled email
+ * @returns {Object} Stored preview ({ id, url, size }); url is relative unless PREVIEW_BASE_URL is set
+ */
+export async function putPreview(html) {
+  const buffer = Buffer.from(html, 'utf8');
+  const id = `${crypto.createHash('sha256').update(buffer).digest('hex')}.html`;
+  const directory = getPreviewDirectory();
+
+  await fs.mkdir(directory, { recursive: true });
+  await fs.writeFile(path.join(directory, id), buffer);
+
+  return { id, url: `${process.env.PREVIEW_BASE_URL || ''}/api/previews/${id}`, size: buffer.length };
+}
+
+/**
+ * Read a stored preview
+ * @param {string} id - Preview ID
+ * @returns {Buffer|null} HTML, null when the ID is unknown or malformed
+ */
+export async function getPreview(id) {
+  if (!PREVIEW_ID_PATTERN.test(id)) return null;
+
+  try {
+    return await fs.readFile(path.join(getPreviewDirectory(), id));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
@@ -0,0 +1,362 @@
+/**
+ * Repeated Blocks
+ * Product grids and article lists are several copies of one card. Runs of
+ * sibling copies (instances of the same component or layers of the same
+ * shape) and [repeat list] layers become one templated block looped over a
+ * data list, and the copies' texts, images and links become sample data.
+ */
+
+/**
+ * Loop and placeholder syntax per template language
+ */
+export const TEMPLATE_LANGUAGES = {
+  handlebars: {
+    open: list => `{{#each ${list}}}`,
+    close: '{{/each}}',
+    field: name => `{{${name}}}`
+  },
+  liquid: {
+    open: (list, variable, parentVariable) => `{% for ${variable} in ${parentVariable ? `${parentVariable}.` : ''}${list} %}`,
+    close: '{% endfor %}',
+    field: (name, variable) => `{{ ${variable}.${name} }}`
+  }
+};
+
+/**
+ * Layer widths are compared in steps of this many pixels
+ */
+const WIDTH_STEP = 4;
+
+/**
+ * Layer names Figma generates, which say nothing about the content
+ */
+const GENERIC_NAME_PATTERN = /^(frame|group|rectangle|instance|component|auto layout|layer)?\s*\d*$/i;
+
+/**
+ * Turn repeated siblings into loop templates. The first copy of each run is
+ * the template: texts, images and links that differ between the copies are
+ * replaced by placeholders, and the other copies are hidden.
+ * @param {Array} elements - Layout elements, modified in place
+ * @param {Object} options - Templating options
+ * @param {string} options.language - 'handlebars' (default) or 'liquid'
+ * @param {boolean} options.detect - false to loop [repeat] layers only
+ * @returns {Object} { loops, data } - loops ({ list, name, count, detected, fields })
+ *   and sample data holding each list's items
+ */
+export function templateRepeatedBlocks(elements = [], { language = 'handlebars', detect = true } = {}) {
+  const syntax = TEMPLATE_LANGUAGES[language];
+  if (!syntax) {
+    throw new Error(`Unknown template language "${language}". Use ${Object.keys(TEMPLATE_LANGUAGES).join(' or ')}.`);
+  }
+
+  const loops = [];
+  const data = {};
+
+  collectRuns(elements, null, new Set(), detect).forEach(run => {
+    applyRun(run, syntax, null, loops);
+    data[run.list] = run.items;
+  });
+
+  return { loops, data };
+}
+
+/**
+ * Find the runs among a list of siblings and, below elements that are not
+ * repeated, among their descendants
+ * @param {Array} siblings - Layout elements sharing a parent
+ * @param {Object|null} parent - Their parent, used to name lists
+ * @param {Set} names - Names taken in the data scope the runs belong to
+ * @param {boolean} detect - Whether to look for unannotated copies
+ * @returns {Array} Runs ({ list, name, detected, template, copies, fields, nested, items })
+ */
+function collectRuns(siblings, parent, names, detect) {
+  const runs = [];
+
+  groupSiblings(siblings, detect).forEach(group => {
+    if (!group.repeated) {
+      const element = group.copies[0];
+      if (element.children) runs.push(...collectRuns(element.children, element, names, detect));
+      return;
+    }
+
+    runs.push(buildRun(group, parent, names, detect));
+  });
+
+  return runs;
+}
+
+/**
+ * Split siblings into runs of copies and single elements. Layers with the
+ * same [repeat] list form one run; unannotated layers with the same shape
+ * or component form a run of two or more.
+ * @param {Array} siblings - Layout elements sharing a parent
+ * @param {boolean} detect - Whether to look for unannotated copies
+ * @returns {Array} Groups ({ repeated, list, copies })
+ */
+function groupSiblings(siblings, detect) {
+  const groups = [];
+  let current = null;
+
+  siblings.filter(element => element.visible !== false).forEach(element => {
+    const list = element.annotations?.repeat || null;
+    const signature = !list && detect && isCard(element) ? shapeSignature(element) : null;
+
+    if (current && ((list && current.list === list) || (signature && current.signature === signature))) {
+      current.copies.push(element);
+      return;
+    }
+
+    current = { list, signature, copies: [element] };
+    groups.push(current);
+  });
+
+  return groups.map(group => ({
+    repeated: Boolean(group.list) || group.copies.length > 1,
+    list: group.list,
+    copies: group.copies
+  }));
+}
+
+/**
+ * Work out the template, fields and sample items of a run
+ * @param {Object} group - Group from groupSiblings
+ * @param {Object|null} parent - Parent element, used to name the list
+ * @param {Set} names - Names taken in the data scope
+ * @param {boolean} detect - Whether to look for unannotated copies
+ * @returns {Object} Run
+ */
+function buildRun(group, parent, names, detect) {
+  const list = group.list || uniqueName(listName(group.copies[0], parent), names);
+  names.add(list);
+
+  // Loops inside a card get their own list in each item
+  const copies = group.copies.map(element => {
+    const scope = new Set();
+    const nested = element.children ? collectRuns(element.children, element, scope, detect) : [];
+    return { element, scope, nested, leaves: collectLeaves(element, nested) };
+  });
+
+  const [first] = copies;
+  const candidates = first.leaves.map(leaf => ({
+    ...leaf,
+    values: copies.map(copy => copy.leaves.find(other => other.path === leaf.path && other.kind === leaf.kind)?.value ?? null)
+  })).filter(leaf => leaf.values.some(value => value !== null));
+
+  // Content that is the same on every card stays in the template as designed,
+  // unless the copies are identical placeholders
+  const varying = candidates.filter(leaf => new Set(leaf.values).size > 1);
+  const bound = varying.length > 0 ? varying : candidates.filter(leaf => leaf.kind !== 'link');
+
+  const fields = bound.map(leaf => ({
+    ...leaf,
+    name: uniqueName(fieldName(leaf), first.scope)
+  }));
+  fields.forEach(field => first.scope.add(field.name));
+
+  const items = copies.map((copy, index) => {
+    const item = {};
+    fields.forEach(field => { item[field.name] = field.values[index]; });
+    copy.nested.forEach(run => { item[run.list] = run.items; });
+    return item;
+  });
+
+  return {
+    list,
+    name: first.element.name,
+    detected: !group.list,
+    template: first.element,
+    copies: group.copies,
+    fields,
+    nested: first.nested,
+    items
+  };
+}
+
+/**
+ * Turn a run's first copy into the loop template and hide the others
+ * @param {Object} run - Run from buildRun
+ * @param {Object} syntax - Template language syntax
+ * @param {string|null} parentVariable - Loop variable of the enclosing loop
+ * @param {Array} loops - Loop summaries, appended to
+ */
+function applyRun(run, syntax, parentVariable, loops) {
+  const variable = loopVariable(run.list, parentVariable);
+  const template = run.template;
+
+  template.annotations = { ...template.annotations, repeat: run.list };
+  template.loop = {
+    open: syntax.open(run.list, variable, parentVariable),
+    close: syntax.close
+  };
+
+  run.fields.forEach(field => {
+    const placeholder = syntax.field(field.name, variable);
+    if (field.kind === 'text') {
+      field.element.text = placeholder;
+      delete field.element.runs;
+    } else if (field.kind === 'image') {
+      field.element.imageUrl = placeholder;
+      delete field.element.imageSrcset;
+    } else {
+      field.element.link = placeholder;
+    }
+  });
+
+  run.copies.slice(1).forEach(copy => { copy.visible = false; });
+
+  loops.push({
+    list: run.list,
+    name: run.name,
+    count: run.copies.length,
+    detected: run.detected,
+    fields: run.fields.map(field => field.name)
+  });
+
+  run.nested.forEach(nested => applyRun(nested, syntax, variable, loops));
+}
+
+/**
+ * Texts, images and links of a card, keyed by their position in it.
+ * Content of nested runs belongs to their own items.
+ * @param {Object} card - Card element
+ * @param {Array} nested - Runs found inside the card
+ * @returns {Array} Leaves ({ path, kind, element, value })
+ */
+function collectLeaves(card, nested) {
+  const skip = new Set(nested.flatMap(run => run.copies));
+  const leaves = [];
+
+  const visit = (element, path) => {
+    if (skip.has(element) || element.visible === false) return;
+
+    if (element.type === 'TEXT' && element.text) {
+      leaves.push({ path, kind: 'text', element, value: element.text });
+    }
+    if (element.hasImage && !element.icon) {
+      leaves.push({ path, kind: 'image', element, value: element.imageUrl || null });
+    }
+    if (element.link) {
+      leaves.push({ path, kind: 'link', element, value: element.link });
+    }
+    (element.children || []).forEach((child, index) => visit(child, `${path}/${index}`));
+  };
+  visit(card, '');
+
+  return leaves;
+}
+
+/**
+ * Check whether an element could be a card: a container with at least two
+ * texts or images
+ * @param {Object} element - Layout element
+ * @returns {boolean} True for card-like containers
+ */
+function isCard(element) {
+  if (!element.children || !element.bounds) return false;
+
+  let content = 0;
+  const count = list => list.forEach(child => {
+    if (child.visible === false) return;
+    if ((child.type === 'TEXT' && child.text) || child.hasImage) content++;
+    if (child.children) count(child.children);
+  });
+  count(element.children);
+
+  return content >= 2;
+}
+
+/**
+ * Describe an element's structure: instances by their component, other
+ * layers by type, width and the structure of their children
+ * @param {Object} element - Layout element
+ * @returns {string} Signature shared by copies of the same card
+ */
+function shapeSignature(element) {
+  if (element.component) {
+    return `component:${element.component.key || element.component.id}`;
+  }
+
+  const width = element.bounds ? Math.round(element.bounds.width / WIDTH_STEP) : '';
+  const children = (element.children || [])
+    .filter(child => child.visible !== false)
+    .map(shapeSignature)
+    .join(',');
+
+  return `${element.type}:${width}[${children}]`;
+}
+
+/**
+ * Name the data list of a run after its cards ("Product card" →
+ * productCards), or after its parent when the cards have generated names
+ * @param {Object} card - First copy
+ * @param {Object|null} parent - Parent element
+ * @returns {string} List name
+ */
+function listName(card, parent) {
+  const cardName = (card.component?.name || card.name || '').replace(/\s*\d+$/, '');
+  if (!GENERIC_NAME_PATTERN.test(cardName)) return pluralize(identifier(cardName));
+  if (parent && !GENERIC_NAME_PATTERN.test(parent.name || '')) return identifier(parent.name);
+  return 'items';
+}
+
+/**
+ * Name a field after its layer
+ * @param {Object} leaf - Leaf from collectLeaves
+ * @returns {string} Field name
+ */
+function fieldName(leaf) {
+  // The card's own link is the item's URL
+  if (leaf.kind === 'link' && leaf.path === '') return 'url';
+
+  const layerName = (leaf.element.name || '').replace(/\s*\d+$/, '');
+  const name = GENERIC_NAME_PATTERN.test(layerName) ? '' : identifier(layerName);
+  if (leaf.kind === 'link') return name ? `${name}Url` : 'url';
+  return name || leaf.kind;
+}
+
+/**
+ * Liquid loop variable: the singular of the list name
+ * @param {string} list - List name
+ * @param {string|null} parentVariable - Variable of the enclosing loop
+ * @returns {string} Variable name
+ */
+function loopVariable(list, parentVariable) {
+  const singular = list.replace(/ies$/, 'y').replace(/s$/, '');
+  const variable = singular && singular !== list ? singular : 'item';
+  return variable === parentVariable ? `${variable}Item` : variable;
+}
+
+/**
+ * Turn a layer name into a camelCase identifier
+ * @param {string} name - Layer name
+ * @returns {string} Identifier, empty when the name has no letters or digits
+ */
+function identifier(name = '') {
+  const words = name
+    .normalize('NFKD')
+    .replace(/[^A-Za-z0-9]+/g, ' ')
+    .trim()
+    .split(' ')
+    .filter(Boolean);
+
+  const camel = words
+    .map((word, index) => index === 0 ? word.toLowerCase() : word[0].toUpperCase() + word.slice(1).toLowerCase())
+    .join('');
+
+  return /^\d/.test(camel) ? `field${camel}` : camel;
+}
+
+function pluralize(word) {
+  if (!word) return 'items';
+  if (word.endsWith('s')) return word;
+  if (/[^aeiou]y$/.test(word)) return `${word.slice(0, -1)}ies`;
+  return `${word}s`;
+}
+
+function uniqueName(name, taken) {
+  if (!taken.has(name)) return name;
+
+  let index = 2;
+  while (taken.has(`${name}${index}`)) index++;
+  return `${name}${index}`;
+}
@@ -0,0 +1,509 @@
+/**
+ * Responsive Frame Pairing
+ * Pairs a desktop frame with the mobile frame of the same email, diffs their
+ * layouts and folds the mobile differences into the desktop layout: changed
+ * typography and sizes become mj-class overrides backed by media-query
+ * rules, and content present on one viewport only becomes hide/show blocks.
+ */
+
+import { findTextElement, isButtonLike } from './mjml-elements.js';
+
+/**
+ * Layer name words marking a frame's viewport
+ */
+const MOBILE_NAME = /\b(mobile|phone)\b/i;
+const DESKTOP_NAME = /\b(desktop|web)\b/i;
+
+/**
+ * MJML stacks columns below 480px; mobile rules apply below that
+ */
+const MOBILE_MEDIA = '@media only screen and (max-width: 479px)';
+
+/**
+ * Elements at least this share of the mobile frame width render full width
+ */
+const FULL_WIDTH_RATIO = 0.9;
+
+export const HIDE_ON_MOBILE = 'hide-mobile';
+export const SHOW_ON_MOBILE = 'show-mobile';
+
+/**
+ * Find desktop/mobile frame pairs. Explicit pairs win; other frames pair up
+ * when their names only differ by a viewport word, e.g. "Welcome / Desktop"
+ * and "Welcome / Mobile".
+ * @param {Array} layouts - Extracted frame layouts
+ * @param {Array} explicitPairs - [{ desktop, mobile }] frame IDs picked by the user
+ * @returns {Array} Pairs ({ desktop, mobile }) of layouts
+ */
+export function findFramePairs(layouts, explicitPairs = []) {
+  const byId = new Map(layouts.map(layout => [layout.id, layout]));
+  const paired = new Set();
+  const pairs = [];
+
+  explicitPairs.forEach(({ desktop, mobile }) => {
+    if (byId.has(desktop) && byId.has(mobile) && desktop !== mobile) {
+      pairs.push({ desktop: byId.get(desktop), mobile: byId.get(mobile) });
+      paired.add(desktop).add(mobile);
+    }
+  });
+
+  const mobiles = layouts.filter(layout => !paired.has(layout.id) && MOBILE_NAME.test(layout.name));
+  layouts
+    .filter(layout => !paired.has(layout.id) && DESKTOP_NAME.test(layout.name))
+    .forEach(desktop => {
+      const mobile = mobiles.find(candidate =>
+        !paired.has(candidate.id) && baseName(candidate.name) === baseName(desktop.name));
+      if (!mobile) return;
+
+      pairs.push({ desktop, mobile });
+      paired.add(desktop.id).add(mobile.id);
+    });
+
+  return pairs;
+}
+
+/**
+ * Fold a mobile frame into its desktop layout. Elements are matched by type
+ * and layer name; matched elements whose mobile style differs get an
+ * override class, desktop-only elements are hidden on mobile and mobile-only
+ * elements are inserted after their nearest matched sibling, shown on mobile
+ * only. Elements get responsiveClass, which the generators emit as mj-class.
+ * @param {Object} layout - Desktop layout, modified in place
+ * @param {Object} mobileLayout - Mobile layout
+ * @returns {Object} { mobileFrame, overrides, hiddenOnMobile, shownOnMobile }
+ */
+export function applyResponsiveLayout(layout, mobileLayout) {
+  const desktopRoot = { children: layout.elements || [], bounds: frameBounds(layout) };
+  const mobileRoot = { children: mobileLayout.elements || [], bounds: frameBounds(mobileLayout) };
+  const desktopEntries = indexElements(desktopRoot);
+  const mobileEntries = indexElements(mobileRoot);
+
+  const desktopByKey = new Map(desktopEntries.map(entry => [entry.key, entry]));
+  const matches = new Map([[mobileRoot, desktopEntries[0]]]);
+  const result = {
+    mobileFrame: { id: mobileLayout.id, name: mobileLayout.name, width: mobileLayout.width },
+    overrides: [],
+    hiddenOnMobile: [],
+    shownOnMobile: []
+  };
+  const classNames = new Set([HIDE_ON_MOBILE, SHOW_ON_MOBILE]);
+  const handled = new Set();
+
+  mobileEntries.slice(1).forEach(mobile => {
+    const desktop = desktopByKey.get(mobile.key);
+    if (desktop) {
+      matches.set(mobile.element, desktop);
+    }
+  });
+
+  mobileEntries.slice(1).forEach(mobile => {
+    // Content of inserted or hidden containers is not matched on its own
+    if (handled.has(mobile.parent) || mobile.parent.visible === false) {
+      handled.add(mobile.element);
+      matches.delete(mobile.element);
+      return;
+    }
+
+    const desktop = matches.get(mobile.element);
+    const mobileVisible = mobile.element.visible !== false;
+
+    if (!desktop) {
+      if (!mobileVisible) return;
+      insertMobileOnly(mobile, matches, result);
+      handled.add(mobile.element);
+      return;
+    }
+
+    const element = desktop.element;
+    if (!mobileVisible) {
+      if (element.visible !== false) {
+        element.responsiveClass = HIDE_ON_MOBILE;
+        result.hiddenOnMobile.push(element.name);
+      }
+      return;
+    }
+
+    if (element.visible === false) {
+      element.visible = true;
+      element.responsiveClass = SHOW_ON_MOBILE;
+      result.shownOnMobile.push(element.name);
+      return;
+    }
+
+    // Different wording cannot be restyled, so each viewport gets its own copy
+    if (element.type === 'TEXT' && (element.text || '') !== (mobile.element.text || '')) {
+      element.responsiveClass = HIDE_ON_MOBILE;
+      result.hiddenOnMobile.push(element.name);
+      insertAfter(desktop, mobile, result);
+      handled.add(mobile.element);
+      return;
+    }
+
+    const rules = diffElement(element, mobile.element, mobileRoot.bounds.width);
+    if (rules.length > 0) {
+      const className = uniqueClassName(`m-${element.name}`, classNames);
+      element.responsiveClass = className;
+      result.overrides.push({ className, element: element.name, rules });
+    }
+  });
+
+  // Desktop elements without a mobile counterpart
+  const matchedDesktop = new Set(matches.values());
+  desktopEntries.slice(1).forEach(desktop => {
+    const element = desktop.element;
+    if (matchedDesktop.has(desktop) || element.visible === false || element.responsiveClass) return;
+    if (hasHiddenAncestor(desktop)) return;
+
+    element.responsiveClass = HIDE_ON_MOBILE;
+    result.hiddenOnMobile.push(element.name);
+  });
+
+  // Inserted mobile content makes the frame taller
+  layout.height = desktopRoot.bounds.height;
+
+  // Generators flatten containers, so their content carries the visibility too
+  inheritVisibility(desktopRoot.children, null);
+
+  return result;
+}
+
+/**
+ * Apply [hide-mobile] and [hide-desktop] layer annotations. They win over
+ * classes found by pairing frames.
+ * @param {Object} layout - Layout, modified in place
+ * @param {Object|null} responsive - Result of applyResponsiveLayout, if the frame was paired
+ * @returns {Object|null} Responsive result including the annotated layers,
+ *   null when there is neither a pair nor an annotation
+ */
+export function applyVisibilityAnnotations(layout, responsive = null) {
+  const result = responsive || { mobileFrame: null, overrides: [], hiddenOnMobile: [], shownOnMobile: [] };
+  let annotated = false;
+
+  const visit = elements => (elements || []).forEach(element => {
+    const annotations = element.annotations || {};
+
+    if (annotations['hide-mobile']) {
+      element.responsiveClass = HIDE_ON_MOBILE;
+      result.hiddenOnMobile.push(element.name);
+      annotated = true;
+    } else if (annotations['hide-desktop']) {
+      element.responsiveClass = SHOW_ON_MOBILE;
+      result.shownOnMobile.push(element.name);
+      annotated = true;
+    }
+
+    visit(element.children);
+  });
+  visit(layout.elements);
+
+  if (!annotated) return responsive;
+
+  inheritVisibility(layout.elements, null);
+  return result;
+}
+
+/**
+ * Add the responsive classes to generated MJML: an mj-class per override
+ * and visibility class, and the media-query rules behind them
+ * @param {string} mjmlCode - Generated MJML
+ * @param {Object} responsive - Result of applyResponsiveLayout
+ * @returns {string} MJML with responsive definitions in mj-head
+ */
+export function addResponsiveStyles(mjmlCode, responsive) {
+  if (!responsive) return mjmlCode;
+
+  const { overrides, hiddenOnMobile, shownOnMobile } = responsive;
+  const classes = overrides.map(override => override.className);
+  const desktopRules = [];
+  const mobileRules = overrides.flatMap(override => override.rules.map(rule =>
+    `.${override.className} ${rule.selector} { ${rule.declarations.map(declaration => `${declaration} !important;`).join(' ')} }`));
+
+  if (hiddenOnMobile.length > 0) {
+    classes.push(HIDE_ON_MOBILE);
+    mobileRules.push(`.${HIDE_ON_MOBILE} { display: none !important; }`);
+  }
+  if (shownOnMobile.length > 0) {
+    classes.push(SHOW_ON_MOBILE);
+    desktopRules.push(`.${SHOW_ON_MOBILE} { display: none; mso-hide: all; max-height: 0; overflow: hidden; }`);
+    mobileRules.push(`.${SHOW_ON_MOBILE} { display: block !important; max-height: none !important; overflow: visible !important; }`);
+  }
+
+  if (classes.length === 0) return mjmlCode;
+
+  const definitions = classes.map(name => `\n      <mj-class name="${name}" css-class="${name}" />`).join('');
+  const style = `\n    <mj-style>` +
+                desktopRules.map(rule => `\n      ${rule}`).join('') +
+                `\n      ${MOBILE_MEDIA} {` +
+                mobileRules.map(rule => `\n        ${rule}`).join('') +
+                `\n      }` +
+                `\n    </mj-style>`;
+
+  const code = /<\/mj-attributes>/.test(mjmlCode)
+    ? mjmlCode.replace(/\n?(\s*)<\/mj-attributes>/, `${definitions}\n$1</mj-attributes>`)
+    : insertIntoHead(mjmlCode, `\n    <mj-attributes>${definitions}\n    </mj-attributes>`);
+
+  return insertIntoHead(code, style);
+}
+
+/**
+ * Describe responsive classes for AI prompts
+ * @param {Array} elements - Layout elements after applyResponsiveLayout
+ * @returns {string} Prompt section, empty when the frame has no mobile pair
+ */
+export function describeResponsiveClasses(elements = []) {
+  const lines = [];
+  const collect = list => list.forEach(element => {
+    if (element.responsiveClass) {
+      lines.push(`- "${element.name}" (${element.type}): mj-class="${element.responsiveClass}"`);
+    }
+    if (element.children) collect(element.children);
+  });
+  collect(elements);
+
+  if (lines.length === 0) return '';
+
+  return `
+**Responsive classes (add these mj-class attributes to the components rendering these layers; "${HIDE_ON_MOBILE}" hides on mobile, "${SHOW_ON_MOBILE}" shows on mobile only; do not define them):**
+${lines.join('\n')}
+`;
+}
+
+/**
+ * Frame name without its viewport word and separators
+ * @param {string} name - Frame name
+ * @returns {string} Normalized base name
+ */
+function baseName(name = '') {
+  return name
+    .replace(MOBILE_NAME, '')
+    .replace(DESKTOP_NAME, '')
+    .replace(/[()[\]]/g, '')
+    .replace(/[\s/|–—_-]+/g, ' ')
+    .trim()
+    .toLowerCase();
+}
+
+/**
+ * Index a layout tree in document order. Keys combine type, layer name and
+ * occurrence, so the nth "Card" on desktop matches the nth "Card" on mobile.
+ * @param {Object} root - Root container ({ children, bounds })
+ * @returns {Array} Entries ({ key, element, parent, parentEntry }), root first
+ */
+function indexElements(root) {
+  const entries = [{ key: null, element: root, parent: null, parentEntry: null }];
+  const seen = {};
+
+  const visit = (parentEntry) => {
+    (parentEntry.element.children || []).forEach(element => {
+      const name = `${element.type}:${element.name}`;
+      seen[name] = (seen[name] || 0) + 1;
+
+      const entry = { key: `${name}#${seen[name]}`, element, parent: parentEntry.element, parentEntry };
+      entries.push(entry);
+      visit(entry);
+    });
+  };
+  visit(entries[0]);
+
+  return entries;
+}
+
+/**
+ * CSS rules for the mobile differences of a matched element
+ * @param {Object} desktop - Desktop element
+ * @param {Object} mobile - Mobile element
+ * @param {number} mobileWidth - Mobile frame width
+ * @returns {Array} Rules ({ selector, declarations })
+ */
+function diffElement(desktop, mobile, mobileWidth) {
+  const rules = [];
+  const fullWidth = mobile.bounds && mobile.bounds.width >= mobileWidth * FULL_WIDTH_RATIO;
+
+  if (desktop.type === 'TEXT') {
+    const declarations = [];
+    if (mobile.fontSize && mobile.fontSize !== desktop.fontSize) declarations.push(`font-size: ${mobile.fontSize}px`);
+    if (mobile.lineHeight && mobile.lineHeight !== desktop.lineHeight) declarations.push(`line-height: ${mobile.lineHeight}`);
+    if (mobile.letterSpacing !== desktop.letterSpacing) declarations.push(`letter-spacing: ${mobile.letterSpacing || 0}px`);
+    if ((mobile.textAlign || 'left') !== (desktop.textAlign || 'left')) declarations.push(`text-align: ${mobile.textAlign || 'left'}`);
+    if (declarations.length > 0) rules.push({ selector: 'div', declarations });
+  } else if (isButtonLike(desktop)) {
+    const desktopLabel = findTextElement(desktop) || {};
+    const mobileLabel = findTextElement(mobile) || {};
+    if (mobileLabel.fontSize && mobileLabel.fontSize !== desktopLabel.fontSize) {
+      rules.push({ selector: 'a, p', declarations: [`font-size: ${mobileLabel.fontSize}px`] });
+    }
+    if (fullWidth) {
+      rules.push({ selector: 'table', declarations: ['width: 100%'] });
+    }
+  } else if (desktop.hasImage && mobile.bounds && desktop.bounds) {
+    const width = fullWidth ? '100%' : `${Math.round(mobile.bounds.width)}px`;
+    if (fullWidth || Math.round(mobile.bounds.width) !== Math.round(desktop.bounds.width)) {
+      rules.push({ selector: 'td', declarations: [`width: ${width}`] });
+      rules.push({ selector: 'img', declarations: ['width: 100%', 'height: auto'] });
+    }
+  }
+
+  return rules;
+}
+
+/**
+ * Insert a mobile-only element after the desktop counterpart of its nearest
+ * matched preceding sibling, or at the start of its matched parent
+ * @param {Object} mobile - Index entry of the mobile element
+ * @param {Map} matches - Mobile elements to desktop index entries
+ * @param {Object} result - Collected results
+ */
+function insertMobileOnly(mobile, matches, result) {
+  const siblings = [...mobile.parent.children]
+    .filter(sibling => sibling.bounds)
+    .sort((a, b) => a.bounds.y - b.bounds.y || a.bounds.x - b.bounds.x);
+  const before = siblings
+    .slice(0, siblings.indexOf(mobile.element))
+    .reverse()
+    .find(sibling => matches.has(sibling));
+
+  if (before) {
+    insertAfter(matches.get(before), mobile, result);
+    return;
+  }
+
+  // Unmatched mobile parents are inserted whole, so the parent is matched
+  const container = matches.get(mobile.parent);
+  container.element.children = container.element.children || [];
+  const first = container.element.children
+    .filter(child => child.bounds)
+    .sort((a, b) => a.bounds.y - b.bounds.y)[0];
+  const y = first ? first.bounds.y : container.element.bounds.y;
+
+  placeMobileCopy(container.element.children, 0, mobile, { x: container.element.bounds.x, y }, containerChain(container), result);
+}
+
+/**
+ * Insert a mobile element right below a desktop element
+ * @param {Object} anchor - Desktop index entry
+ * @param {Object} mobile - Index entry of the mobile element
+ * @param {Object} result - Collected results
+ */
+function insertAfter(anchor, mobile, result) {
+  const siblings = anchor.parent.children;
+  const position = {
+    x: anchor.parent.bounds.x,
+    y: anchor.element.bounds.y + anchor.element.bounds.height
+  };
+
+  placeMobileCopy(siblings, siblings.indexOf(anchor.element) + 1, mobile, position, containerChain(anchor.parentEntry), result);
+}
+
+/**
+ * Copy a mobile element into the desktop tree at the given position, keeping
+ * its offset within its mobile parent, and push the content below it down
+ * so desktop spacing is kept
+ * @param {Array} siblings - Desktop children list to insert into
+ * @param {number} index - Insert position
+ * @param {Object} mobile - Index entry of the mobile element
+ * @param {Object} position - Desktop { x, y }: parent's left edge and the copy's top
+ * @param {Array} chain - Desktop containers from the insertion parent up to the root
+ * @param {Object} result - Collected results
+ */
+function placeMobileCopy(siblings, index, mobile, position, chain, result) {
+  const { bounds } = mobile.element;
+  const offsetX = bounds.x - mobile.parent.bounds.x;
+  const copy = translate(structuredClone(mobile.element), position.x + offsetX - bounds.x, position.y - bounds.y);
+
+  chain.forEach(container => {
+    (container.children || []).forEach(child => {
+      if (child.bounds && child.bounds.y >= position.y) translate(child, 0, bounds.height);
+    });
+    container.bounds.height += bounds.height;
+  });
+
+  copy.responsiveClass = SHOW_ON_MOBILE;
+  siblings.splice(index, 0, copy);
+  result.shownOnMobile.push(copy.name);
+}
+
+/**
+ * Desktop containers from an index entry up to the root
+ * @param {Object} entry - Desktop index entry
+ * @returns {Array} Containers, innermost first
+ */
+function containerChain(entry) {
+  const chain = [];
+  for (let current = entry; current; current = current.parentEntry) {
+    chain.push(current.element);
+  }
+  return chain;
+}
+
+/**
+ * Move an element and its descendants
+ * @param {Object} element - Layout element
+ * @param {number} dx - Horizontal offset
+ * @param {number} dy - Vertical offset
+ * @returns {Object} The element
+ */
+function translate(element, dx, dy) {
+  if (element.bounds) {
+    element.bounds = { ...element.bounds, x: element.bounds.x + dx, y: element.bounds.y + dy };
+  }
+  (element.children || []).forEach(child => translate(child, dx, dy));
+  return element;
+}
+
+/**
+ * Pass hide/show classes down to descendants without a class of their own
+ * @param {Array} elements - Layout elements
+ * @param {string|null} inherited - Visibility class of the parent
+ */
+function inheritVisibility(elements, inherited) {
+  (elements || []).forEach(element => {
+    if (inherited && !element.responsiveClass) {
+      element.responsiveClass = inherited;
+    }
+
+    const own = element.responsiveClass === HIDE_ON_MOBILE || element.responsiveClass === SHOW_ON_MOBILE
+      ? element.responsiveClass
+      : inherited;
+    inheritVisibility(element.children, own);
+  });
+}
+
+function hasHiddenAncestor(entry) {
+  for (let current = entry.parentEntry; current; current = current.parentEntry) {
+    if (current.element.responsiveClass === HIDE_ON_MOBILE) return true;
+  }
+  return false;
+}
+
+/**
+ * Insert markup at the end of mj-head, creating the head when missing
+ * @param {string} mjmlCode - MJML template
+ * @param {string} markup - Head content
+ * @returns {string} MJML template
+ */
+function insertIntoHead(mjmlCode, markup) {
+  if (/<\/mj-head>/.test(mjmlCode)) {
+    return mjmlCode.replace(/\n?\s*<\/mj-head>/, `${markup}\n  </mj-head>`);
+  }
+  return mjmlCode.replace(/<mjml([^>]*)>/, `<mjml$1>\n  <mj-head>${markup}\n  </mj-head>`);
+}
+
+function frameBounds(layout) {
+  return { x: layout.x || 0, y: layout.y || 0, width: layout.width, height: layout.height };
+}
+
+/**
+ * Class name from a layer name, unique within the template
+ * @param {string} name - Layer name
+ * @param {Set} taken - Names already used
+ * @returns {string} Class name
+ */
+function uniqueClassName(name, taken) {
+  const base = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'm-element';
+  let className = base;
+  for (let i = 2; taken.has(className); i++) {
+    className = `${base}-${i}`;
+  }
+  taken.add(className);
+  return className;
+}
@@ -0,0 +1,550 @@
+/**
+ * Semantic Blocks
+ * Recognizes the usual regions of a marketing email in an extracted layout
+ * (logo header, navbar, hero over a background image, feature grid, social
+ * icon row, legal footer) so the generators can use the MJML component made
+ * for each, and the labels can be reviewed in the response.
+ */
+
+import { clusterElements } from './layout-clustering.js';
+import {
+  escapeHtml,
+  findLink,
+  formatAttributes,
+  isButtonLike,
+  isVisibleColor,
+  renderElement,
+  renderImage,
+  renderSpacer,
+  textStyleAttributes
+} from './mjml-elements.js';
+
+/**
+ * MJML component each block label maps to
+ */
+export const BLOCK_COMPONENTS = {
+  'logo-header': 'mj-image',
+  navbar: 'mj-navbar',
+  hero: 'mj-hero',
+  'feature-grid': 'mj-group',
+  social: 'mj-social',
+  cta: 'mj-button',
+  'legal-footer': 'mj-text',
+  content: 'mj-section'
+};
+
+/**
+ * How the AI should render each block
+ */
+const BLOCK_HINTS = {
+  'logo-header': 'the logo as a single mj-image, without adding a title or tagline',
+  navbar: 'mj-navbar with one mj-navbar-link per menu item, next to the logo',
+  hero: 'mj-hero with the image as background-url and its text and buttons inside',
+  'feature-grid': 'one mj-column per feature inside mj-group',
+  social: 'mj-social with one mj-social-element per icon',
+  cta: 'a single mj-button',
+  'legal-footer': 'small mj-text with the unsubscribe and legal text as designed'
+};
+
+/**
+ * Layer names that point at a block
+ */
+const NAME_HINTS = {
+  'logo-header': /header|logo|masthead/i,
+  navbar: /\b(nav|navbar|navigation|menu)\b/i,
+  social: /social/i,
+  'legal-footer': /footer|legal/i
+};
+
+/**
+ * Networks mj-social-element knows by name; others keep their own icon
+ */
+const SOCIAL_NETWORK_PATTERN = /\b(facebook|instagram|linkedin|youtube|pinterest|tiktok|snapchat|tumblr|github|vimeo|medium|dribbble|xing|soundcloud|twitter)\b/i;
+
+const LEGAL_PATTERN = /unsubscribe|privacy|terms|©|\(c\)|all rights reserved|preferences|you (are )?receiv/i;
+
+/**
+ * Images up to this size (px per side) are icons or logos, not content
+ */
+const ICON_MAX_SIZE = 64;
+
+/**
+ * Menu items are short labels
+ */
+const NAV_ITEM_MAX_LENGTH = 24;
+
+/**
+ * Vertical distance (px) between centers of elements on one row
+ */
+const ROW_TOLERANCE = 8;
+
+/**
+ * Share of the frame width a hero background must span
+ */
+const HERO_MIN_WIDTH_RATIO = 0.8;
+
+/**
+ * Largest font size (px) of footer small print
+ */
+const FOOTER_MAX_FONT_SIZE = 13;
+
+/**
+ * Largest width difference between feature columns, relative to the widest
+ */
+const GRID_WIDTH_TOLERANCE = 0.25;
+
+/**
+ * Label the regions of a layout: the top-level layers of an auto-layout
+ * frame, or the horizontal bands of a hand-positioned one. The elements of
+ * each region are marked with its block ({ label, component, name, detected })
+ * for the generators; [block label] annotations override the detection.
+ * @param {Object} layout - Layout produced by extractLayoutFromFigma
+ * @returns {Array} Blocks top to bottom ({ label, component, name, ids, top, height, detected, reason })
+ */
+export function classifyLayoutBlocks(layout) {
+  const frame = {
+    x: layout.x || 0,
+    y: layout.y || 0,
+    width: layout.width,
+    height: layout.height
+  };
+  const regions = layout.autoLayout
+    ? childRegions(layout.elements || [])
+    : bandRegions(layout.elements || [], frame);
+
+  return regions.map((region, index) => {
+    const { label, detected, reason } = classifyRegion(region, { index, count: regions.length, frame });
+    const block = { label, component: BLOCK_COMPONENTS[label], name: region.name, detected };
+
+    region.elements.forEach(element => { element.block = block; });
+    if (label === 'feature-grid' && region.grid?.element) region.grid.element.block = block;
+
+    return {
+      ...block,
+      ids: region.elements.map(element => element.id).filter(Boolean),
+      top: Math.round(region.top - frame.y),
+      height: Math.round(region.bottom - region.top),
+      reason
+    };
+  });
+}
+
+/**
+ * Describe the recognized blocks for AI prompts
+ * @param {Array} elements - Layout elements marked by classifyLayoutBlocks
+ * @returns {string} Prompt section, empty without recognized blocks
+ */
+export function describeSemanticBlocks(elements = []) {
+  const blocks = new Set();
+  const collect = list => list.forEach(element => {
+    if (element.visible === false) return;
+    if (element.block && BLOCK_HINTS[element.block.label]) blocks.add(element.block);
+    if (element.children) collect(element.children);
+  });
+  collect(elements);
+
+  if (blocks.size === 0) return '';
+
+  return `
+**Email blocks (render each with the component given, and add no header, call to action or footer the design does not have):**
+${[...blocks].map(block => `- ${block.label} "${block.name}": ${BLOCK_HINTS[block.label]}`).join('\n')}
+`;
+}
+
+/**
+ * Render a hero: the background image as mj-hero with the content layered
+ * over it stacked inside
+ * @param {Object} backdrop - Image element behind the content
+ * @param {Array} contents - Elements layered over the image
+ * @param {Object} options - Rendering options
+ * @param {string} options.indent - Indentation of the mj-hero tag
+ * @returns {string} MJML markup
+ */
+export function renderHero(backdrop, contents, { indent = '    ' } = {}) {
+  const bounds = backdrop.bounds;
+  const width = backdrop.imageWidth || bounds.width;
+  const height = backdrop.imageHeight || bounds.height;
+  const leaves = flattenContents(contents);
+  const box = boundingBox(leaves) || bounds;
+
+  // Content centered on the image stays centered on every screen width
+  const centered = Math.abs((box.x + box.width / 2) - (bounds.x + bounds.width / 2)) <= ROW_TOLERANCE;
+  const align = centered ? 'center' : 'left';
+  const left = Math.max(0, Math.round(box.x - bounds.x));
+  const right = Math.max(0, Math.round(bounds.x + bounds.width - box.x - box.width));
+  const side = centered ? Math.min(left, right) : null;
+
+  const attributes = formatAttributes({
+    mode: 'fixed-height',
+    height: `${Math.round(height)}px`,
+    'background-url': backdrop.imageUrl ||
+      `https://via.placeholder.com/${Math.round(width)}x${Math.round(height)}/f8f9fa/333333?text=Image+Placeholder`,
+    'background-width': `${Math.round(width)}px`,
+    'background-height': `${Math.round(height)}px`,
+    'background-position': 'center center',
+    'background-color': isVisibleColor(backdrop.backgroundColor) ? backdrop.backgroundColor : null,
+    padding: `${Math.max(0, Math.round(box.y - bounds.y))}px ${side ?? right}px 0px ${side ?? left}px`,
+    'mj-class': backdrop.responsiveClass
+  });
+
+  const contentIndent = `${indent}  `;
+  let content = '';
+  let previousBottom = null;
+  leaves.forEach(element => {
+    if (previousBottom !== null) {
+      content += renderSpacer(element.bounds.y - previousBottom, contentIndent);
+    }
+    content += renderElement(element, { align, indent: contentIndent });
+    previousBottom = element.bounds.y + element.bounds.height;
+  });
+
+  return `\n${indent}<mj-hero${attributes}>${content}\n${indent}</mj-hero>`;
+}
+
+/**
+ * Columns of a navbar: the logo, if any, then mj-navbar with a link per menu
+ * item, sized from their position in the box
+ * @param {Array} elements - Elements of the navbar region
+ * @param {Object} box - Bounds the column widths are relative to ({ x, width })
+ * @param {Object} options - Rendering options
+ * @param {string} options.indent - Indentation of content components
+ * @returns {Array} Columns ({ widthPercent, content })
+ */
+export function renderNavbarColumns(elements, box, { indent = '        ' } = {}) {
+  const { texts, images, icons } = regionContent(elements);
+  const logo = images[0] || icons[0] || null;
+  const items = [...texts].sort((a, b) => a.bounds.x - b.bounds.x);
+  const itemsBox = boundingBox(items);
+  const gaps = items.slice(1).map((item, index) => item.bounds.x - (items[index].bounds.x + items[index].bounds.width));
+  const gap = gaps.length > 0 ? Math.max(0, Math.round(gaps.reduce((sum, value) => sum + value, 0) / gaps.length)) : 0;
+  const links = items.map(item => `\n${indent}  <mj-navbar-link${formatAttributes({
+    href: findLink(item) || '#',
+    color: isVisibleColor(item.textColor) ? item.textColor : null,
+    'font-size': item.fontSize ? `${item.fontSize}px` : null,
+    'font-weight': item.fontWeight,
+    ...textStyleAttributes(item),
+    padding: `0px ${Math.round(gap / 2)}px`
+  })}>${escapeHtml(item.text)}</mj-navbar-link>`).join('');
+
+  const navbar = navBox => `\n${indent}<mj-navbar${formatAttributes({ align: alignmentIn(itemsBox, navBox) })}>${links}\n${indent}</mj-navbar>`;
+
+  if (!logo) return [{ widthPercent: 100, content: navbar(box) }];
+
+  // A logo above the menu stacks with it in one column
+  const logoRight = logo.bounds.x + logo.bounds.width;
+  if (logoRight > itemsBox.x) {
+    const spacer = renderSpacer(itemsBox.y - (logo.bounds.y + logo.bounds.height), indent);
+    return [{ widthPercent: 100, content: renderImage(logo, { align: alignmentIn(logo.bounds, box), indent }) + spacer + navbar(box) }];
+  }
+
+  // Beside the menu, the logo column ends halfway between the two
+  const split = (logoRight + itemsBox.x) / 2;
+  const logoPercent = Math.floor(((split - box.x) / Math.max(1, box.width)) * 10000) / 100;
+
+  return [
+    { widthPercent: logoPercent, content: renderImage(logo, { align: 'left', indent }) },
+    { widthPercent: Math.floor((100 - logoPercent) * 100) / 100, content: navbar({ x: split, width: box.x + box.width - split }) }
+  ];
+}
+
+/**
+ * Render a social icon row as mj-social, keeping a label above it
+ * @param {Array} elements - Elements of the social region
+ * @param {Object} box - Bounds the row is aligned in ({ x, width })
+ * @param {Object} options - Rendering options
+ * @param {string} options.indent - Indentation of content components
+ * @returns {string} MJML markup
+ */
+export function renderSocial(elements, box, { indent = '        ' } = {}) {
+  const { texts, icons } = regionContent(elements);
+  const sorted = [...icons].sort((a, b) => a.bounds.x - b.bounds.x);
+  const align = alignmentIn(boundingBox(sorted), box);
+  const size = Math.max(...sorted.map(icon => icon.imageWidth || icon.bounds.width));
+  const gaps = sorted.slice(1).map((icon, index) => icon.bounds.x - (sorted[index].bounds.x + sorted[index].bounds.width));
+  const gap = gaps.length > 0 ? Math.max(0, Math.round(Math.min(...gaps) / 2)) : 4;
+
+  const socialElements = sorted.map(icon => {
+    const network = socialNetwork(icon);
+    return `\n${indent}  <mj-social-element${formatAttributes({
+      name: network,
+      href: findLink(icon) || '#',
+      src: icon.imageUrl || (network ? null : `https://via.placeholder.com/${size}x${size}/f8f9fa/333333?text=+`),
+      alt: icon.alt ?? (network || icon.name || 'Social link'),
+      padding: `0px ${gap}px`
+    })} />`;
+  }).join('');
+
+  const label = texts.map(text => renderElement(text, { align, indent })).join('');
+  const social = `\n${indent}<mj-social${formatAttributes({
+    mode: 'horizontal',
+    align,
+    'icon-size': `${Math.round(size)}px`,
+    padding: '0px'
+  })}>${socialElements}\n${indent}</mj-social>`;
+
+  return label + (label ? renderSpacer(ROW_TOLERANCE, indent) : '') + social;
+}
+
+/**
+ * Label one region
+ * @param {Object} region - Region from childRegions or bandRegions
+ * @param {Object} position - { index, count, frame }
+ * @returns {Object} { label, detected, reason }
+ */
+function classifyRegion(region, { index, count, frame }) {
+  const annotated = region.elements
+    .map(element => element.annotations?.block)
+    .find(label => BLOCK_COMPONENTS[label]);
+  if (annotated) return { label: annotated, detected: false, reason: 'Layer annotation' };
+
+  const { texts, images, icons, buttons } = regionContent(region.elements);
+  const hinted = label => NAME_HINTS[label].test(region.name || '');
+  const result = (label, reason) => ({ label, detected: true, reason });
+
+  const backdrop = region.backdrop;
+  if (backdrop?.hasImage && backdrop.bounds.width >= frame.width * HERO_MIN_WIDTH_RATIO && texts.length + buttons.length > 0) {
+    return result('hero', `Text over a ${Math.round(backdrop.bounds.width)}px wide background image`);
+  }
+
+  if (icons.length >= 2 && images.length === 0 && buttons.length === 0 && texts.length <= 1 &&
+      inOneRow(icons) && (hinted('social') || icons.some(socialNetwork) || texts.length === 0)) {
+    return result('social', `${icons.length} icons in one row`);
+  }
+
+  const navItems = texts.filter(isNavItem);
+  if (navItems.length === texts.length && navItems.length >= (hinted('navbar') ? 2 : 3) && inOneRow(navItems) &&
+      images.length + icons.length <= 1 && buttons.length === 0 && (index <= 1 || hinted('navbar'))) {
+    return result('navbar', `${navItems.length} menu items in one row`);
+  }
+
+  const logos = [...images, ...icons];
+  if ((index === 0 || hinted('logo-header')) && logos.length === 1 && texts.length <= 2 && buttons.length === 0 &&
+      logos[0].bounds.width <= frame.width * 0.6 && logos[0].bounds.height <= 150) {
+    return result('logo-header', 'A single image at the top');
+  }
+
+  if (region.grid && isFeatureGrid(region.grid)) {
+    const count = region.grid.columns.length;
+    return result('feature-grid', count > 1 ? `${count} columns of image and text` : 'Looped cards of image and text');
+  }
+
+  const legal = texts.some(text => LEGAL_PATTERN.test(text.text));
+  const smallPrint = texts.every(text => (text.fontSize || 14) <= FOOTER_MAX_FONT_SIZE);
+  if (texts.length > 0 && images.length === 0 && buttons.length === 0 &&
+      (hinted('legal-footer') || (legal && (smallPrint || index >= count - 2)) || (index === count - 1 && smallPrint))) {
+    return result('legal-footer', legal ? 'Unsubscribe or legal text' : 'Small print at the bottom');
+  }
+
+  if (buttons.length === 1 && images.length === 0 && texts.length <= 2) {
+    return result('cta', 'A button with little text around it');
+  }
+
+  return { label: 'content', detected: true, reason: null };
+}
+
+/**
+ * Regions of an auto-layout frame: each top-level layer
+ * @param {Array} elements - Frame children
+ * @returns {Array} Regions ({ name, elements, top, bottom, backdrop, grid })
+ */
+function childRegions(elements) {
+  return elements
+    .filter(element => element.visible !== false && element.bounds)
+    .sort((a, b) => a.bounds.y - b.bounds.y)
+    .map(element => ({
+      name: element.name,
+      elements: [element],
+      top: element.bounds.y,
+      bottom: element.bounds.y + element.bounds.height,
+      backdrop: element.hasImage && element.children?.length > 0 ? element : null,
+      grid: findGridRow(element)
+    }));
+}
+
+/**
+ * Regions of a hand-positioned frame: the bands clusterElements finds
+ * @param {Array} elements - Frame children
+ * @param {Object} frame - Frame bounds
+ * @returns {Array} Regions ({ name, elements, top, bottom, backdrop, grid })
+ */
+function bandRegions(elements, frame) {
+  return clusterElements(elements, frame).bands.map(band => {
+    const members = [
+      band.backdrop,
+      ...band.columns.flatMap(column => [column.backdrop, ...column.elements])
+    ].filter(Boolean);
+
+    return {
+      name: members[0]?.name,
+      elements: [...new Set(members)],
+      top: band.top,
+      bottom: band.bottom,
+      backdrop: band.backdrop,
+      grid: {
+        element: null,
+        columns: band.columns.map(column => ({ width: column.right - column.left, elements: column.elements }))
+      }
+    };
+  });
+}
+
+/**
+ * Find the horizontal auto-layout row holding the cards of a feature grid:
+ * the element itself or a layer inside it
+ * @param {Object} element - Region root
+ * @returns {Object|null} { element, columns }
+ */
+function findGridRow(element) {
+  if (!element.children || isButtonLike(element) || element.hasImage) return null;
+
+  if (element.autoLayout?.mode === 'HORIZONTAL') {
+    const children = element.children.filter(child => child.visible !== false && child.bounds);
+    return {
+      element,
+      columns: children.map(child => ({ width: child.bounds.width, elements: [child] }))
+    };
+  }
+
+  for (const child of element.children) {
+    if (child.visible === false) continue;
+    const row = findGridRow(child);
+    if (row) return row;
+  }
+
+  return null;
+}
+
+/**
+ * Check whether columns are features: similar widths, each with a picture
+ * and text. A single looped card stands for the grid it repeats in.
+ * @param {Object} grid - { columns }
+ * @returns {boolean} True for feature grids
+ */
+function isFeatureGrid({ columns }) {
+  const looped = columns.length === 1 && columns[0].elements.some(element => element.loop);
+  if (columns.length < 2 && !looped) return false;
+
+  const widest = Math.max(...columns.map(column => column.width));
+  return columns.every(column => {
+    const { texts, images, icons } = regionContent(column.elements);
+    return texts.length > 0 && images.length + icons.length > 0 &&
+      widest - column.width <= widest * GRID_WIDTH_TOLERANCE;
+  });
+}
+
+/**
+ * Visible content of a region: texts, content images, icons and buttons.
+ * Button labels belong to their button and registered components are skipped.
+ * @param {Array} elements - Region elements
+ * @returns {Object} { texts, images, icons, buttons }
+ */
+function regionContent(elements) {
+  const content = { texts: [], images: [], icons: [], buttons: [] };
+  const seen = new Set();
+
+  const visit = element => {
+    if (seen.has(element) || element.visible === false || element.componentTemplate) return;
+    seen.add(element);
+
+    if (isButtonLike(element)) {
+      content.buttons.push(element);
+      return;
+    }
+    if (element.type === 'TEXT') {
+      if (element.text) content.texts.push(element);
+      return;
+    }
+    if (element.hasImage) {
+      (isIcon(element) ? content.icons : content.images).push(element);
+      if (element.icon) return;
+    }
+    (element.children || []).forEach(visit);
+  };
+  elements.forEach(visit);
+
+  return content;
+}
+
+/**
+ * Layered content in reading order, with plain containers opened up
+ * @param {Array} contents - Elements over a backdrop
+ * @returns {Array} Renderable elements sorted top to bottom
+ */
+function flattenContents(contents) {
+  const leaves = [];
+  const visit = element => {
+    if (element.visible === false || !element.bounds) return;
+    if (element.children && !element.hasImage && !isButtonLike(element) && !element.componentTemplate && !element.annotations?.raw) {
+      element.children.forEach(visit);
+    } else {
+      leaves.push(element);
+    }
+  };
+  contents.forEach(visit);
+
+  return [...new Set(leaves)].sort((a, b) => a.bounds.y - b.bounds.y || a.bounds.x - b.bounds.x);
+}
+
+function isIcon(element) {
+  return !!element.icon || (!!element.bounds && element.bounds.width <= ICON_MAX_SIZE && element.bounds.height <= ICON_MAX_SIZE);
+}
+
+function isNavItem(text) {
+  const label = text.text.trim();
+  return label.length <= NAV_ITEM_MAX_LENGTH && label.split(/\s+/).length <= 3 && !label.includes('\n');
+}
+
+/**
+ * Check that elements sit side by side on one line
+ * @param {Array} elements - Positioned elements
+ * @returns {boolean} True when their vertical centers line up and they do not overlap
+ */
+function inOneRow(elements) {
+  if (elements.some(element => !element.bounds)) return false;
+
+  const centers = elements.map(element => element.bounds.y + element.bounds.height / 2);
+  if (Math.max(...centers) - Math.min(...centers) > ROW_TOLERANCE) return false;
+
+  const sorted = [...elements].sort((a, b) => a.bounds.x - b.bounds.x);
+  return sorted.every((element, index) => index === 0 ||
+    element.bounds.x >= sorted[index - 1].bounds.x + sorted[index - 1].bounds.width - 2);
+}
+
+/**
+ * Social network an icon stands for, from its layer or component name
+ * @param {Object} element - Icon element
+ * @returns {string|null} mj-social-element name
+ */
+function socialNetwork(element) {
+  const name = `${element.name || ''} ${element.component?.name || ''}`.trim();
+  if (/^x(\b|$)/i.test(name)) return 'x';
+
+  const match = name.match(SOCIAL_NETWORK_PATTERN);
+  return match ? match[1].toLowerCase() : null;
+}
+
+/**
+ * Horizontal alignment of a box inside another
+ * @param {Object} inner - Bounds of the content
+ * @param {Object} outer - Bounds it sits in ({ x, width })
+ * @returns {string} left, center or right
+ */
+function alignmentIn(inner, outer) {
+  if (Math.abs(inner.x + inner.width / 2 - (outer.x + outer.width / 2)) <= ROW_TOLERANCE) return 'center';
+  if (Math.abs(inner.x + inner.width - (outer.x + outer.width)) <= ROW_TOLERANCE * 2) return 'right';
+  return 'left';
+}
+
+function boundingBox(elements) {
+  const boxes = elements.filter(element => element.bounds).map(element => element.bounds);
+  if (boxes.length === 0) return null;
+
+  const x = Math.min(...boxes.map(box => box.x));
+  const y = Math.min(...boxes.map(box => box.y));
+  return {
+    x,
+    y,
+    width: Math.max(...boxes.map(box => box.x + box.width)) - x,
+    height: Math.max(...boxes.map(box => box.y + box.height)) - y
+  };
+}
@@ -0,0 +1,110 @@
+/**
+ * Template History
+ * Keeps every generated revision of a frame's template on disk, next to the
+ * previous ones, with the design changes that led to it:
+ * .templates/<file>/<frame>/r<N>.mjml, r<N>.html, layout.json and history.json
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { diffLayouts, summarizeLayoutDiff } from './layout-diff.js';
+
+/**
+ * History directory, relative to the project root
+ */
+const DEFAULT_HISTORY_DIR = '.templates';
+
+/**
+ * Store a new revision of a frame's template. Nothing is stored when
+ * neither the design nor the generated MJML changed.
+ * @param {string} fileId - Figma file ID
+ * @param {Object} result - Frame result of convertFigmaLayouts ({ frame, mjml, html, warnings })
+ * @param {Object} details - Why the template was regenerated
+ * @param {string} details.event - Webhook event type or another trigger name
+ * @param {string} details.version - Figma version ID, optional
+ * @param {string} details.label - Version label, optional
+ * @param {string} details.triggeredBy - Who changed the file, optional
+ * @returns {Object} { stored, revision, summary, changes } - revision is
+ *   the history entry when stored, the latest one otherwise
+ */
+export async function storeTemplateRevision(fileId, result, details = {}) {
+  const dir = frameDirectory(fileId, result.frame.id);
+  const history = await loadTemplateHistory(fileId, result.frame.id);
+  const latest = history.revisions[history.revisions.length - 1] || null;
+  const previousLayout = await readJson(path.join(dir, 'layout.json'));
+
+  const changes = previousLayout
+    ? diffLayouts(previousLayout, result.frame)
+    : { status: 'added', text: [], colors: [], images: [], sections: [] };
+  const previousMjml = latest ? await fs.readFile(path.join(dir, latest.files.mjml), 'utf8').catch(() => null) : null;
+  const mjmlChanged = previousMjml !== result.mjml;
+  const summary = summarizeLayoutDiff(changes);
+
+  if (latest && changes.status === 'unchanged' && !mjmlChanged) {
+    return { stored: false, revision: latest, summary, changes };
+  }
+
+  const number = (latest?.revision || 0) + 1;
+  const revision = {
+    revision: number,
+    createdAt: new Date().toISOString(),
+    event: details.event || null,
+    version: details.version || null,
+    label: details.label || null,
+    triggeredBy: details.triggeredBy || null,
+    files: { mjml: `r${number}.mjml`, html: `r${number}.html` },
+    mjmlChanged,
+    summary,
+    changes: {
+      status: changes.status,
+      text: changes.text,
+      colors: changes.colors,
+      images: changes.images,
+      sections: changes.sections
+    },
+    warnings: result.warnings?.length || 0
+  };
+
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(path.join(dir, revision.files.mjml), result.mjml);
+  await fs.writeFile(path.join(dir, revision.files.html), result.html);
+  await fs.writeFile(path.join(dir, 'layout.json'), JSON.stringify(result.frame));
+  await fs.writeFile(path.join(dir, 'history.json'), JSON.stringify({
+    fileId,
+    frameId: result.frame.id,
+    frameName: result.frame.name,
+    revisions: [...history.revisions, revision]
+  }, null, 2));
+
+  return { stored: true, revision, summary, changes };
+}
+
+/**
+ * Read the stored revisions of a frame
+ * @param {string} fileId - Figma file ID
+ * @param {string} frameId - Frame node ID
+ * @returns {Object} { fileId, frameId, frameName, revisions } - revisions oldest first
+ */
+export async function loadTemplateHistory(fileId, frameId) {
+  const history = await readJson(path.join(frameDirectory(fileId, frameId), 'history.json'));
+  return history || { fileId, frameId, frameName: null, revisions: [] };
+}
+
+function frameDirectory(fileId, frameId) {
+  const root = path.resolve(process.cwd(), process.env.TEMPLATE_HISTORY_DIR || DEFAULT_HISTORY_DIR);
+  // Node IDs contain ':' and ';', which are not safe in every file system
+  return path.join(root, safeName(fileId), safeName(frameId));
+}
+
+function safeName(value) {
+  return String(value).replace(/[^\w-]/g, '_');
+}
+
+async function readJson(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
@@ -0,0 +1,61 @@
+/**
+ * Vector Icons
+ * Email clients cannot render SVG, so vector shapes and small groups made
+ * only of vectors (icons, social glyphs, decorative shapes) are exported
+ * from Figma as PNG and placed as images
+ */
+
+/**
+ * Figma node types drawn as vector paths
+ */
+export const VECTOR_TYPES = new Set(['VECTOR', 'BOOLEAN_OPERATION', 'ELLIPSE', 'STAR']);
+
+/**
+ * Node types that can wrap an icon's vectors
+ */
+const ICON_CONTAINER_TYPES = new Set(['GROUP', 'FRAME', 'INSTANCE', 'COMPONENT']);
+
+/**
+ * Largest container, in pixels per side, still treated as one icon
+ */
+const ICON_MAX_SIZE = 160;
+
+/**
+ * Check whether a Figma node should be rasterized as one image
+ * @param {Object} node - Figma node
+ * @returns {boolean} True for vector shapes and containers holding only vectors
+ */
+export function isVectorIcon(node) {
+  if (VECTOR_TYPES.has(node.type)) return true;
+  if (!ICON_CONTAINER_TYPES.has(node.type) || !node.absoluteBoundingBox) return false;
+
+  const { width, height } = node.absoluteBoundingBox;
+  if (width > ICON_MAX_SIZE || height > ICON_MAX_SIZE) return false;
+
+  return hasOnlyVectors(node) && containsVector(node);
+}
+
+/**
+ * Check that a container's visible content is made of vector shapes
+ * @param {Object} node - Figma container node
+ * @returns {boolean} True when shapes are all that is visible
+ */
+function hasOnlyVectors(node) {
+  const visible = (node.children || []).filter(child => child.visible !== false);
+  if (visible.length === 0) return false;
+
+  return visible.every(child => {
+    if (VECTOR_TYPES.has(child.type) || child.isMask) return true;
+    if (child.type === 'RECTANGLE' || child.type === 'LINE') return !hasImageFill(child);
+    return ICON_CONTAINER_TYPES.has(child.type) && hasOnlyVectors(child);
+  });
+}
+
+function containsVector(node) {
+  return (node.children || []).some(child =>
+    child.visible !== false && (VECTOR_TYPES.has(child.type) || containsVector(child)));
+}
+
+function hasImageFill(node) {
+  return (node.fills || []).some(fill => fill.type === 'IMAGE' && fill.visible !== false);
+}
@@ -0,0 +1,30 @@
+/**
+ * API Route: Serve Stored Assets
+ * Streams images kept by the local asset store
+ */
+
+import { ASSET_HEADERS, getAssetStore } from '../../../lib/assets';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const store = getAssetStore();
+    const asset = store.get ? await store.get(req.query.id) : null;
+
+    if (!asset) {
+      return res.status(404).json({ error: 'Asset not found' });
+    }
+
+    // Asset IDs are content hashes, so the bytes behind an ID never change
+    res.setHeader('Content-Type', asset.contentType);
+    Object.entries(ASSET_HEADERS).forEach(([name, value]) => res.setHeader(name, value));
+    return res.status(200).send(asset.buffer);
+
+  } catch (error) {
+    console.error('❌ Asset error:', error);
+    return res.status(500).json({ error: 'Could not read asset' });
+  }
+}
@@ -0,0 +1,21 @@
+/**
+ * API Route: Start Figma OAuth
+ * Redirects the user to Figma to connect their account
+ */
+
+import { beginAuthorization, isOAuthConfigured } from '../../../../lib/figma-auth';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!isOAuthConfigured()) {
+    return res.status(500).json({
+      error: 'Figma OAuth not configured (FIGMA_CLIENT_ID, FIGMA_CLIENT_SECRET and SESSION_SECRET)',
+      success: false
+    });
+  }
+
+  res.redirect(302, beginAuthorization(req, res));
+}
@@ -0,0 +1,33 @@
+/**
+ * API Route: Figma OAuth Callback
+ * Exchanges the authorization code for tokens, stores them in the encrypted
+ * session cookie and sends the user back to the app
+ */
+
+import { completeAuthorization, isOAuthConfigured } from '../../../../lib/figma-auth';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!isOAuthConfigured()) {
+    return res.status(500).json({
+      error: 'Figma OAuth not configured (FIGMA_CLIENT_ID, FIGMA_CLIENT_SECRET and SESSION_SECRET)',
+      success: false
+    });
+  }
+
+  try {
+    const session = await completeAuthorization(req, res);
+    console.log(`🔑 Figma account connected: ${session.user.handle || session.user.id}`);
+    res.redirect(302, '/');
+
+  } catch (error) {
+    console.error('❌ Figma OAuth error:', error);
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
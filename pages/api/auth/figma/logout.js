@@ -0,0 +1,15 @@
+/**
+ * API Route: Disconnect Figma
+ * Removes the caller's Figma session; the server token, if any, applies again
+ */
+
+import { clearSession } from '../../../../lib/figma-auth';
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  clearSession(res);
+  return res.status(200).json({ success: true });
+}
@@ -0,0 +1,40 @@
+/**
+ * API Route: Refresh Figma OAuth Token
+ * Trades the session's refresh token for a new access token. Conversions
+ * refresh on their own when the token is about to expire.
+ */
+
+import { clearSession, readSession, refreshSession, writeSession } from '../../../../lib/figma-auth';
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const session = readSession(req);
+  if (!session) {
+    return res.status(401).json({
+      error: 'No Figma account connected',
+      success: false
+    });
+  }
+
+  try {
+    const refreshed = await refreshSession(session);
+    writeSession(res, refreshed);
+
+    return res.status(200).json({
+      success: true,
+      user: refreshed.user,
+      expiresAt: new Date(refreshed.expiresAt).toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Figma token refresh error:', error);
+    clearSession(res);
+    return res.status(401).json({
+      success: false,
+      error: 'Figma session expired, please reconnect Figma'
+    });
+  }
+}
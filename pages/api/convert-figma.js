@@ -3,10 +3,21 @@
  * Handles the complete conversion pipeline from Figma to email template
  */
 
-import { generateMJMLFromLayout } from '../../lib/ai';
-import { generateFallbackMJML } from '../../lib/fallback-mjml';
-import { extractLayoutFromFigma, fetchFigmaFile, getEmailSuitableFrames } from '../../lib/figma';
-import { compileMJML, validateMJML } from '../../lib/mjml';
+import { postConversionComments } from '../../lib/conversion-report';
+import { buildConversionResponse, convertFigmaLayouts, describeConversionError } from '../../lib/convert';
+import { buildDesignTokens } from '../../lib/design-tokens';
+import {
+  extractLayoutFromFigma,
+  extractLayoutFromFigmaNodes,
+  fetchFigmaFile,
+  fetchFigmaLocalVariables,
+  fetchFigmaNodes,
+  normalizeNodeId,
+  parseFigmaUrl,
+  parseFramePairs,
+  parseNodeIdList
+} from '../../lib/figma';
+import { resolveFigmaToken } from '../../lib/figma-auth';
 
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
@@ -14,142 +25,145 @@ export default async function handler(req, res) {
   }
 
   const startTime = Date.now();
+  const { url, frameIds, pairs, options = {} } = req.body;
   
+  // Accept a full Figma URL (design/file/proto) or a bare file ID;
+  // an explicit nodeId wins over the URL's ?node-id=. Malformed node IDs
+  // and selections are rejected before anything is fetched.
+  let parsed;
+  let nodeId;
+  let framePairs;
+  let selectedIds;
   try {
-    const { fileId, options = {} } = req.body;
+    parsed = parseFigmaUrl(url || req.body.fileId);
+    nodeId = normalizeNodeId(req.body.nodeId) || parsed.nodeId;
+    framePairs = parseFramePairs(pairs);
+    selectedIds = parseNodeIdList(frameIds);
+  } catch (error) {
+    return res.status(error.status || 400).json({
+      error: error.message,
+      success: false
+    });
+  }
+  
+  try {
+    const fileId = parsed.fileId;
+    
+    // A pinned version (e.g. the approved one) instead of the latest design
+    const version = req.body.version || parsed.version || null;
+    
+    // Frames picked by the user take precedence over the URL's node;
+    // both frames of each desktop/mobile pair are fetched
+    const requestedIds = selectedIds.length > 0
+      ? selectedIds
+      : (nodeId ? [nodeId] : []);
+    framePairs.forEach(pair => {
+      [pair.desktop, pair.mobile].forEach(id => {
+        if (!requestedIds.includes(id)) requestedIds.push(id);
+      });
+    });
     
     if (!fileId) {
       return res.status(400).json({ 
-        error: 'Missing fileId parameter',
+        error: 'Missing fileId or url parameter',
         success: false 
       });
     }
 
-    // Validate environment variables
-    const figmaToken = process.env.FIGMA_TOKEN;
-    if (!figmaToken) {
-      return res.status(500).json({ 
-        error: 'Figma token not configured',
-        success: false 
+    // The caller's connected Figma account, else the server-wide token
+    const auth = await resolveFigmaToken(req, res);
+    if (!auth?.token) {
+      return res.status(401).json({
+        error: auth?.error || 'Connect your Figma account or configure FIGMA_TOKEN',
+        success: false
       });
     }
+    const figmaToken = auth.token;
 
-    console.log(`🎨 Starting Figma conversion for file: ${fileId}`);
-    
-    // Step 1: Fetch Figma file data
-    console.log('📡 Fetching Figma data...');
-    const figmaData = await fetchFigmaFile(fileId, figmaToken);
-    
-    // Step 2: Extract layout information
-    console.log('🔍 Extracting layout information...');
-    const layoutData = extractLayoutFromFigma(figmaData);
-    
-    if (!layoutData.layouts || layoutData.layouts.length === 0) {
-      return res.status(400).json({
-        error: 'No suitable layouts found in Figma file',
-        success: false,
-        metadata: {
-          fileName: layoutData.fileName,
-          totalFrames: 0
-        }
-      });
-    }
-    
-    // Step 3: Filter for email-suitable frames
-    const emailFrames = getEmailSuitableFrames(layoutData.layouts);
-    
-    if (emailFrames.length === 0) {
-      return res.status(400).json({
-        error: 'No email-suitable frames found. Try frames with width 320-800px and height > 100px.',
-        success: false,
-        metadata: {
-          fileName: layoutData.fileName,
-          totalFrames: layoutData.layouts.length,
-          availableFrames: layoutData.layouts.map(f => ({ 
-            name: f.name, 
-            size: `${f.width}×${f.height}` 
-          }))
-        }
-      });
-    }
-    
-    console.log(`✅ Found ${emailFrames.length} suitable frames for email conversion`);
-    
-    // Step 4: Generate MJML with Multi-Provider AI
-    let mjmlCode;
-    let usedFallback = false;
-    let aiProvider = 'unknown';
-    
-    try {
-      console.log('🚀 Starting multi-provider AI generation...');
-      mjmlCode = await generateMJMLFromLayout({
-        fileName: layoutData.fileName,
-        layouts: emailFrames
-      });
-      console.log('✨ Multi-provider AI generation successful');
+    console.log(`👤 Figma access: ${auth.user ? `${auth.user.handle || auth.user.id} (${auth.user.email || 'OAuth'})` : 'server token'}`);
+    console.log(`🎨 Starting Figma conversion for file: ${fileId}${requestedIds.length ? ` (nodes ${requestedIds.join(', ')})` : ''}${version ? ` at version ${version}` : ''}`);
+    
+    // Step 1 & 2: Fetch Figma data and extract layout information.
+    // With node IDs only those subtrees are downloaded.
+    let layoutData;
+    let figmaSource;
+    if (requestedIds.length > 0) {
+      console.log(`📡 Fetching Figma nodes ${requestedIds.join(', ')}...`);
+      const nodesData = await fetchFigmaNodes(fileId, requestedIds, figmaToken, { depth: options.depth, version });
+      figmaSource = nodesData;
       
-      // The generateMJMLFromLayout now handles all providers internally
-      // including intelligent fallback, so this should always succeed
+      console.log('🔍 Extracting layout information...');
+      layoutData = extractLayoutFromFigmaNodes(nodesData, requestedIds, options.walk);
       
-    } catch (aiError) {
-      console.warn('⚠️ All AI providers failed, using basic fallback:', aiError.message);
-      mjmlCode = generateFallbackMJML({
-        fileName: layoutData.fileName,
-        layouts: emailFrames
-      });
-      usedFallback = true;
-      aiProvider = 'basic-fallback';
+      if (layoutData.missing.length === requestedIds.length) {
+        return res.status(404).json({
+          error: `Figma node${requestedIds.length > 1 ? 's' : ''} ${requestedIds.join(', ')} not found in file`,
+          success: false
+        });
+      }
+    } else {
+      console.log('📡 Fetching Figma data...');
+      const figmaData = await fetchFigmaFile(fileId, figmaToken, { depth: options.depth, version });
+      figmaSource = figmaData;
+      
+      console.log('🔍 Extracting layout information...');
+      layoutData = extractLayoutFromFigma(figmaData, options.walk);
     }
     
-    // Step 5: Validate MJML
-    console.log('🔍 Validating MJML...');
-    const validation = validateMJML(mjmlCode);
-    
-    if (!validation.isValid && validation.errors.length > 0) {
-      console.warn('⚠️ MJML validation issues:', validation.errors);
-      // Continue anyway for soft validation
+    // Design tokens from published styles and, where the plan allows, local variables.
+    // Variables can only be read for the latest version.
+    let variables = null;
+    if (!version) {
+      try {
+        variables = await fetchFigmaLocalVariables(fileId, figmaToken);
+      } catch (error) {
+        console.warn('⚠️ Local variables unavailable, using published styles only:', error.message);
+      }
     }
-    
-    // Step 6: Compile to HTML
-    console.log('⚙️ Compiling MJML to HTML...');
-    const compilation = compileMJML(mjmlCode, {
-      beautify: true,
-      validationLevel: 'soft'
+    const tokens = buildDesignTokens(figmaSource, variables);
+    
+    // Steps 3 & 4: Pick frames, then generate, validate and compile MJML
+    const conversion = await convertFigmaLayouts(layoutData, {
+      requestedIds,
+      pairs: framePairs,
+      responsive: options.responsive !== false,
+      fileId,
+      token: figmaToken,
+      version,
+      generator: options.generator,
+      targetWidth: options.targetWidth,
+      templateLanguage: options.templateLanguage,
+      detectRepeats: options.detectRepeats,
+      tokens
     });
     
-    if (!compilation.success) {
-      return res.status(500).json({
-        error: 'MJML compilation failed',
-        details: compilation.errors,
-        success: false
+    if (!conversion.success) {
+      return res.status(conversion.status).json({
+        success: false,
+        error: conversion.error,
+        details: conversion.details,
+        metadata: conversion.metadata
       });
     }
     
+    // Optionally tell the designers what was dropped, on the frames themselves
+    let comments;
+    if (options.comment) {
+      const origin = `${req.headers['x-forwarded-proto'] || 'http'}://${req.headers.host}`;
+      comments = await postConversionComments(fileId, figmaToken, conversion.frameResults, { origin });
+    }
+    
     const processingTime = Date.now() - startTime;
     console.log(`🎉 Conversion completed in ${processingTime}ms`);
     
-    // Step 7: Return results
+    // Step 5: Return results
     return res.status(200).json({
-      success: true,
-      mjml: mjmlCode,
-      html: compilation.html,
-      usedFallback,
-      metadata: {
-        fileName: layoutData.fileName,
-        lastModified: layoutData.lastModified,
-        frameCount: emailFrames.length,
-        primaryFrame: emailFrames[0] ? {
-          name: emailFrames[0].name,
-          width: emailFrames[0].width,
-          height: emailFrames[0].height
-        } : null,
+      ...buildConversionResponse(layoutData, conversion, {
+        nodeId,
         processingTime,
-        aiUsed: !usedFallback
-      },
-      validation: {
-        errors: compilation.errors || [],
-        warnings: compilation.warnings || []
-      }
+        tokens
+      }),
+      comments
     });
     
   } catch (error) {
@@ -158,23 +172,11 @@ export default async function handler(req, res) {
     const processingTime = Date.now() - startTime;
     
     // Provide specific error messages
-    let errorMessage = error.message;
-    let errorCode = 500;
-    
-    if (error.message.includes('403') || error.message.includes('401')) {
-      errorMessage = 'Invalid Figma token or no access to file';
-      errorCode = 403;
-    } else if (error.message.includes('404')) {
-      errorMessage = 'Figma file not found';
-      errorCode = 404;
-    } else if (error.message.includes('quota') || error.message.includes('billing')) {
-      errorMessage = 'OpenAI quota exceeded. Please check your billing.';
-      errorCode = 429;
-    }
+    const { status, message } = describeConversionError(error);
     
-    return res.status(errorCode).json({
+    return res.status(status).json({
       success: false,
-      error: errorMessage,
+      error: message,
       details: process.env.NODE_ENV === 'development' ? error.stack : undefined,
       processingTime
     });
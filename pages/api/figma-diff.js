@@ -0,0 +1,126 @@
+/**
+ * API Route: Diff Two Figma File Versions
+ * Extracts the layouts of two versions and reports which text, colors,
+ * images and sections changed, to tell whether a template needs regenerating
+ */
+
+import {
+  extractLayoutFromFigma,
+  extractLayoutFromFigmaNodes,
+  fetchFigmaFile,
+  fetchFigmaNodes,
+  parseFigmaUrl,
+  parseNodeIdList
+} from '../../lib/figma';
+import { resolveFigmaToken } from '../../lib/figma-auth';
+import { diffLayoutData } from '../../lib/layout-diff';
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { url, from, to = null, frameIds, walk } = req.body;
+
+  // Malformed node IDs and selections are rejected before anything is fetched
+  let parsed;
+  let selectedIds;
+  try {
+    parsed = parseFigmaUrl(url || req.body.fileId);
+    selectedIds = parseNodeIdList(frameIds);
+  } catch (error) {
+    return res.status(error.status || 400).json({
+      error: error.message,
+      success: false
+    });
+  }
+
+  try {
+    const fileId = parsed.fileId;
+
+    if (!fileId) {
+      return res.status(400).json({
+        error: 'Missing fileId or url parameter',
+        success: false
+      });
+    }
+
+    if (!from) {
+      return res.status(400).json({
+        error: 'Missing from version (see /api/figma-versions)',
+        success: false
+      });
+    }
+
+    // The caller's connected Figma account, else the server-wide token
+    const auth = await resolveFigmaToken(req, res);
+    if (!auth?.token) {
+      return res.status(401).json({
+        error: auth?.error || 'Connect your Figma account or configure FIGMA_TOKEN',
+        success: false
+      });
+    }
+    const figmaToken = auth.token;
+
+    // Frames picked by the user, else the URL's node, else the whole file
+    const nodeIds = selectedIds.length > 0
+      ? selectedIds
+      : (parsed.nodeId ? [parsed.nodeId] : []);
+
+    console.log(`🔀 Comparing versions ${from} and ${to || 'latest'} of file: ${fileId}`);
+
+    // One after the other, so a large file is not downloaded twice at once
+    const before = await fetchLayouts(fileId, figmaToken, { version: from, nodeIds, walk });
+    const after = await fetchLayouts(fileId, figmaToken, { version: to, nodeIds, walk });
+    const diff = diffLayoutData(before, after);
+
+    return res.status(200).json({
+      success: true,
+      fileId,
+      fileName: after.fileName,
+      from: { version: before.version || from, lastModified: before.lastModified },
+      to: { version: after.version || to, lastModified: after.lastModified },
+      needsRegeneration: diff.changed,
+      summary: diff.summary,
+      frames: diff.frames
+    });
+
+  } catch (error) {
+    console.error('❌ Version diff error:', error);
+
+    let errorMessage = error.message;
+    let errorCode = 500;
+
+    if (error.status === 429) {
+      errorMessage = 'Figma rate limit reached, please try again later';
+      errorCode = 429;
+    } else if (error.message.includes('403') || error.message.includes('401')) {
+      errorMessage = 'Invalid Figma token or no access to file';
+      errorCode = 403;
+    } else if (error.message.includes('404')) {
+      errorMessage = 'Figma file or version not found';
+      errorCode = 404;
+    }
+
+    return res.status(errorCode).json({
+      success: false,
+      error: errorMessage,
+      details: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+}
+
+/**
+ * Fetch one version of the file and extract its layouts
+ * @param {string} fileId - Figma file ID
+ * @param {string} token - Figma API token
+ * @param {Object} options - { version, nodeIds, walk } - a null version is the latest
+ * @returns {Object} Layout data
+ */
+async function fetchLayouts(fileId, token, { version, nodeIds, walk }) {
+  if (nodeIds.length > 0) {
+    const nodesData = await fetchFigmaNodes(fileId, nodeIds, token, { version });
+    return extractLayoutFromFigmaNodes(nodesData, nodeIds, walk);
+  }
+  return extractLayoutFromFigma(await fetchFigmaFile(fileId, token, { version }), walk);
+}
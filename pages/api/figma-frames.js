@@ -0,0 +1,127 @@
+/**
+ * API Route: List Figma Frames
+ * Returns every candidate frame with a rendered thumbnail so the user can
+ * pick which ones to convert
+ */
+
+import {
+  assessEmailSuitability,
+  extractLayoutFromFigma,
+  fetchFigmaFile,
+  fetchFigmaImages,
+  getEmailSuitableFrames,
+  parseFigmaUrl
+} from '../../lib/figma';
+import { resolveFigmaToken } from '../../lib/figma-auth';
+import { normalizeTargetWidth } from '../../lib/frame-scaling';
+
+// Thumbnails are rendered at a fraction of the frame size to keep them light
+const THUMBNAIL_SCALE = 0.5;
+
+// Figma renders images synchronously, so cap how many are requested at once
+const MAX_THUMBNAILS = 30;
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { url, walk, depth } = req.body;
+    const { fileId } = parseFigmaUrl(url || req.body.fileId);
+
+    if (!fileId) {
+      return res.status(400).json({
+        error: 'Missing fileId or url parameter',
+        success: false
+      });
+    }
+
+    // Judge frame widths against the body width the conversion will scale to
+    const targetWidth = normalizeTargetWidth(req.body.targetWidth);
+    if (targetWidth === null) {
+      return res.status(400).json({
+        error: `Invalid target width "${req.body.targetWidth}". Use a number of pixels between 320 and 1200.`,
+        success: false
+      });
+    }
+
+    // The caller's connected Figma account, else the server-wide token
+    const auth = await resolveFigmaToken(req, res);
+    if (!auth?.token) {
+      return res.status(401).json({
+        error: auth?.error || 'Connect your Figma account or configure FIGMA_TOKEN',
+        success: false
+      });
+    }
+    const figmaToken = auth.token;
+
+    console.log(`🖼️ Listing frames for file: ${fileId}`);
+
+    const figmaData = await fetchFigmaFile(fileId, figmaToken, { depth });
+    const layoutData = extractLayoutFromFigma(figmaData, walk);
+    const recommendedIds = getEmailSuitableFrames(layoutData.layouts, targetWidth).map(layout => layout.id);
+
+    // Render thumbnails; a failed render only costs the preview, not the listing
+    let thumbnails = {};
+    const thumbnailIds = layoutData.layouts.slice(0, MAX_THUMBNAILS).map(layout => layout.id);
+
+    if (thumbnailIds.length > 0) {
+      try {
+        const images = await fetchFigmaImages(fileId, thumbnailIds, figmaToken, 'png', THUMBNAIL_SCALE);
+        thumbnails = images.images || {};
+      } catch (error) {
+        console.warn('⚠️ Could not render frame thumbnails:', error.message);
+      }
+    }
+
+    const frames = layoutData.layouts.map(layout => {
+      const { suitable, reasons } = assessEmailSuitability(layout, targetWidth);
+
+      return {
+        id: layout.id,
+        name: layout.name,
+        page: layout.page,
+        breadcrumbs: layout.breadcrumbs,
+        width: layout.width,
+        height: layout.height,
+        elementCount: layout.elements.length,
+        suitable,
+        recommended: recommendedIds.includes(layout.id),
+        reasons,
+        thumbnailUrl: thumbnails[layout.id] || null
+      };
+    });
+
+    return res.status(200).json({
+      success: true,
+      fileId,
+      fileName: layoutData.fileName,
+      lastModified: layoutData.lastModified,
+      frames
+    });
+
+  } catch (error) {
+    console.error('❌ Frame listing error:', error);
+
+    let errorMessage = error.message;
+    let errorCode = 500;
+
+    if (error.status === 429) {
+      errorMessage = 'Figma rate limit reached, please try again later';
+      errorCode = 429;
+    } else if (error.message.includes('403') || error.message.includes('401')) {
+      errorMessage = 'Invalid Figma token or no access to file';
+      errorCode = 403;
+    } else if (error.message.includes('404')) {
+      errorMessage = 'Figma file not found';
+      errorCode = 404;
+    }
+
+    return res.status(errorCode).json({
+      success: false,
+      error: errorMessage,
+      details: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+}
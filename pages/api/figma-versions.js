@@ -0,0 +1,70 @@
+/**
+ * API Route: List Figma File Versions
+ * Returns the saved versions of a file, newest first, so a conversion or a
+ * diff can be pinned to the approved one
+ */
+
+import { fetchFigmaVersions, parseFigmaUrl } from '../../lib/figma';
+import { resolveFigmaToken } from '../../lib/figma-auth';
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { url, before } = req.body;
+    const { fileId } = parseFigmaUrl(url || req.body.fileId);
+
+    if (!fileId) {
+      return res.status(400).json({
+        error: 'Missing fileId or url parameter',
+        success: false
+      });
+    }
+
+    // The caller's connected Figma account, else the server-wide token
+    const auth = await resolveFigmaToken(req, res);
+    if (!auth?.token) {
+      return res.status(401).json({
+        error: auth?.error || 'Connect your Figma account or configure FIGMA_TOKEN',
+        success: false
+      });
+    }
+    const figmaToken = auth.token;
+
+    console.log(`🕘 Listing versions for file: ${fileId}`);
+
+    const page = await fetchFigmaVersions(fileId, figmaToken, { before });
+
+    return res.status(200).json({
+      success: true,
+      fileId,
+      versions: page.versions,
+      before: page.before
+    });
+
+  } catch (error) {
+    console.error('❌ Version listing error:', error);
+
+    let errorMessage = error.message;
+    let errorCode = 500;
+
+    if (error.status === 429) {
+      errorMessage = 'Figma rate limit reached, please try again later';
+      errorCode = 429;
+    } else if (error.message.includes('403') || error.message.includes('401')) {
+      errorMessage = 'Invalid Figma token or no access to file';
+      errorCode = 403;
+    } else if (error.message.includes('404')) {
+      errorMessage = 'Figma file not found';
+      errorCode = 404;
+    }
+
+    return res.status(errorCode).json({
+      success: false,
+      error: errorMessage,
+      details: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+}
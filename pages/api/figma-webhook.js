@@ -0,0 +1,91 @@
+/**
+ * API Route: Figma Webhook Receiver
+ * Verifies the webhook passcode and re-converts the registered frames of a
+ * file when it is updated or a new version is saved
+ */
+
+import { loadWebhookRegistry, reconvertRegisteredFile, verifyWebhookPasscode } from '../../lib/figma-webhooks';
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const startTime = Date.now();
+
+  try {
+    const event = req.body || {};
+
+    if (!process.env.FIGMA_WEBHOOK_PASSCODE) {
+      return res.status(500).json({
+        error: 'Figma webhook passcode not configured',
+        success: false
+      });
+    }
+
+    if (!verifyWebhookPasscode(event.passcode)) {
+      return res.status(401).json({
+        error: 'Invalid webhook passcode',
+        success: false
+      });
+    }
+
+    // Figma pings a webhook once when it is created
+    if (event.event_type === 'PING') {
+      return res.status(200).json({ success: true, event: 'PING' });
+    }
+
+    const registry = await loadWebhookRegistry();
+    const entry = registry.find(candidate => candidate.fileId === event.file_key);
+
+    if (!entry || !entry.events.includes(event.event_type)) {
+      return res.status(200).json({
+        success: true,
+        ignored: true,
+        reason: entry ? `${event.event_type} is not handled for this file` : 'File is not registered'
+      });
+    }
+
+    // Webhooks have no user session, so they use the server token
+    const figmaToken = process.env.FIGMA_TOKEN;
+    if (!figmaToken) {
+      return res.status(500).json({
+        error: 'Figma token not configured',
+        success: false
+      });
+    }
+
+    console.log(`🪝 ${event.event_type} for "${entry.name}" (${entry.fileId})${event.triggered_by?.handle ? ` by ${event.triggered_by.handle}` : ''}`);
+
+    const result = await reconvertRegisteredFile(entry, event, figmaToken);
+
+    if (!result.success) {
+      return res.status(422).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    const processingTime = Date.now() - startTime;
+    console.log(`🎉 Webhook conversion completed in ${processingTime}ms`);
+
+    return res.status(200).json({
+      success: true,
+      event: event.event_type,
+      fileId: entry.fileId,
+      version: event.version_id || null,
+      frames: result.frames,
+      processingTime
+    });
+
+  } catch (error) {
+    console.error('❌ Webhook error:', error);
+
+    // Figma retries failed deliveries, so transient errors heal on their own
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+      details: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+}
@@ -3,11 +3,17 @@
  * Provides system status and configuration information
  */
 
+import { isOAuthConfigured } from '../../lib/figma-auth';
+
 export default function handler(req, res) {
   if (req.method !== 'GET') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
+  // Figma works with per-user OAuth, the server token, or both
+  const figmaOAuth = isOAuthConfigured();
+  const figmaConfigured = figmaOAuth || !!process.env.FIGMA_TOKEN;
+
   const health = {
     status: 'healthy',
     timestamp: new Date().toISOString(),
@@ -15,8 +21,10 @@ export default function handler(req, res) {
     environment: process.env.NODE_ENV || 'development',
     services: {
       figma: {
-        configured: !!process.env.FIGMA_TOKEN,
-        status: process.env.FIGMA_TOKEN ? 'ready' : 'not configured'
+        configured: figmaConfigured,
+        status: figmaConfigured ? 'ready' : 'not configured',
+        oauth: figmaOAuth,
+        serverToken: !!process.env.FIGMA_TOKEN
       },
       openai: {
         configured: !!process.env.OPENAI_API_KEY,
@@ -33,7 +41,7 @@ export default function handler(req, res) {
       }
     },
     features: {
-      figmaConversion: !!process.env.FIGMA_TOKEN,
+      figmaConversion: figmaConfigured,
       aiGeneration: !!process.env.OPENAI_API_KEY,
       fallbackGeneration: true,
       imageConversion: true,
@@ -68,7 +76,7 @@ export default function handler(req, res) {
   if (!health.services.figma.configured) {
     setupInstructions.push({
       service: 'Figma',
-      instruction: 'Add FIGMA_TOKEN to environment variables. Get token from https://www.figma.com/developers/api#access-tokens'
+      instruction: 'Set FIGMA_CLIENT_ID, FIGMA_CLIENT_SECRET and SESSION_SECRET for per-user Figma OAuth, or add FIGMA_TOKEN to environment variables. Get token from https://www.figma.com/developers/api#access-tokens'
     });
   }
   
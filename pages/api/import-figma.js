@@ -0,0 +1,155 @@
+/**
+ * API Route: Convert an Uploaded Figma Export to MJML
+ * Runs the Figma conversion pipeline on a saved REST API response
+ * (files or nodes endpoint, optionally gzipped) without calling Figma
+ */
+
+import formidable from 'formidable';
+import { promises as fs } from 'fs';
+import { buildConversionResponse, convertFigmaLayouts, describeConversionError } from '../../lib/convert';
+import { buildDesignTokens } from '../../lib/design-tokens';
+import { normalizeNodeId, parseFramePairs, parseNodeIdList } from '../../lib/figma';
+import { extractLayoutFromExport, MAX_EXPORT_BYTES, parseFigmaExport } from '../../lib/figma-import';
+
+// Disable default body parser to handle file uploads
+export const config = {
+  api: {
+    bodyParser: false,
+  },
+};
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const startTime = Date.now();
+  let files = {};
+
+  try {
+    // Parse form data
+    const form = formidable({
+      maxFileSize: MAX_EXPORT_BYTES, // whole-file exports are large
+      keepExtensions: true,
+    });
+
+    let fields;
+    [fields, files] = await form.parse(req);
+
+    const exportFile = files.file?.[0];
+    if (!exportFile) {
+      return res.status(400).json({
+        error: 'No Figma export file provided',
+        success: false
+      });
+    }
+
+    // Same selection rules as /api/convert-figma: frameIds, else nodeId.
+    // Malformed selections are rejected before the export is read.
+    let nodeId;
+    let requestedIds;
+    let framePairs;
+    let options;
+    try {
+      nodeId = normalizeNodeId(fields.nodeId?.[0]) || null;
+      const frameIds = parseNodeIdList((fields.frameIds?.[0] || '').split(',').map(id => id.trim()));
+      requestedIds = frameIds.length > 0 ? frameIds : (nodeId ? [nodeId] : []);
+
+      // Desktop/mobile pairs picked by the user
+      framePairs = parseFramePairs(fields.pairs?.[0] ? parseJsonField(fields.pairs[0], 'pairs') : []);
+      options = fields.options?.[0] ? parseJsonField(fields.options[0], 'options') : {};
+      if (!options || typeof options !== 'object' || Array.isArray(options)) {
+        throw new Error('Invalid options field: expected a JSON object');
+      }
+    } catch (error) {
+      return res.status(400).json({
+        error: error.message,
+        success: false
+      });
+    }
+
+    console.log(`📦 Importing Figma export: ${exportFile.originalFilename}`);
+
+    let figmaData;
+    try {
+      figmaData = parseFigmaExport(await fs.readFile(exportFile.filepath));
+    } catch (error) {
+      // 413 for gzip bombs, 400 for anything that is not a Figma export
+      return res.status(error.status || 400).json({
+        error: error.message,
+        success: false
+      });
+    }
+
+    console.log('🔍 Extracting layout information...');
+    const layoutData = extractLayoutFromExport(figmaData, options.walk);
+
+    // Exports carry published styles but not local variables
+    const tokens = buildDesignTokens(figmaData);
+
+    // Without a file ID image fills cannot be resolved and stay placeholders
+    const conversion = await convertFigmaLayouts(layoutData, {
+      requestedIds: [...requestedIds, ...framePairs.map(pair => pair.desktop)],
+      pairs: framePairs,
+      responsive: options.responsive !== false,
+      generator: options.generator,
+      targetWidth: options.targetWidth,
+      templateLanguage: options.templateLanguage,
+      detectRepeats: options.detectRepeats,
+      tokens
+    });
+
+    if (!conversion.success) {
+      return res.status(conversion.status).json({
+        success: false,
+        error: conversion.error,
+        details: conversion.details,
+        metadata: conversion.metadata
+      });
+    }
+
+    const processingTime = Date.now() - startTime;
+    console.log(`🎉 Import conversion completed in ${processingTime}ms`);
+
+    return res.status(200).json(buildConversionResponse(layoutData, conversion, {
+      nodeId,
+      processingTime,
+      tokens
+    }));
+
+  } catch (error) {
+    console.error('❌ Import conversion error:', error);
+
+    const processingTime = Date.now() - startTime;
+
+    // Formidable rejects oversized uploads before the pipeline runs
+    const { status, message } = error.httpCode === 413
+      ? { status: 413, message: `Figma export is too large (max ${MAX_EXPORT_BYTES / 1024 / 1024}MB)` }
+      : describeConversionError(error);
+
+    return res.status(status).json({
+      success: false,
+      error: message,
+      details: process.env.NODE_ENV === 'development' ? error.stack : undefined,
+      processingTime
+    });
+  } finally {
+    // Formidable leaves uploads in the temp directory
+    await Promise.all(Object.values(files).flat().map(file =>
+      fs.unlink(file.filepath).catch(error => console.warn('⚠️ Could not remove upload:', error.message))));
+  }
+}
+
+/**
+ * Parse a JSON form field
+ * @param {string} value - Field value
+ * @param {string} field - Field name, for the error message
+ * @returns {*} Parsed value
+ */
+function parseJsonField(value, field) {
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new Error(`Invalid ${field} field: expected JSON`);
+  }
+}
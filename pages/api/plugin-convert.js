@@ -0,0 +1,106 @@
+/**
+ * API Route: Convert a Figma Plugin Selection to MJML
+ * Runs the conversion pipeline on the REST API JSON the companion Figma
+ * plugin exported from the selection, with the images it rendered, so no
+ * Figma token or file link is needed
+ */
+
+import { buildConversionResponse, convertFigmaLayouts, describeConversionError } from '../../lib/convert';
+import { buildDesignTokens } from '../../lib/design-tokens';
+import { parseFramePairs } from '../../lib/figma';
+import { isPluginRequestAuthorized, parsePluginPayload, setPluginCorsHeaders } from '../../lib/figma-plugin';
+
+// Image renders travel base64 encoded in the JSON body
+export const config = {
+  api: {
+    bodyParser: {
+      sizeLimit: '25mb',
+    },
+  },
+};
+
+export default async function handler(req, res) {
+  // Plugin UIs run in a sandboxed iframe with a "null" origin
+  setPluginCorsHeaders(req, res);
+
+  if (req.method === 'OPTIONS') {
+    return res.status(204).end();
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // Uploads end up in the public asset store, so anonymous callers are turned away
+  if (!isPluginRequestAuthorized(req)) {
+    return res.status(401).json({
+      error: 'Plugin token missing or invalid: set the token from FIGMA_PLUGIN_TOKEN in the plugin, or connect Figma',
+      success: false
+    });
+  }
+
+  const startTime = Date.now();
+
+  try {
+    // Desktop/mobile pairs picked in the plugin are checked with the selection
+    let payload;
+    let framePairs;
+    try {
+      payload = parsePluginPayload(req.body);
+      framePairs = parseFramePairs(req.body.pairs);
+    } catch (error) {
+      return res.status(400).json({
+        error: error.message,
+        success: false
+      });
+    }
+
+    const { figmaData, layoutData, images } = payload;
+    const { options = {} } = req.body;
+
+    console.log(`🧩 Converting plugin selection from "${layoutData.fileName}": ${layoutData.layouts.map(layout => layout.name).join(', ')}`);
+
+    // Every frame in the selection was picked by the user
+    const conversion = await convertFigmaLayouts(layoutData, {
+      requestedIds: layoutData.layouts.map(layout => layout.id),
+      pairs: framePairs,
+      responsive: options.responsive !== false,
+      imageUploads: images,
+      generator: options.generator,
+      targetWidth: options.targetWidth,
+      templateLanguage: options.templateLanguage,
+      detectRepeats: options.detectRepeats,
+      tokens: buildDesignTokens(figmaData)
+    });
+
+    if (!conversion.success) {
+      return res.status(conversion.status).json({
+        success: false,
+        error: conversion.error,
+        details: conversion.details,
+        metadata: conversion.metadata
+      });
+    }
+
+    const processingTime = Date.now() - startTime;
+    console.log(`🎉 Plugin conversion completed in ${processingTime}ms`);
+
+    return res.status(200).json(buildConversionResponse(layoutData, conversion, {
+      processingTime
+    }));
+
+  } catch (error) {
+    console.error('❌ Plugin conversion error:', error);
+
+    const processingTime = Date.now() - startTime;
+
+    const { status, message } = describeConversionError(error);
+
+    return res.status(status).json({
+      success: false,
+      error: message,
+      details: process.env.NODE_ENV === 'development' ? error.stack : undefined,
+      processingTime
+    });
+  }
+}
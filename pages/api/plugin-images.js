@@ -0,0 +1,51 @@
+/**
+ * API Route: List the Images a Plugin Selection Needs
+ * Tells the companion Figma plugin which layers of its exported selection
+ * to render or send the image fill of, before it calls /api/plugin-convert
+ */
+
+import { listImageExports } from '../../lib/image-assets';
+import { isPluginRequestAuthorized, parsePluginPayload, setPluginCorsHeaders } from '../../lib/figma-plugin';
+
+// The selection travels as REST API JSON
+export const config = {
+  api: {
+    bodyParser: {
+      sizeLimit: '10mb',
+    },
+  },
+};
+
+export default async function handler(req, res) {
+  setPluginCorsHeaders(req, res);
+
+  if (req.method === 'OPTIONS') {
+    return res.status(204).end();
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!isPluginRequestAuthorized(req)) {
+    return res.status(401).json({
+      error: 'Plugin token missing or invalid: set the token from FIGMA_PLUGIN_TOKEN in the plugin, or connect Figma',
+      success: false
+    });
+  }
+
+  let payload;
+  try {
+    payload = parsePluginPayload(req.body);
+  } catch (error) {
+    return res.status(400).json({
+      error: error.message,
+      success: false
+    });
+  }
+
+  return res.status(200).json({
+    success: true,
+    exports: payload.layoutData.layouts.flatMap(listImageExports)
+  });
+}
@@ -0,0 +1,27 @@
+/**
+ * API Route: Serve Conversion Previews
+ * Returns compiled HTML linked from conversion report comments, sandboxed
+ */
+
+import { getPreview, PREVIEW_HEADERS } from '../../../lib/previews';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const html = await getPreview(req.query.id);
+
+    if (!html) {
+      return res.status(404).json({ error: 'Preview not found' });
+    }
+
+    Object.entries(PREVIEW_HEADERS).forEach(([name, value]) => res.setHeader(name, value));
+    return res.status(200).send(html);
+
+  } catch (error) {
+    console.error('❌ Preview error:', error);
+    return res.status(500).json({ error: 'Could not read preview' });
+  }
+}
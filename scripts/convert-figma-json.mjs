@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+
+/**
+ * Convert saved Figma REST API exports (.json or .json.gz) to MJML and HTML
+ * without network access, e.g. in CI or for regression fixtures.
+ *
+ * Usage:
+ *   node scripts/convert-figma-json.mjs <export.json[.gz]>... [--frame 1:2] [--pair 1:2,3:4] [--generator deterministic] [--width 600] [--template handlebars|liquid] [--out dir]
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { convertFigmaLayouts } from '../lib/convert.js';
+import { buildDesignTokens } from '../lib/design-tokens.js';
+import { normalizeNodeId } from '../lib/figma.js';
+import { extractLayoutFromExport, parseFigmaExport } from '../lib/figma-import.js';
+
+function parseArgs(argv) {
+  const args = { inputs: [], frames: [], pairs: [], generator: 'deterministic', out: 'out' };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--frame') {
+      args.frames.push(normalizeNodeId(argv[++i]));
+    } else if (arg === '--pair') {
+      const [desktop, mobile] = argv[++i].split(',').map(normalizeNodeId);
+      args.pairs.push({ desktop, mobile });
+    } else if (arg === '--generator') {
+      args.generator = argv[++i];
+    } else if (arg === '--width') {
+      args.width = argv[++i];
+    } else if (arg === '--template') {
+      args.template = argv[++i];
+    } else if (arg === '--out') {
+      args.out = argv[++i];
+    } else {
+      args.inputs.push(arg);
+    }
+  }
+
+  return args;
+}
+
+function slugify(value) {
+  return String(value || 'frame')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'frame';
+}
+
+async function convertExport(input, args) {
+  console.log(`📦 ${input}`);
+
+  const figmaData = parseFigmaExport(await fs.readFile(input));
+  const layoutData = extractLayoutFromExport(figmaData);
+  const conversion = await convertFigmaLayouts(layoutData, {
+    requestedIds: [...args.frames, ...args.pairs.map(pair => pair.desktop)],
+    pairs: args.pairs,
+    generator: args.generator,
+    targetWidth: args.width,
+    templateLanguage: args.template,
+    tokens: buildDesignTokens(figmaData)
+  });
+
+  if (!conversion.success) {
+    throw new Error(`${conversion.error}${conversion.details ? `\n${JSON.stringify(conversion.details, null, 2)}` : ''}`);
+  }
+
+  const base = path.basename(input).replace(/\.json(\.gz)?$/i, '');
+  await fs.mkdir(args.out, { recursive: true });
+
+  for (const result of conversion.frameResults) {
+    const target = path.join(args.out, `${slugify(base)}--${slugify(result.frame.name)}`);
+    await fs.writeFile(`${target}.mjml`, result.mjml);
+    await fs.writeFile(`${target}.html`, result.html);
+    if (Object.keys(result.sampleData).length > 0) {
+      await fs.writeFile(`${target}.data.json`, JSON.stringify(result.sampleData, null, 2));
+    }
+
+    const warnings = result.warnings.length > 0 ? ` (${result.warnings.length} warnings)` : '';
+    const mobile = result.responsive?.mobileFrame ? ` + ${result.responsive.mobileFrame.name}` : '';
+    const scaled = result.scale ? ` (scaled ${result.scale.originalWidth}px → ${result.scale.width}px)` : '';
+    console.log(`   ✅ ${result.frame.name}${mobile}${scaled} → ${target}.mjml / .html${warnings}`);
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (args.inputs.length === 0) {
+    console.error('Usage: node scripts/convert-figma-json.mjs <export.json[.gz]>... [--frame 1:2] [--pair 1:2,3:4] [--generator deterministic|ai] [--width 600] [--template handlebars|liquid] [--out dir]');
+    process.exit(1);
+  }
+
+  let failed = 0;
+  for (const input of args.inputs) {
+    try {
+      await convertExport(input, args);
+    } catch (error) {
+      failed++;
+      console.error(`   ❌ ${error.message}`);
+    }
+  }
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main();
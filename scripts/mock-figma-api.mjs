@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+
+/**
+ * Minimal stand-in for the Figma REST API, to try conversions and
+ * conversion-report comments without a Figma account or network access.
+ *
+ * Usage:
+ *   node scripts/mock-figma-api.mjs [--port 4010] [--file export.json]
+ *
+ * Then start the app with FIGMA_API_BASE=http://localhost:4010/v1 and any
+ * FIGMA_TOKEN. Comments posted to /v1/files/:key/comments are printed and
+ * listed by GET on the same path. --file serves a saved Figma export
+ * (the JSON that scripts/convert-figma-json.mjs reads) for every file key.
+ */
+
+import { promises as fs } from 'fs';
+import http from 'http';
+import { parseFigmaExport } from '../lib/figma-import.js';
+
+function parseArgs(argv) {
+  const args = { port: 4010, file: null };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--port') {
+      args.port = Number(argv[++i]);
+    } else if (arg === '--file') {
+      args.file = argv[++i];
+    }
+  }
+
+  return args;
+}
+
+function send(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Answer GET /v1/files/:key/nodes from a whole-file export
+ */
+function nodesResponse(figmaFile, ids) {
+  const nodes = {};
+  const visit = node => {
+    if (ids.includes(node.id)) nodes[node.id] = { document: node, components: {}, styles: {} };
+    (node.children || []).forEach(visit);
+  };
+  visit(figmaFile.document);
+  ids.filter(id => !nodes[id]).forEach(id => { nodes[id] = null; });
+
+  return { name: figmaFile.name, lastModified: figmaFile.lastModified, version: figmaFile.version, nodes };
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const figmaFile = args.file ? parseFigmaExport(await fs.readFile(args.file)) : null;
+  const comments = [];
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const match = url.pathname.match(/^\/v1\/(files|images)\/([^/]+)(\/.*)?$/);
+    console.log(`➡️  ${req.method} ${url.pathname}${url.search}`);
+
+    if (!match) {
+      return send(res, 404, { status: 404, err: 'Not found' });
+    }
+
+    const [, collection, fileKey, rest = ''] = match;
+
+    if (rest === '/comments') {
+      if (req.method === 'POST') {
+        let payload;
+        try {
+          payload = JSON.parse(await readBody(req));
+        } catch (error) {
+          return send(res, 400, { status: 400, err: 'Invalid JSON body' });
+        }
+
+        const comment = {
+          id: String(comments.length + 1),
+          file_key: fileKey,
+          message: payload.message,
+          client_meta: payload.client_meta || null,
+          created_at: new Date().toISOString()
+        };
+        comments.push(comment);
+        console.log(`💬 Comment on ${comment.client_meta?.node_id || 'file'}:\n${comment.message}\n`);
+        return send(res, 200, comment);
+      }
+      return send(res, 200, { comments: comments.filter(comment => comment.file_key === fileKey) });
+    }
+
+    if (req.method !== 'GET') {
+      return send(res, 405, { status: 405, err: 'Method not allowed' });
+    }
+
+    if (collection === 'images') {
+      return send(res, 200, { err: null, images: {} });
+    }
+    if (rest === '/images') {
+      return send(res, 200, { error: false, status: 200, meta: { images: {} } });
+    }
+    if (rest === '/variables/local') {
+      return send(res, 403, { status: 403, err: 'Variables are not available in the mock API' });
+    }
+
+    if (!figmaFile) {
+      return send(res, 404, { status: 404, err: 'No file loaded, start the mock with --file export.json' });
+    }
+    if (rest === '') {
+      return send(res, 200, figmaFile);
+    }
+    if (rest === '/nodes' && figmaFile.document) {
+      return send(res, 200, nodesResponse(figmaFile, (url.searchParams.get('ids') || '').split(',')));
+    }
+    if (rest === '/nodes') {
+      return send(res, 200, figmaFile);
+    }
+
+    return send(res, 404, { status: 404, err: 'Not found' });
+  });
+
+  server.listen(args.port, () => {
+    console.log(`🧪 Mock Figma API on http://localhost:${args.port}/v1${figmaFile ? ` serving "${figmaFile.name || args.file}"` : ''}`);
+  });
+}
+
+main().catch(error => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
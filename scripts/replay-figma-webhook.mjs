@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+
+/**
+ * Post recorded Figma webhook payloads to a running server, to test the
+ * webhook receiver without editing the design.
+ *
+ * Usage:
+ *   node scripts/replay-figma-webhook.mjs <payload.json>... [--url http://localhost:3000/api/figma-webhook] [--passcode value]
+ *
+ * The passcode defaults to FIGMA_WEBHOOK_PASSCODE and replaces the recorded one.
+ */
+
+import { promises as fs } from 'fs';
+
+function parseArgs(argv) {
+  const args = {
+    inputs: [],
+    url: 'http://localhost:3000/api/figma-webhook',
+    passcode: process.env.FIGMA_WEBHOOK_PASSCODE
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--url') {
+      args.url = argv[++i];
+    } else if (arg === '--passcode') {
+      args.passcode = argv[++i];
+    } else {
+      args.inputs.push(arg);
+    }
+  }
+
+  return args;
+}
+
+async function replay(input, args) {
+  const payload = JSON.parse(await fs.readFile(input, 'utf8'));
+  if (args.passcode) payload.passcode = args.passcode;
+
+  console.log(`🪝 ${input}: ${payload.event_type} for ${payload.file_key}`);
+
+  const response = await fetch(args.url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload)
+  });
+  const result = await response.json();
+
+  if (!response.ok) {
+    throw new Error(`${response.status} ${result.error}`);
+  }
+
+  if (result.ignored) {
+    console.log(`   ➖ Ignored: ${result.reason}`);
+    return;
+  }
+
+  (result.frames || []).forEach(frame => {
+    const revision = frame.stored ? `revision ${frame.revision}` : 'unchanged';
+    console.log(`   ✅ ${frame.name}: ${revision} - ${frame.summary}`);
+  });
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (args.inputs.length === 0) {
+    console.error('Usage: node scripts/replay-figma-webhook.mjs <payload.json>... [--url http://localhost:3000/api/figma-webhook] [--passcode value]');
+    process.exit(1);
+  }
+
+  let failed = 0;
+  for (const input of args.inputs) {
+    try {
+      await replay(input, args);
+    } catch (error) {
+      failed++;
+      console.error(`   ❌ ${error.message}`);
+    }
+  }
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main();